@@ -0,0 +1,168 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import YAML from 'yaml';
+
+/**
+ * Configuration files for SpeedGrabber
+ * Options can be set in .speedgrabberrc files (JSON or YAML) in the home directory, in the
+ * scanned directory and in a file given with --config, each overriding the ones before it.
+ * A `profiles` section holds named sets of options that override the rest when selected.
+ */
+
+// Name of the configuration files looked up in the home and the scanned directory
+export const CONFIG_FILE_NAME = '.speedgrabberrc';
+
+// Prefix of the environment variables that set options
+const ENV_PREFIX = 'SPEEDGRABBER_';
+
+// Key of the named profiles in a configuration file
+const PROFILES_KEY = 'profiles';
+
+/**
+ * Name of the environment variable that sets an option, e.g. SPEEDGRABBER_MAX_BANDWIDTH
+ * @param {string} attributeName - Option name in camelCase
+ * @returns {string}
+ */
+export function environmentVariable(attributeName) {
+  return ENV_PREFIX + attributeName.replace(/([a-z0-9])([A-Z])/g, '$1_$2').toUpperCase();
+}
+
+// Whether a value is a map (and not a list or scalar)
+function isMap(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Read a configuration file
+ * Files are read synchronously, as the options are resolved in a hook while the command line
+ * is parsed.
+ * @param {string} file - File path
+ * @param {boolean} required - Whether a missing file is an error (else it is skipped)
+ * @returns {object|null} Settings of the file, or null if it is missing
+ */
+function readConfigFile(file, required) {
+  let content;
+  try {
+    content = fs.readFileSync(file, 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT' && !required) {
+      return null;
+    }
+    throw new Error(error.code === 'ENOENT' ? `Configuration file not found: ${file}` : `Cannot read ${file}: ${error.message}`);
+  }
+
+  // .speedgrabberrc files are JSON if they look like it, YAML otherwise
+  const extension = path.extname(file).toLowerCase();
+  const json = extension === '.json' || (extension !== '.yaml' && extension !== '.yml' && content.trimStart().startsWith('{'));
+  let settings;
+  try {
+    settings = json ? JSON.parse(content) : YAML.parse(content);
+  } catch (error) {
+    throw new Error(`Invalid configuration file ${file}: ${error.message}`);
+  }
+  if (settings === null) {
+    return {};
+  }
+  if (!isMap(settings)) {
+    throw new Error(`Invalid configuration file ${file}: expected a map of option names to values`);
+  }
+  if (settings[PROFILES_KEY] !== undefined && (!isMap(settings[PROFILES_KEY]) || !Object.values(settings[PROFILES_KEY]).every(isMap))) {
+    throw new Error(`Invalid configuration file ${file}: '${PROFILES_KEY}' must map profile names to options`);
+  }
+  return settings;
+}
+
+/**
+ * Convert a configured value the way the command line value would be
+ * @param {Option} option - Commander option the value is for
+ * @param {*} value - Value from the configuration file
+ * @param {string} where - Where the value is set, for the error messages
+ * @returns {*} Option value
+ */
+function convertValue(option, value, where) {
+  const invalid = (message) => new Error(`Invalid value for '${option.name()}' in ${where}: ${message}`);
+
+  if (option.isBoolean()) {
+    if (typeof value !== 'boolean') {
+      throw invalid(`expected true or false, got ${JSON.stringify(value)}`);
+    }
+    return value;
+  }
+
+  // Repeatable options collect their values in an array, so accept a list of them
+  const repeatable = Array.isArray(option.defaultValue);
+  const values = repeatable && Array.isArray(value) ? value : [value];
+  let result = repeatable ? [] : undefined;
+  for (const item of values) {
+    if (typeof item !== 'string' && typeof item !== 'number') {
+      throw invalid(`expected ${repeatable ? 'a string or a list of strings' : 'a string or number'}, got ${JSON.stringify(item)}`);
+    }
+    try {
+      result = option.parseArg ? option.parseArg(String(item), repeatable ? result : option.defaultValue) : String(item);
+    } catch (error) {
+      throw invalid(error.message);
+    }
+  }
+  return result;
+}
+
+/**
+ * Load the configuration files and resolve the option values they set
+ * Later files override earlier ones (home, scanned directory, then --config), and the selected
+ * profile overrides the top-level settings of every file.
+ * @param {object} options - Loading options
+ * @param {Option[]} options.options - Commander options that can be configured
+ * @param {string} [options.directory] - Scanned directory, searched for a configuration file
+ * @param {string} [options.configFile] - Configuration file given on the command line
+ * @param {string} [options.profileName] - Profile to apply
+ * @returns {Map<string, *>} Option values by attribute name
+ */
+export function loadConfig({ options, directory, configFile, profileName }) {
+  const optionsByKey = new Map();
+  for (const option of options) {
+    // Options can be named like the flag (max-bandwidth) or in camelCase (maxBandwidth)
+    optionsByKey.set(option.name(), option);
+    optionsByKey.set(option.attributeName(), option);
+  }
+
+  const files = [path.join(os.homedir(), CONFIG_FILE_NAME)];
+  if (directory) {
+    files.push(path.join(directory, CONFIG_FILE_NAME));
+  }
+  const configs = [...new Set(files.map(file => path.resolve(file)))]
+    .map(file => ({ file, settings: readConfigFile(file, false) }))
+    .filter(config => config.settings);
+  if (configFile) {
+    configs.push({ file: configFile, settings: readConfigFile(configFile, true) });
+  }
+
+  const values = new Map();
+  const apply = (settings, where) => {
+    for (const [key, value] of Object.entries(settings)) {
+      const option = optionsByKey.get(key);
+      if (!option) {
+        throw new Error(`Unknown option '${key}' in ${where} (see --help for the options)`);
+      }
+      values.set(option.attributeName(), convertValue(option, value, where));
+    }
+  };
+
+  for (const { file, settings } of configs) {
+    const topLevel = { ...settings };
+    delete topLevel[PROFILES_KEY];
+    apply(topLevel, file);
+  }
+  if (profileName) {
+    const profiles = configs.filter(({ settings }) => settings[PROFILES_KEY] && Object.hasOwn(settings[PROFILES_KEY], profileName));
+    if (profiles.length === 0) {
+      const defined = [...new Set(configs.flatMap(({ settings }) => Object.keys(settings[PROFILES_KEY] || {})))];
+      const hint = defined.length > 0 ? `defined profiles: ${defined.join(', ')}` : `no profiles are defined in ${configs.length > 0 ? configs.map(config => config.file).join(', ') : `any ${CONFIG_FILE_NAME} file`}`;
+      throw new Error(`Unknown profile '${profileName}' (${hint})`);
+    }
+    for (const { file, settings } of profiles) {
+      apply(settings[PROFILES_KEY][profileName], `${file} (profile ${profileName})`);
+    }
+  }
+  return values;
+}
@@ -0,0 +1,306 @@
+import path from 'path';
+import chalk from 'chalk';
+import { formatSize } from './utils.js';
+
+/**
+ * Live dashboard of a scan and upload
+ * On a terminal the dashboard is redrawn a few times a second below the regular output,
+ * which keeps scrolling above it. Elsewhere (pipes, log files, CI) it prints a plain status
+ * line every few seconds instead.
+ */
+
+// How often the dashboard is redrawn on a terminal, in ms
+const RENDER_INTERVAL = 250;
+
+// How often a status line is printed when the output isn't a terminal, in ms
+const LOG_INTERVAL = 10 * 1000;
+
+// Time window the current rates are measured over, in ms
+const RATE_WINDOW = 5 * 1000;
+
+// Number of active transfers and failures listed
+const LISTED_TRANSFERS = 8;
+const LISTED_FAILURES = 5;
+
+// Width of the progress bars, in characters
+const BAR_WIDTH = 20;
+
+const HIDE_CURSOR = '\x1b[?25l';
+const SHOW_CURSOR = '\x1b[?25h';
+
+// Color codes, to measure the visible width of a line
+const ANSI_CODES = /\x1b\[[0-9;]*m/g;
+
+// Format a duration as h:mm:ss
+function formatDuration(ms) {
+  const seconds = Math.round(ms / 1000);
+  const pad = value => String(value).padStart(2, '0');
+  return `${Math.floor(seconds / 3600)}:${pad(Math.floor(seconds / 60) % 60)}:${pad(seconds % 60)}`;
+}
+
+// Progress bar of a fraction between 0 and 1
+function progressBar(fraction) {
+  const filled = Math.round(Math.min(1, Math.max(0, fraction)) * BAR_WIDTH);
+  return chalk.green('█'.repeat(filled)) + chalk.gray('░'.repeat(BAR_WIDTH - filled));
+}
+
+// Cut a line to the terminal width (dropping its colors if it is too long)
+function fitLine(line, columns) {
+  const plain = line.replace(ANSI_CODES, '');
+  return plain.length < columns ? line : plain.slice(0, columns - 2) + '…';
+}
+
+/**
+ * Rate of a growing counter over the last few seconds
+ */
+class RateMeter {
+  constructor() {
+    this.samples = [];
+  }
+
+  /**
+   * Record the current value of the counter
+   * @param {number} value - Counter value
+   * @param {number} now - Current time (timestamp in ms)
+   */
+  add(value, now) {
+    this.samples.push({ value, time: now });
+    while (this.samples.length > 2 && now - this.samples[0].time > RATE_WINDOW) {
+      this.samples.shift();
+    }
+  }
+
+  /**
+   * Change of the counter per second
+   * @returns {number}
+   */
+  get rate() {
+    const first = this.samples[0];
+    const last = this.samples[this.samples.length - 1];
+    if (!first || last.time === first.time) {
+      return 0;
+    }
+    return (last.value - first.value) / (last.time - first.time) * 1000;
+  }
+}
+
+/**
+ * Progress dashboard fed by the callbacks of the scanner and the uploader
+ */
+export class Dashboard {
+  /**
+   * @param {object} [options] - Dashboard options
+   * @param {stream.Writable} [options.stream] - Output stream (default: stdout)
+   */
+  constructor(options = {}) {
+    this.stream = options.stream || process.stdout;
+    this.interactive = Boolean(this.stream.isTTY);
+    this.phase = null;
+    this.startTime = Date.now();
+    this.scan = null;
+    this.workers = [];
+    this.upload = null;
+    this.transfers = new Map(); // { file, sent } by path
+    this.failures = new Map(); // Error by path
+    this.renderedLines = 0;
+    this.lastLogTime = Date.now();
+    this.timer = null;
+    this.console = null;
+    this.restoreCursor = () => this.stream.write(SHOW_CURSOR);
+  }
+
+  /**
+   * Start drawing (or logging) the dashboard
+   * On a terminal, console output is printed above the dashboard while it is shown.
+   */
+  start() {
+    if (this.interactive) {
+      this.console = { log: console.log, error: console.error };
+      console.log = (...args) => this.printAbove(this.console.log, args);
+      console.error = (...args) => this.printAbove(this.console.error, args);
+      this.stream.write(HIDE_CURSOR);
+      process.once('exit', this.restoreCursor);
+    }
+    this.timer = setInterval(() => this.tick(), RENDER_INTERVAL);
+  }
+
+  /**
+   * Stop the dashboard, removing it from the terminal
+   */
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+    if (this.console) {
+      this.clear();
+      console.log = this.console.log;
+      console.error = this.console.error;
+      this.console = null;
+      this.restoreCursor();
+      process.removeListener('exit', this.restoreCursor);
+    }
+  }
+
+  /**
+   * Switch to the scan of a directory
+   * @param {string} directory - Scanned directory
+   * @returns {object} Options for scanDirectoryParallel (onProgress, onWorkerStatus and progressInterval)
+   */
+  startScan(directory) {
+    this.phase = 'scan';
+    this.scan = { directory, files: 0, bytes: 0, directories: 0, fileRate: new RateMeter(), byteRate: new RateMeter() };
+    this.workers = [];
+    return {
+      progressInterval: RENDER_INTERVAL,
+      onProgress: ({ files, bytes, directories }) => {
+        Object.assign(this.scan, { files, bytes, directories });
+      },
+      onWorkerStatus: (status) => {
+        this.workers[status.worker] = status;
+      }
+    };
+  }
+
+  /**
+   * Switch to an upload
+   * @param {string} bucket - S3 bucket name
+   * @param {number} totalFiles - Number of files to upload
+   * @param {number} totalBytes - Their total size
+   * @returns {object} Options for uploadFilesToS3 (onFileStart, onFileProgress and onFileDone)
+   */
+  startUpload(bucket, totalFiles, totalBytes) {
+    this.phase = 'upload';
+    this.upload = { bucket, totalFiles, totalBytes, completed: 0, bytes: 0, byteRate: new RateMeter() };
+    return {
+      onFileStart: (file) => {
+        this.transfers.set(file.filepath, { file, sent: 0 });
+      },
+      onFileProgress: (file, bytes) => {
+        const transfer = this.transfers.get(file.filepath);
+        if (transfer) {
+          transfer.sent += bytes;
+        }
+        this.upload.bytes += bytes;
+      },
+      onFileDone: (file) => {
+        this.transfers.delete(file.filepath);
+        if (file.status === 'failed') {
+          this.failures.set(file.filepath, file.error);
+        } else {
+          // Files recovered by the retry pass are no failures any more
+          this.failures.delete(file.filepath);
+          this.upload.completed++;
+        }
+      }
+    };
+  }
+
+  // Print console output above the dashboard, which is redrawn on the next tick
+  printAbove(print, args) {
+    this.clear();
+    print(...args);
+  }
+
+  // Remove the dashboard from the terminal
+  clear() {
+    if (this.renderedLines > 0) {
+      this.stream.write(`\x1b[${this.renderedLines}F\x1b[0J`);
+      this.renderedLines = 0;
+    }
+  }
+
+  // Record the counters of the current phase for its rates
+  sample(now) {
+    if (this.phase === 'scan') {
+      this.scan.fileRate.add(this.scan.files, now);
+      this.scan.byteRate.add(this.scan.bytes, now);
+    } else if (this.phase === 'upload') {
+      this.upload.byteRate.add(this.upload.bytes, now);
+    }
+  }
+
+  // Sample the rates, then redraw the dashboard or print a status line when it is time to
+  tick() {
+    const now = Date.now();
+    this.sample(now);
+    if (this.interactive) {
+      this.render();
+    } else if (now - this.lastLogTime >= LOG_INTERVAL) {
+      this.lastLogTime = now;
+      this.logStatus();
+    }
+  }
+
+  // Redraw the dashboard
+  render() {
+    const columns = this.stream.columns || 80;
+    const rows = this.stream.rows || 24;
+    const lines = this.buildLines().slice(0, Math.max(1, rows - 2)).map(line => fitLine(line, columns));
+    this.clear();
+    this.stream.write(lines.join('\n') + '\n');
+    this.renderedLines = lines.length;
+  }
+
+  /**
+   * Lines of the dashboard
+   * @returns {string[]}
+   */
+  buildLines() {
+    const now = Date.now();
+    const lines = [chalk.bold(`SpeedGrabber - ${this.phase === 'upload' ? 'uploading' : 'scanning'}`) + chalk.gray(` (${formatDuration(now - this.startTime)})`)];
+
+    if (this.scan) {
+      const { files, bytes, directories, fileRate, byteRate } = this.scan;
+      const rates = this.phase === 'scan' ? ` - ${Math.round(fileRate.rate).toLocaleString()} files/s, ${formatSize(byteRate.rate)}/s` : '';
+      lines.push(`${chalk.yellow('Scan:')} ${files.toLocaleString()} files, ${formatSize(bytes)}, ${directories.toLocaleString()} directories${rates}`);
+    }
+
+    if (this.phase === 'scan') {
+      this.workers.forEach((status, index) => {
+        const activity = status.state === 'scanning'
+          ? `scanning ${chalk.cyan(path.relative(this.scan.directory, status.directory) || '.')}${status.directories > 1 ? chalk.gray(` +${status.directories - 1} directories`) : ''}`
+          : chalk.gray('idle');
+        lines.push(`  Worker ${index + 1}: ${activity} ${chalk.gray(`(${status.files.toLocaleString()} files)`)}`);
+      });
+    }
+
+    if (this.upload) {
+      const { completed, totalFiles, bytes, totalBytes, byteRate } = this.upload;
+      const rate = byteRate.rate;
+      const eta = rate > 0 && totalBytes > bytes ? formatDuration((totalBytes - bytes) / rate * 1000) : '-';
+      const fraction = totalBytes > 0 ? bytes / totalBytes : completed / Math.max(1, totalFiles);
+      lines.push(`${chalk.yellow('Upload:')} ${progressBar(fraction)} ${(fraction * 100).toFixed(1)}% - ${completed.toLocaleString()}/${totalFiles.toLocaleString()} files, ${formatSize(bytes)} of ${formatSize(totalBytes)}, ${formatSize(rate)}/s, ETA ${eta}`);
+
+      if (this.transfers.size > 0) {
+        lines.push(chalk.yellow(`Active transfers (${this.transfers.size}):`));
+        const transfers = [...this.transfers.values()].sort((a, b) => b.file.size - a.file.size).slice(0, LISTED_TRANSFERS);
+        transfers.forEach(({ file, sent }) => {
+          const fraction = file.size > 0 ? sent / file.size : 0;
+          lines.push(`  ${progressBar(fraction)} ${`${Math.round(fraction * 100)}%`.padStart(4)} ${formatSize(file.size).padStart(10)} ${chalk.cyan(path.basename(file.filepath))}`);
+        });
+      }
+    }
+
+    if (this.failures.size > 0) {
+      lines.push(chalk.red(`Failures (${this.failures.size}):`));
+      [...this.failures].slice(-LISTED_FAILURES).forEach(([filepath, error]) => {
+        lines.push(`  ${chalk.cyan(filepath)} ${chalk.red(error)}`);
+      });
+    }
+    return lines;
+  }
+
+  // Print a plain status line
+  logStatus() {
+    const elapsed = `[${formatDuration(Date.now() - this.startTime)}]`;
+    if (this.phase === 'scan') {
+      const { files, bytes, directories, fileRate } = this.scan;
+      console.log(`${elapsed} Scan: ${files.toLocaleString()} files, ${formatSize(bytes)}, ${directories.toLocaleString()} directories, ${Math.round(fileRate.rate).toLocaleString()} files/s`);
+    } else if (this.phase === 'upload') {
+      const { completed, totalFiles, bytes, totalBytes, byteRate } = this.upload;
+      const rate = byteRate.rate;
+      const eta = rate > 0 && totalBytes > bytes ? `, ETA ${formatDuration((totalBytes - bytes) / rate * 1000)}` : '';
+      const failed = this.failures.size > 0 ? `, ${this.failures.size.toLocaleString()} failed` : '';
+      console.log(`${elapsed} Upload: ${completed.toLocaleString()}/${totalFiles.toLocaleString()} files, ${formatSize(bytes)} of ${formatSize(totalBytes)}, ${formatSize(rate)}/s${eta}, ${this.transfers.size} active${failed}`);
+    }
+  }
+}
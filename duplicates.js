@@ -0,0 +1,98 @@
+import path from 'path';
+import chalk from 'chalk';
+import { hashFilesParallel } from './scanner.js';
+import { formatSize } from './utils.js';
+
+/**
+ * Duplicate file detection
+ * Files are grouped by size first; only files sharing their size with another file
+ * are hashed, and files with the same size and hash are reported as duplicates.
+ */
+
+// Hash algorithm used for duplicate detection when the scan didn't hash the files
+export const DEFAULT_DUPLICATE_HASH = 'sha256';
+
+// Number of groups listed by printDuplicateReport unless verbose
+const TOP_GROUPS = 10;
+
+// Group items by a key, dropping the groups with a single item
+function groupsOfSeveral(items, keyOf) {
+  const groups = new Map();
+  for (const item of items) {
+    const key = keyOf(item);
+    if (key === null) {
+      continue;
+    }
+    const group = groups.get(key);
+    if (group) {
+      group.push(item);
+    } else {
+      groups.set(key, [item]);
+    }
+  }
+  return [...groups.values()].filter(group => group.length > 1);
+}
+
+/**
+ * Find files with identical content
+ * Files that already have a hash (e.g. from a scan with --hash) are not hashed again. Empty
+ * files are ignored.
+ * @param {object[]} files - File records with filepath, size and an optional hash
+ * @param {object} [options] - Detection options
+ * @param {string} [options.algorithm] - Hash algorithm for files without a hash
+ * @param {number} [options.workers] - Number of worker threads used for hashing
+ * @param {boolean} [options.showProgress] - Whether to show hashing progress
+ * @returns {Promise<object>} Groups ({ size, hash, files, wastedBytes }, most wasted bytes first),
+ *   duplicateFiles, wastedBytes and the number of comparedFiles (files sharing their size)
+ */
+export async function findDuplicates(files, options = {}) {
+  const candidates = groupsOfSeveral(files.filter(file => file.size > 0), file => file.size).flat();
+  const unhashed = candidates.filter(file => !file.hash);
+
+  await hashFilesParallel(unhashed, {
+    algorithm: options.algorithm || DEFAULT_DUPLICATE_HASH,
+    workers: options.workers,
+    showProgress: options.showProgress
+  });
+
+  const groups = groupsOfSeveral(candidates, file => file.hash ? `${file.size}:${file.hash}` : null)
+    .map(group => ({
+      size: group[0].size,
+      hash: group[0].hash,
+      files: group.map(file => file.filepath).sort(),
+      wastedBytes: group[0].size * (group.length - 1)
+    }))
+    .sort((a, b) => b.wastedBytes - a.wastedBytes);
+
+  return {
+    groups,
+    duplicateFiles: groups.reduce((sum, group) => sum + group.files.length - 1, 0),
+    wastedBytes: groups.reduce((sum, group) => sum + group.wastedBytes, 0),
+    comparedFiles: candidates.length
+  };
+}
+
+/**
+ * Print the result of findDuplicates
+ * @param {object} report - Report returned by findDuplicates
+ * @param {string} basePath - Directory the listed paths are shown relative to
+ * @param {boolean} verbose - Whether to list every group instead of the largest ones
+ */
+export function printDuplicateReport(report, basePath, verbose) {
+  console.log(chalk.yellow('\nDuplicate files:'));
+  console.log(`Files compared by content: ${chalk.bold(report.comparedFiles.toLocaleString())}`);
+  console.log(`Groups of identical files: ${chalk.bold(report.groups.length.toLocaleString())}`);
+  console.log(`Duplicate files: ${chalk.bold(report.duplicateFiles.toLocaleString())}`);
+  console.log(`Wasted space: ${chalk.bold(formatSize(report.wastedBytes))}`);
+
+  const shown = verbose ? report.groups : report.groups.slice(0, TOP_GROUPS);
+  shown.forEach(group => {
+    console.log(`\n${chalk.bold(formatSize(group.wastedBytes))} wasted - ${group.files.length} copies of ${formatSize(group.size)} ${chalk.gray(group.hash)}`);
+    group.files.forEach(filepath => {
+      console.log(`  ${chalk.cyan(path.relative(basePath, filepath))}`);
+    });
+  });
+  if (shown.length < report.groups.length) {
+    console.log(chalk.gray(`\n${(report.groups.length - shown.length).toLocaleString()} more groups (use --verbose to list all)`));
+  }
+}
@@ -1,15 +1,27 @@
+// Upload states a file record moves through; mismatch marks uploaded files that failed verification
+export const FILE_STATUSES = ['ready', 'transfer', 'done', 'failed', 'mismatch'];
+
 /**
  * File structure class to manage file information and statistics
  */
 export class FileStructure {
-  constructor() {
+  /**
+   * @param {object} [options] - Structure options
+   * @param {boolean} [options.storeFiles] - Keep the file records, not just the totals (default: true)
+   */
+  constructor(options = {}) {
     this.files = [];
     this.totalSize = 0;
     this.totalFiles = 0;
     this.processedDirs = 0;
-    this.storeFiles = true; // Always store files if upload is needed
+    this.storeFiles = options.storeFiles ?? true; // Always store files if upload is needed
     this.firstLevelFolders = []; // Array to store first level folders
+    this.folderTotals = new Map(); // Totals by folder down to the aggregation depth of the scan (see buildFolderTree)
     this.rootDirName = ''; // Store the root directory name
+    this.symlinks = []; // Symbolic links recorded as their own entries
+    this.totalSymlinks = 0;
+    this.skippedSymlinks = 0; // Symbolic links that were not followed or recorded
+    this.breakdown = null; // ScanStatistics of the scan (extensions, sizes, ages, largest entries)
   }
 
   // Set the root directory name (leaf segment of the supplied path)
@@ -47,6 +59,17 @@ export class FileStructure {
     }
   }
 
+  // Add files to the totals of a folder, deeper files included when it is at the aggregation depth
+  addFolderTotals(folderPath, fileCount, totalSize) {
+    const totals = this.folderTotals.get(folderPath);
+    if (totals) {
+      totals.fileCount += fileCount;
+      totals.totalSize += totalSize;
+    } else {
+      this.folderTotals.set(folderPath, { fileCount, totalSize });
+    }
+  }
+
   addBatch(filesBatch) {
     for (const file of filesBatch) {
       if (this.storeFiles) {
@@ -57,6 +80,23 @@ export class FileStructure {
     this.totalFiles += filesBatch.length;
   }
 
+  // Add recorded symbolic links ({ filepath, target, status })
+  addSymlinks(symlinks) {
+    if (this.storeFiles) {
+      this.symlinks.push(...symlinks);
+    }
+    this.totalSymlinks += symlinks.length;
+  }
+
+  // Set the detailed statistics the scanner merges its results into
+  setBreakdown(breakdown) {
+    this.breakdown = breakdown;
+  }
+
+  addSkippedSymlinks(count) {
+    this.skippedSymlinks += count;
+  }
+
   incrementProcessedDirs(count = 1) {
     this.processedDirs += count;
   }
@@ -68,7 +108,12 @@ export class FileStructure {
       files: this.files,
       processedDirs: this.processedDirs,
       firstLevelFolders: this.firstLevelFolders,
-      rootDirName: this.rootDirName
+      folderTotals: this.folderTotals,
+      rootDirName: this.rootDirName,
+      symlinks: this.symlinks,
+      totalSymlinks: this.totalSymlinks,
+      skippedSymlinks: this.skippedSymlinks,
+      breakdown: this.breakdown ? this.breakdown.summarize() : null
     };
   }
 
@@ -77,11 +122,15 @@ export class FileStructure {
   }
 
   // Get upload statistics
+  // Files skipped because they already existed count as done, and are also counted in skipped
   getUploadStatistics() {
     const statusCounts = {
       ready: 0,
       transfer: 0,
       done: 0,
+      mismatch: 0,
+      skipped: 0,
+      bytesUploaded: 0,
       failed: []
     };
 
@@ -91,6 +140,13 @@ export class FileStructure {
       } else {
         statusCounts[file.status] = (statusCounts[file.status] || 0) + 1;
       }
+      if (file.status === 'done') {
+        if (file.skipped) {
+          statusCounts.skipped++;
+        } else {
+          statusCounts.bytesUploaded += file.size;
+        }
+      }
     }
 
     return statusCounts;
@@ -99,5 +155,6 @@ export class FileStructure {
   // Clear all files to free up memory
   clearFiles() {
     this.files = [];
+    this.symlinks = [];
   }
 }
@@ -0,0 +1,282 @@
+import fs from 'fs';
+import path from 'path';
+
+/**
+ * Entry filtering for SpeedGrabber
+ * Combines --include/--exclude globs, gitignore-style .speedgrabberignore
+ * files and the --min-size / --newer-than predicates
+ */
+
+// Name of the ignore files picked up anywhere in the scanned tree
+export const IGNORE_FILE_NAME = '.speedgrabberignore';
+
+/**
+ * Convert a glob pattern to a regular expression source
+ * Supports *, **, ?, [...] character classes and {a,b} alternatives
+ * @param {string} glob - Glob pattern using '/' as separator
+ * @returns {string} Regular expression source (without anchors)
+ */
+export function globToRegExpSource(glob) {
+  let source = '';
+  let braceDepth = 0;
+
+  for (let i = 0; i < glob.length; i++) {
+    const char = glob[i];
+
+    if (char === '*') {
+      if (glob[i + 1] === '*') {
+        // '**/' matches zero or more directories, a trailing '**' matches everything
+        if (glob[i + 2] === '/') {
+          source += '(?:.*/)?';
+          i += 2;
+        } else {
+          source += '.*';
+          i += 1;
+        }
+      } else {
+        source += '[^/]*';
+      }
+    } else if (char === '?') {
+      source += '[^/]';
+    } else if (char === '[') {
+      const end = glob.indexOf(']', i + 1);
+      if (end === -1) {
+        source += '\\[';
+      } else {
+        let content = glob.slice(i + 1, end).replace(/\\/g, '\\\\');
+        if (content.startsWith('!')) {
+          content = '^' + content.slice(1);
+        }
+        source += `[${content}]`;
+        i = end;
+      }
+    } else if (char === '{') {
+      source += '(?:';
+      braceDepth++;
+    } else if (char === '}' && braceDepth > 0) {
+      source += ')';
+      braceDepth--;
+    } else if (char === ',' && braceDepth > 0) {
+      source += '|';
+    } else if (char === '\\' && i + 1 < glob.length) {
+      source += glob[++i].replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+    } else {
+      source += char.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+    }
+  }
+
+  return source;
+}
+
+/**
+ * Compile a single gitignore-style pattern into a rule
+ * @param {string} pattern - Pattern line (already trimmed, not a comment)
+ * @returns {object|null} Rule with regex, negate and dirOnly properties
+ */
+function compilePattern(pattern) {
+  let negate = false;
+  let dirOnly = false;
+
+  if (pattern.startsWith('!')) {
+    negate = true;
+    pattern = pattern.slice(1);
+  }
+  if (pattern.endsWith('/')) {
+    dirOnly = true;
+    pattern = pattern.replace(/\/+$/, '');
+  }
+  if (!pattern) {
+    return null;
+  }
+
+  // Patterns containing a slash are anchored to their base directory,
+  // the others match an entry name at any depth
+  const anchored = pattern.includes('/');
+  pattern = pattern.replace(/^\/+/, '');
+  const source = anchored
+    ? `^${globToRegExpSource(pattern)}$`
+    : `(?:^|/)${globToRegExpSource(pattern)}$`;
+
+  return { regex: new RegExp(source), negate, dirOnly };
+}
+
+/**
+ * Parse the content of an ignore file into pattern lines
+ * @param {string} content - File content
+ * @returns {string[]} Patterns, without comments and blank lines
+ */
+export function parseIgnoreFile(content) {
+  return content
+    .split(/\r?\n/)
+    .map(line => line.replace(/(?<!\\)\s+$/, ''))
+    .filter(line => line && !line.startsWith('#'));
+}
+
+/**
+ * Parse a --newer-than value into a timestamp
+ * Accepts a relative age (e.g. "30m", "12h", "7d", "2w") or any date Date.parse understands
+ * @param {string} value - Threshold value
+ * @returns {number} Timestamp in milliseconds
+ */
+export function parseTimeThreshold(value) {
+  const units = { s: 1000, m: 60 * 1000, h: 3600 * 1000, d: 86400 * 1000, w: 7 * 86400 * 1000 };
+  const match = /^(\d+(?:\.\d+)?)\s*([smhdw])$/i.exec(String(value).trim());
+
+  if (match) {
+    return Date.now() - parseFloat(match[1]) * units[match[2].toLowerCase()];
+  }
+
+  const timestamp = Date.parse(value);
+  if (Number.isNaN(timestamp)) {
+    throw new Error(`Invalid time value: ${value}`);
+  }
+  return timestamp;
+}
+
+/**
+ * Filter deciding which directories are descended into and which files are kept
+ * Instances are immutable; entering a directory with an ignore file yields a new filter.
+ * The configuration is plain data so it can be passed to worker threads.
+ */
+export class ScanFilter {
+  /**
+   * @param {object} config - Filter configuration
+   * @param {string} config.rootDir - Scan root, globs are matched relative to it
+   * @param {string[]} [config.include] - Globs a file must match to be kept
+   * @param {string[]} [config.exclude] - Globs of files and directories to skip
+   * @param {number} [config.minSize] - Minimum file size in bytes
+   * @param {number} [config.newerThan] - Minimum modification time (timestamp in ms)
+   * @param {object[]} [config.ignoreRules] - Loaded ignore files as { base, patterns }
+   */
+  constructor(config) {
+    this.config = {
+      rootDir: config.rootDir,
+      include: config.include || [],
+      exclude: config.exclude || [],
+      minSize: config.minSize || 0,
+      newerThan: config.newerThan || 0,
+      ignoreRules: config.ignoreRules || []
+    };
+
+    this.includeRules = this.config.include.map(compilePattern).filter(Boolean);
+    this.excludeRules = this.config.exclude.map(compilePattern).filter(Boolean);
+    this.ignoreRules = this.config.ignoreRules.map(({ base, patterns }) => ({
+      base,
+      rules: patterns.map(compilePattern).filter(Boolean)
+    }));
+  }
+
+  // Serializable configuration for worker threads
+  toJSON() {
+    return this.config;
+  }
+
+  /**
+   * Return the filter to use inside a directory, loading its ignore file if it has one
+   * @param {string} dirPath - Directory being scanned
+   * @param {fs.Dirent[]} entries - Entries of the directory as returned by readdir
+   * @returns {Promise<ScanFilter>} This filter or a new one including the ignore file
+   */
+  async enterDirectory(dirPath, entries) {
+    if (!entries.some(entry => entry.name === IGNORE_FILE_NAME && entry.isFile())) {
+      return this;
+    }
+
+    try {
+      const content = await fs.promises.readFile(path.join(dirPath, IGNORE_FILE_NAME), 'utf8');
+      const patterns = parseIgnoreFile(content);
+      if (patterns.length === 0) {
+        return this;
+      }
+      return new ScanFilter({
+        ...this.config,
+        ignoreRules: [...this.config.ignoreRules, { base: dirPath, patterns }]
+      });
+    } catch (error) {
+      // Unreadable ignore files are treated as empty
+      return this;
+    }
+  }
+
+  /**
+   * Check an entry against the exclude globs and ignore files
+   * @param {string} entryPath - Absolute path of the entry
+   * @param {boolean} isDirectory - Whether the entry is a directory
+   * @returns {boolean} True if the entry is excluded
+   */
+  isExcluded(entryPath, isDirectory) {
+    const relativePath = toPosix(path.relative(this.config.rootDir, entryPath));
+
+    if (matchesAny(this.excludeRules, relativePath, isDirectory)) {
+      return true;
+    }
+
+    // Ignore files are evaluated in order, the last matching pattern wins
+    let ignored = false;
+    for (const { base, rules } of this.ignoreRules) {
+      const rulePath = toPosix(path.relative(base, entryPath));
+      for (const rule of rules) {
+        if ((!rule.dirOnly || isDirectory) && rule.regex.test(rulePath)) {
+          ignored = !rule.negate;
+        }
+      }
+    }
+    return ignored;
+  }
+
+  /**
+   * Whether a directory should be descended into
+   * @param {string} dirPath - Absolute path of the directory
+   * @returns {boolean}
+   */
+  acceptsDirectory(dirPath) {
+    return !this.isExcluded(dirPath, true);
+  }
+
+  /**
+   * Whether a file should be kept, judged by its path only
+   * @param {string} filePath - Absolute path of the file
+   * @returns {boolean}
+   */
+  acceptsFilePath(filePath) {
+    if (this.isExcluded(filePath, false)) {
+      return false;
+    }
+    if (this.includeRules.length > 0) {
+      const relativePath = toPosix(path.relative(this.config.rootDir, filePath));
+      return matchesAny(this.includeRules, relativePath, false);
+    }
+    return true;
+  }
+
+  /**
+   * Whether a file should be kept, judged by its stats
+   * @param {fs.Stats} stats - File stats
+   * @returns {boolean}
+   */
+  acceptsStats(stats) {
+    if (stats.size < this.config.minSize) {
+      return false;
+    }
+    if (this.config.newerThan && stats.mtimeMs < this.config.newerThan) {
+      return false;
+    }
+    return true;
+  }
+}
+
+// Check a path against a list of rules, honoring negated patterns
+function matchesAny(rules, relativePath, isDirectory) {
+  let matched = false;
+  for (const rule of rules) {
+    if ((!rule.dirOnly || isDirectory) && rule.regex.test(relativePath)) {
+      matched = !rule.negate;
+    }
+  }
+  return matched;
+}
+
+// Normalize path separators so patterns can always use '/'
+function toPosix(filePath) {
+  return path.sep === '/' ? filePath : filePath.split(path.sep).join('/');
+}
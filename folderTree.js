@@ -0,0 +1,145 @@
+import path from 'path';
+import chalk from 'chalk';
+import { formatSize } from './utils.js';
+
+/**
+ * du-style folder tree
+ * The scan aggregates file counts and sizes per folder down to a given depth (files deeper
+ * down count in their ancestor at that depth); the tree rolls them up to every level.
+ */
+
+// Default depth the folder totals are aggregated to
+export const DEFAULT_AGGREGATION_DEPTH = 1;
+
+/**
+ * Depth of a folder below the scanned directory (0 for the directory itself)
+ * @param {string} rootPath - Scanned directory
+ * @param {string} folderPath - Folder inside it
+ * @returns {number}
+ */
+export function folderDepth(rootPath, folderPath) {
+  const relativePath = path.relative(rootPath, folderPath);
+  return relativePath ? relativePath.split(path.sep).length : 0;
+}
+
+/**
+ * Folder a directory's files are aggregated in: the directory itself, or its ancestor at the
+ * aggregation depth if it is deeper
+ * @param {string} rootPath - Scanned directory
+ * @param {string} dirPath - Directory inside it
+ * @param {number} depth - Aggregation depth
+ * @returns {string}
+ */
+export function aggregationFolder(rootPath, dirPath, depth) {
+  const relativePath = path.relative(rootPath, dirPath);
+  if (!relativePath) {
+    return rootPath;
+  }
+  return path.join(rootPath, ...relativePath.split(path.sep).slice(0, depth));
+}
+
+/**
+ * Build the folder tree of a scan
+ * @param {string} rootPath - Scanned directory
+ * @param {Map<string, object>} folderTotals - { fileCount, totalSize } by folder, as aggregated by the scan
+ * @returns {object} Root node; every node has name, path, fileCount and totalSize (including the
+ *   subfolders), ownFileCount and ownSize (files not in any of its listed subfolders) and its
+ *   children, largest first
+ */
+export function buildFolderTree(rootPath, folderTotals) {
+  const createNode = folderPath => ({
+    name: path.basename(folderPath),
+    path: folderPath,
+    fileCount: 0,
+    totalSize: 0,
+    ownFileCount: 0,
+    ownSize: 0,
+    children: []
+  });
+  const root = createNode(rootPath);
+  const nodes = new Map([[rootPath, root]]);
+
+  // Create the nodes of a folder and its missing ancestors
+  function nodeOf(folderPath) {
+    let node = nodes.get(folderPath);
+    if (!node) {
+      node = createNode(folderPath);
+      nodes.set(folderPath, node);
+      nodeOf(path.dirname(folderPath)).children.push(node);
+    }
+    return node;
+  }
+
+  for (const [folderPath, totals] of folderTotals) {
+    const node = nodeOf(folderPath);
+    node.ownFileCount += totals.fileCount;
+    node.ownSize += totals.totalSize;
+  }
+
+  // Roll the totals up and sort the children
+  function rollUp(node) {
+    node.fileCount = node.ownFileCount;
+    node.totalSize = node.ownSize;
+    for (const child of node.children) {
+      rollUp(child);
+      node.fileCount += child.fileCount;
+      node.totalSize += child.totalSize;
+    }
+    node.children.sort((a, b) => b.totalSize - a.totalSize || (a.name < b.name ? -1 : 1));
+  }
+  rollUp(root);
+  return root;
+}
+
+// Share of a total as a percentage
+function share(bytes, total) {
+  return total > 0 ? bytes / total * 100 : 0;
+}
+
+/**
+ * Print a folder tree like du, largest entries first
+ * @param {object} tree - Root node from buildFolderTree
+ * @param {object} [options] - Display options
+ * @param {number} [options.minShare] - Hide entries smaller than this percentage of the total
+ *   (they are summed up in one line per folder)
+ * @param {number} [options.depth] - Aggregation depth the tree was built with, for the title
+ */
+export function printFolderTree(tree, options = {}) {
+  const minShare = options.minShare || 0;
+  const total = tree.totalSize;
+  const line = (size, name, prefix = '') => {
+    const percent = `${share(size, total).toFixed(1)}%`.padStart(6);
+    console.log(`${chalk.bold(formatSize(size).padStart(10))} ${percent}  ${prefix}${name}`);
+  };
+
+  const details = [options.depth !== undefined ? `depth ${options.depth}` : null, minShare > 0 ? `entries under ${minShare}% hidden` : null].filter(Boolean);
+  console.log(chalk.yellow(`\nFolder tree of '${tree.name}'${details.length > 0 ? ` (${details.join(', ')})` : ''}:`));
+  line(tree.totalSize, chalk.cyan(tree.name));
+
+  function printChildren(node, indent) {
+    // Files outside the listed subfolders are shown as one entry next to them
+    const entries = node.children.map(child => ({ node: child, size: child.totalSize }));
+    if (node.children.length > 0 && node.ownFileCount > 0) {
+      entries.push({ files: node.ownFileCount, size: node.ownSize });
+      entries.sort((a, b) => b.size - a.size);
+    }
+    const shown = entries.filter(entry => share(entry.size, total) >= minShare);
+    const hidden = entries.filter(entry => share(entry.size, total) < minShare);
+
+    shown.forEach((entry, index) => {
+      const last = index === shown.length - 1 && hidden.length === 0;
+      const prefix = indent + (last ? '└── ' : '├── ');
+      if (entry.node) {
+        line(entry.size, chalk.cyan(entry.node.name), chalk.gray(prefix));
+        printChildren(entry.node, indent + (last ? '    ' : '│   '));
+      } else {
+        line(entry.size, chalk.gray(`(${entry.files.toLocaleString()} files)`), chalk.gray(prefix));
+      }
+    });
+    if (hidden.length > 0) {
+      const hiddenSize = hidden.reduce((sum, entry) => sum + entry.size, 0);
+      line(hiddenSize, chalk.gray(`(${hidden.length.toLocaleString()} smaller entries)`), chalk.gray(indent + '└── '));
+    }
+  }
+  printChildren(tree, '');
+}
@@ -2,135 +2,967 @@
 
 import fs from 'fs';
 import path from 'path';
-import { Command } from 'commander';
+import { Command, Option, InvalidArgumentError } from 'commander';
 import chalk from 'chalk';
 import { isMainThread } from 'worker_threads';
 
 // Import modules
-import { FileStructure } from './fileStructure.js';
-import { scanDirectoryParallel } from './scanner.js';
+import { FileStructure, FILE_STATUSES } from './fileStructure.js';
+import { scanDirectoryParallel, SYMLINK_MODES, HASH_ALGORITHMS } from './scanner.js';
 import { uploadFilesToS3 } from './uploader.js';
-import { formatSize } from './utils.js';
+import { compareWithRemote, printSyncSummary } from './sync.js';
+import { StateJournal } from './journal.js';
+import { DEFAULT_RETRIES, DEFAULT_RETRY_BACKOFF } from './retry.js';
+import { BandwidthLimiter, parseBandwidth, parseSchedule } from './throttle.js';
+import { verifyFiles, printVerifySummary } from './verify.js';
+import { findDuplicates, printDuplicateReport } from './duplicates.js';
+import { printBreakdown, DEFAULT_TOP_COUNT } from './statistics.js';
+import { buildFolderTree, printFolderTree, DEFAULT_AGGREGATION_DEPTH } from './folderTree.js';
+import { buildUploadPlan, printUploadPlan, writeUploadPlan } from './plan.js';
+import { RunReport, REPORT_FORMATS, EXIT_CODES } from './report.js';
+import { Dashboard } from './dashboard.js';
+import { SnapshotWriter, SnapshotDiff, loadSnapshot, readSnapshot, printSnapshotDiff, toSnapshotPath } from './snapshot.js';
+import { UploadWatcher, DEFAULT_SETTLE_SECONDS } from './watch.js';
+import { abortActiveUploads, DEFAULT_PART_SIZE, DEFAULT_PART_CONCURRENCY, MIN_PART_SIZE } from './multipart.js';
+import { S3Client, STORAGE_CLASSES, SSE_MODES, CANNED_ACLS } from './s3Client.js';
+import { ScanFilter, parseTimeThreshold } from './filters.js';
+import { ManifestWriter, MANIFEST_FORMATS, inferManifestFormat, readManifest, writeManifest } from './manifest.js';
+import { CONFIG_FILE_NAME, environmentVariable, loadConfig } from './config.js';
+import { formatSize, parseSize } from './utils.js';
+
+// Collect repeatable options into an array
+const collect = (value, previous) => previous.concat(value);
+
+// Wrap a parser so that its errors are reported by commander
+const argParser = (parse) => (value) => {
+  try {
+    return parse(value);
+  } catch (error) {
+    throw new InvalidArgumentError(error.message);
+  }
+};
+
+// Parse a count or duration that must be a non-negative integer
+const parseNonNegativeInt = (value) => {
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 0) {
+    throw new Error(`Invalid value: ${value} (expected a non-negative integer)`);
+  }
+  return number;
+};
+
+// Parse a count that must be at least 1
+const parsePositiveInt = (value) => {
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 1) {
+    throw new Error(`Invalid value: ${value} (expected a positive integer)`);
+  }
+  return number;
+};
+
+// Parse a percentage between 0 and 100
+const parsePercent = (value) => {
+  const number = Number(String(value).replace(/%$/, ''));
+  if (!Number.isFinite(number) || number < 0 || number > 100) {
+    throw new Error(`Invalid percentage: ${value} (expected a number from 0 to 100)`);
+  }
+  return number;
+};
+
+// Parse a multipart part size, which S3 requires to be at least 5 MB
+const parsePartSize = (value) => {
+  const size = parseSize(value);
+  if (size < MIN_PART_SIZE) {
+    throw new Error(`Part size must be at least ${formatSize(MIN_PART_SIZE)}`);
+  }
+  return size;
+};
+
+// Parse a comma-separated list of file statuses
+const parseStatusList = (value) => {
+  const statuses = value.split(',').map(status => status.trim()).filter(Boolean);
+  const unknown = statuses.filter(status => !FILE_STATUSES.includes(status));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown status ${unknown.join(', ')} (allowed: ${FILE_STATUSES.join(', ')})`);
+  }
+  return statuses;
+};
+
+// Report of the current run and the file it goes to (stdout when null), with --report
+let runReport = null;
+let reportFile = null;
+
+// Live dashboard of the run, with --dashboard
+let dashboard = null;
+
+/**
+ * Start collecting the report of the run, if requested
+ * With the report on stdout, the usual output goes to stderr and no progress is shown,
+ * so that stdout holds nothing but the report.
+ * @param {string} command - 'scan', 'upload', 'verify' or 'diff'
+ * @param {object} options - Parsed command line options
+ */
+function startReport(command, options) {
+  if (!options.report) {
+    return;
+  }
+  runReport = new RunReport(command);
+  reportFile = options.reportFile || null;
+  if (!reportFile) {
+    console.log = console.error;
+    options.progress = false;
+    options.dashboard = false;
+  }
+}
+
+/**
+ * End the run: print the error that ended it, write the report and exit
+ * @param {number} exitCode - One of EXIT_CODES
+ * @param {Error} [error] - Error that ended the run
+ * @returns {Promise<void>}
+ */
+async function finish(exitCode, error) {
+  dashboard?.stop();
+  if (error) {
+    console.error(chalk.red(`Error: ${error.message}`));
+  }
+  if (runReport) {
+    try {
+      await runReport.write(reportFile, exitCode, error);
+    } catch (writeError) {
+      console.error(chalk.red(`Error: cannot write the report: ${writeError.message}`));
+      exitCode = EXIT_CODES.fatal;
+    }
+  }
+  process.exit(exitCode);
+}
+
+/**
+ * Load the entries of a manifest into a FileStructure for uploading
+ * @param {string} file - Manifest file path (format taken from the extension)
+ * @param {object} options - Loading options
+ * @param {string} [options.basePath] - Directory the S3 keys are relative to (default: derived from the manifest)
+ * @param {string[]} [options.statuses] - Only load entries with one of these statuses
+ * @returns {Promise<object>} The fileStructure, the basePath used and the number of skipped entries
+ */
+async function loadManifest(file, options = {}) {
+  const fileStructure = new FileStructure();
+  fileStructure.enableFileStorage();
+  
+  let basePath = options.basePath;
+  let skipped = 0;
+  let batch = [];
+  const folderTotals = new Map();
+  
+  for await (const record of readManifest(file, inferManifestFormat(file))) {
+    if (options.statuses && !options.statuses.includes(record.status)) {
+      skipped++;
+      continue;
+    }
+    
+    // Without a directory argument, the base directory is where the relative paths start
+    if (!basePath) {
+      const relativePath = record.relativePath ? record.relativePath.split('/').join(path.sep) : null;
+      if (!relativePath || !record.filepath.endsWith(path.sep + relativePath)) {
+        throw new Error(`Cannot determine the base directory from ${file}, pass it as the directory argument`);
+      }
+      basePath = record.filepath.slice(0, -(relativePath.length + 1));
+    }
+    
+    const parts = path.relative(basePath, record.filepath).split(path.sep);
+    if (parts[0] === '..' || path.isAbsolute(parts[0])) {
+      // Files outside the base directory have no S3 key
+      skipped++;
+      continue;
+    }
+    if (parts.length > 1) {
+      const folderPath = path.join(basePath, parts[0]);
+      const totals = folderTotals.get(folderPath) || { fileCount: 0, totalSize: 0 };
+      totals.fileCount++;
+      totals.totalSize += record.size;
+      folderTotals.set(folderPath, totals);
+    }
+    
+    // Entries are uploaded again whatever their previous status was
+    batch.push({ filepath: record.filepath, size: record.size, mtime: record.mtime, status: 'ready' });
+    if (batch.length >= 1000) {
+      fileStructure.addBatch(batch);
+      batch = [];
+    }
+  }
+  
+  fileStructure.addBatch(batch);
+  if (basePath) {
+    fileStructure.setRootDirName(path.basename(basePath));
+  }
+  for (const [folderPath, totals] of folderTotals) {
+    fileStructure.addFirstLevelFolder(folderPath, totals.fileCount, totals.totalSize);
+  }
+  
+  return { fileStructure, basePath, skipped };
+}
+
+/**
+ * Create the S3 client for an upload and make sure the bucket can be reached
+ * Runs before scanning, so that bad options don't surface after hours of work.
+ * @param {object} options - Parsed command line options
+ * @returns {Promise<S3Client>}
+ */
+async function prepareS3Client(options) {
+  if (!options.bucket) {
+    throw new Error('S3 bucket name is required for upload. Use --bucket option.');
+  }
+  
+  // One limiter for all transfers, so the limit holds whatever the concurrency
+  const bandwidthLimiter = new BandwidthLimiter({ maxBandwidth: options.maxBandwidth, schedule: options.bandwidthSchedule });
+  
+  const client = await S3Client.fromEnvironment({
+    profile: options.profile,
+    region: options.region,
+    endpoint: options.endpointUrl,
+    storageClass: options.storageClass,
+    sse: options.sse,
+    acl: options.acl,
+    bandwidthLimiter: bandwidthLimiter.isActive ? bandwidthLimiter : null
+  });
+  
+  try {
+    await client.listObjectsV2(options.bucket, { maxKeys: 1 });
+  } catch (error) {
+    throw new Error(`Cannot access bucket ${options.bucket}: ${error.message}`);
+  }
+  return client;
+}
+
+/**
+ * Upload the files of a scan or a loaded manifest, then exit
+ * @param {FileStructure} fileStructure - Files to upload
+ * @param {string} basePath - Directory the S3 keys are relative to
+ * @param {object} options - Parsed command line options
+ * @param {S3Client} client - S3 client from prepareS3Client
+ * @returns {Promise<void>}
+ */
+async function runUpload(fileStructure, basePath, options, client) {
+  // Force garbage collection before upload if available
+  if (typeof globalThis.gc === 'function') {
+    try {
+      console.log(chalk.blue('Running garbage collection before upload...'));
+      globalThis.gc();
+    } catch (e) {
+      // Ignore errors if gc is not available
+    }
+  }
+  
+  // Journal the status transitions, skipping what a previous run already uploaded
+  // (a dry run only reads the journal)
+  let journal = null;
+  if (options.state) {
+    journal = new StateJournal(options.state);
+    if (!options.dryRun) {
+      await journal.open({ resume: options.resume });
+    } else if (options.resume) {
+      await journal.load();
+    }
+  }
+  if (journal && options.resume) {
+    const resumed = journal.applyTo(fileStructure.files);
+    console.log(`Files already uploaded by a previous run: ${chalk.bold(resumed.toLocaleString())}`);
+  }
+  
+  // In sync mode, only new and changed files are uploaded
+  let syncSummary;
+  if (options.sync) {
+    syncSummary = await compareWithRemote(fileStructure, options.bucket, basePath, {
+      client,
+      checksum: options.checksum,
+      retry: { retries: options.retries, backoff: options.retryBackoff }
+    });
+    printSyncSummary(syncSummary);
+  }
+  
+  // On Ctrl-C, abort the multipart uploads in progress so no parts are left in the bucket. The
+  // signal can arrive twice (from the terminal and forwarded by the wrapper script), so only the
+  // first one is handled, and later ones don't kill the process while the uploads are aborted.
+  let interrupted = false;
+  const onInterrupt = async () => {
+    if (interrupted) {
+      return;
+    }
+    interrupted = true;
+    const aborted = await abortActiveUploads();
+    console.log(chalk.red(`\nUpload interrupted${aborted > 0 ? `, aborted ${aborted} multipart uploads` : ''}.`));
+    journal?.close();
+    runReport?.addFailures(fileStructure.files);
+    await finish(EXIT_CODES.interrupted);
+  };
+  process.on('SIGINT', onInterrupt);
+  process.on('SIGTERM', onInterrupt);
+  
+  // Upload files to S3
+  const pendingFiles = fileStructure.files.filter(file => file.status !== 'done').length;
+  const uploadStartTime = Date.now();
+  if (pendingFiles > 0) {
+    if (client.bandwidthLimiter) {
+      console.log(chalk.blue(`Bandwidth limit: ${client.bandwidthLimiter.describe()}`));
+    }
+    const pendingSize = fileStructure.files.reduce((sum, file) => sum + (file.status === 'done' ? 0 : file.size), 0);
+    await uploadFilesToS3(
+      fileStructure,
+      options.bucket,
+      basePath,
+      options.concurrent,
+      { progress: options.progress && !dashboard, verbose: options.verbose, checkExist: options.checkExist, client, journal, mode: options.uploadMode,
+        retry: { retries: options.retries, backoff: options.retryBackoff },
+        multipart: { partSize: options.partSize, partConcurrency: options.partConcurrency },
+        dryRun: options.dryRun,
+        ...(dashboard && !options.dryRun ? dashboard.startUpload(options.bucket, pendingFiles, pendingSize) : {}) }
+    );
+  } else if (!options.dryRun) {
+    console.log(chalk.green('\nBucket is up to date, nothing to upload.'));
+  }
+  const uploadDetails = { bucket: options.bucket, mode: options.uploadMode, durationMs: Date.now() - uploadStartTime, sync: syncSummary };
+  process.removeListener('SIGINT', onInterrupt);
+  process.removeListener('SIGTERM', onInterrupt);
+  
+  // Check that what landed in the bucket matches the local files
+  if (options.verify && !options.dryRun) {
+    const uploadedFiles = fileStructure.files.filter(file => file.status === 'done');
+    const verifyStartTime = Date.now();
+    const summary = await verifyFiles(uploadedFiles, options.bucket, basePath, verifyOptions(options, client));
+    printVerifySummary(summary, uploadedFiles);
+    runReport?.set('verify', { ...summary, durationMs: Date.now() - verifyStartTime });
+    uploadedFiles.filter(file => file.status === 'mismatch').forEach(file => journal?.record(file));
+  }
+  journal?.close();
+  
+  // A dry run ends with the plan, nothing was written to the bucket
+  if (options.dryRun) {
+    const plan = buildUploadPlan(fileStructure.files, basePath);
+    printUploadPlan(plan, options.bucket, options.verbose);
+    if (options.plan) {
+      await writeUploadPlan(options.plan, inferManifestFormat(options.plan), plan);
+      console.log(`Plan: ${chalk.bold(options.plan)} (${plan.length.toLocaleString()} entries)`);
+    }
+    console.log(chalk.green('Dry run completed, nothing was uploaded.'));
+    runReport?.addUpload(fileStructure, { ...uploadDetails, plan });
+    await finish(EXIT_CODES.success);
+  }
+  
+  // Rewrite the manifest with the statuses the upload left behind
+  if (options.manifest) {
+    const manifestFormat = options.format || inferManifestFormat(options.manifest);
+    await writeManifest(options.manifest, manifestFormat, basePath, fileStructure.files);
+  }
+  
+  // Clear files from memory after upload is complete
+  // Any file that isn't done (failed, mismatched or never finished) makes the run partial
+  const uploadStatistics = fileStructure.getUploadStatistics();
+  const failedFiles = fileStructure.files.length - uploadStatistics.done;
+  runReport?.addUpload(fileStructure, uploadDetails);
+  runReport?.addFailures(fileStructure.files);
+  fileStructure.clearFiles();
+  
+  // Force garbage collection after upload if available
+  if (typeof globalThis.gc === 'function') {
+    try {
+      console.log(chalk.blue('Running garbage collection after upload...'));
+      globalThis.gc();
+    } catch (e) {
+      // Ignore errors if gc is not available
+    }
+  }
+  
+  // Explicitly exit the process after upload is complete, failing if any file is left failed
+  if (failedFiles > 0) {
+    console.log(chalk.red(`SpeedGrabber completed with ${failedFiles.toLocaleString()} files not uploaded (failed, mismatched or unfinished).`));
+    await finish(EXIT_CODES.partial);
+  }
+  console.log(chalk.green('SpeedGrabber completed successfully.'));
+  await finish(EXIT_CODES.success);
+}
+
+// Verification options from the command line options
+function verifyOptions(options, client) {
+  return {
+    client,
+    concurrency: options.concurrent,
+    partSize: options.partSize,
+    retry: { retries: options.retries, backoff: options.retryBackoff },
+    verbose: options.verbose,
+    progress: options.progress
+  };
+}
+
+/**
+ * Verify the files of a scan or a saved manifest against the bucket, then exit
+ * Exits with status 1 if any file doesn't match its object.
+ * @param {string} [directory] - Directory to scan (with --from-manifest: base directory for the S3 keys)
+ * @param {object} options - Parsed command line options of the verify command
+ * @returns {Promise<void>}
+ */
+async function runVerify(directory, options) {
+  try {
+    let fileStructure;
+    let basePath;
+    let client;
+    
+    if (options.fromManifest) {
+      client = await prepareS3Client(options);
+      console.log(chalk.blue(`Loading manifest ${options.fromManifest}...`));
+      ({ fileStructure, basePath } = await loadManifest(options.fromManifest, {
+        basePath: directory ? path.resolve(directory) : undefined,
+        statuses: options.status
+      }));
+    } else {
+      basePath = await resolveScanTarget(directory);
+      client = await prepareS3Client(options);
+      fileStructure = await scanTarget(basePath, options, true);
+    }
+    
+    const verifyStartTime = Date.now();
+    const summary = await verifyFiles(fileStructure.files, options.bucket, basePath, verifyOptions(options, client));
+    printVerifySummary(summary, fileStructure.files);
+    runReport?.set('verify', { ...summary, durationMs: Date.now() - verifyStartTime });
+    runReport?.addFailures(fileStructure.files);
+    
+    // Record the verification result of every file
+    if (options.manifest) {
+      const manifestFormat = options.format || inferManifestFormat(options.manifest);
+      await writeManifest(options.manifest, manifestFormat, basePath, fileStructure.files);
+    }
+    
+    await finish(summary.mismatch + summary.failed > 0 ? EXIT_CODES.partial : EXIT_CODES.success);
+  } catch (error) {
+    await finish(EXIT_CODES.fatal, error);
+  }
+}
+
+/**
+ * Upload the entries of a previously saved manifest without scanning
+ * @param {string} [directory] - Base directory for the S3 keys (default: derived from the manifest)
+ * @param {object} options - Parsed command line options
+ * @returns {Promise<void>}
+ */
+async function uploadFromManifest(directory, options) {
+  try {
+    const client = await prepareS3Client(options);
+    
+    console.log(chalk.blue(`Loading manifest ${options.fromManifest}...`));
+    const { fileStructure, basePath, skipped } = await loadManifest(options.fromManifest, {
+      basePath: directory ? path.resolve(directory) : undefined,
+      statuses: options.status
+    });
+    
+    console.log(`Manifest entries selected: ${chalk.bold(fileStructure.totalFiles.toLocaleString())} (${formatSize(fileStructure.totalSize)})`);
+    runReport?.set('manifest', { file: options.fromManifest, entries: fileStructure.totalFiles, totalSize: fileStructure.totalSize, skipped });
+    if (skipped > 0) {
+      console.log(`Manifest entries skipped: ${chalk.bold(skipped.toLocaleString())}`);
+    }
+    if (fileStructure.totalFiles === 0) {
+      console.log(chalk.green('Nothing to upload.'));
+      await finish(EXIT_CODES.success);
+    }
+    
+    await runUpload(fileStructure, basePath, options, client);
+  } catch (error) {
+    await finish(EXIT_CODES.fatal, error);
+  }
+}
+
+/**
+ * Compare a snapshot with a newer snapshot or a scan of the directory, then exit
+ * @param {string} snapshotFile - Older snapshot
+ * @param {string} target - Newer snapshot, or the directory to scan
+ * @param {object} options - Parsed command line options of the diff command
+ * @returns {Promise<void>}
+ */
+async function runDiff(snapshotFile, target, options) {
+  try {
+    const previous = await loadSnapshot(snapshotFile);
+    const diff = new SnapshotDiff(previous.files);
+    console.log(chalk.blue(`Comparing with the snapshot of ${previous.header.root} taken ${previous.header.createdAt}`));
+    
+    const stats = await fs.promises.stat(target);
+    if (stats.isDirectory()) {
+      const targetDir = await resolveScanTarget(target);
+      // --verbose lists the changes rather than every scanned file
+      await scanTarget(targetDir, { ...options, verbose: false }, false, (filesBatch) => {
+        filesBatch.forEach(file => diff.compare(toSnapshotPath(targetDir, file.filepath), file.size, file.mtime));
+      });
+    } else {
+      let header = null;
+      for await (const entry of readSnapshot(target)) {
+        if (!header) {
+          header = entry;
+          console.log(chalk.blue(`Newer snapshot of ${header.root} taken ${header.createdAt}`));
+        } else {
+          diff.compare(entry.relativePath, entry.size, entry.mtime);
+        }
+      }
+    }
+    
+    const result = diff.finish();
+    printSnapshotDiff(result, options.verbose);
+    runReport?.set('diff', { snapshot: snapshotFile, target, ...result });
+    await finish(EXIT_CODES.success);
+  } catch (error) {
+    await finish(EXIT_CODES.fatal, error);
+  }
+}
+
+/**
+ * Upload a directory, then keep uploading new and changed files until stopped
+ * The journal makes restarts cheap: files it marks as uploaded and that haven't changed since
+ * are not uploaded again. Exits with status 0 on Ctrl-C or SIGTERM.
+ * @param {string} directory - Directory to watch
+ * @param {object} options - Parsed command line options of the watch command
+ * @returns {Promise<void>}
+ */
+async function runWatch(directory, options) {
+  try {
+    const targetDir = await resolveScanTarget(directory);
+    const client = await prepareS3Client(options);
+    const journal = await new StateJournal(options.state).open({ resume: true });
+    
+    const watcher = new UploadWatcher(targetDir, {
+      bucket: options.bucket,
+      client,
+      filter: scanFilter(targetDir, options),
+      concurrency: options.concurrent,
+      settleSeconds: options.settle,
+      symlinks: options.symlinks,
+      journal,
+      retry: { retries: options.retries, backoff: options.retryBackoff },
+      multipart: { partSize: options.partSize, partConcurrency: options.partConcurrency }
+    });
+    
+    let stopping = false;
+    const stop = async (exitCode, error) => {
+      if (stopping) {
+        return;
+      }
+      stopping = true;
+      watcher.stop();
+      const aborted = await abortActiveUploads();
+      journal.close();
+      const { uploaded, failed, bytesUploaded } = watcher.statistics;
+      console.log(chalk.yellow(`\nStopped watching${aborted > 0 ? `, aborted ${aborted} multipart uploads` : ''}.`));
+      console.log(`Files uploaded: ${chalk.bold(uploaded.toLocaleString())} (${formatSize(bytesUploaded)})`);
+      if (failed > 0) {
+        console.log(`Failed uploads: ${chalk.bold(failed.toLocaleString())}`);
+      }
+      await finish(exitCode, error);
+    };
+    
+    watcher.on('queued', (file) => {
+      if (options.verbose) {
+        console.log(chalk.gray(`Queued: ${path.relative(targetDir, file.filepath)} (${formatSize(file.size)})`));
+      }
+    });
+    watcher.on('uploadDone', (file) => {
+      const relativePath = path.relative(targetDir, file.filepath);
+      if (file.status === 'done') {
+        console.log(`${chalk.green('Uploaded:')} ${relativePath} (${formatSize(file.size)})`);
+      } else {
+        const retry = file.retryable ? ', will retry' : '';
+        console.error(chalk.red(`Failed: ${relativePath}: ${file.error}${retry}`));
+      }
+    });
+    watcher.on('error', error => stop(EXIT_CODES.fatal, error));
+    
+    // Watch before scanning, so changes made during the scan aren't missed
+    watcher.watch();
+    const fileStructure = await scanTarget(targetDir, options, true);
+    const resumed = journal.applyTo(fileStructure.files);
+    console.log(`Files already uploaded by a previous run: ${chalk.bold(resumed.toLocaleString())}`);
+    watcher.addScannedFiles(fileStructure.files);
+    fileStructure.clearFiles();
+    
+    if (client.bandwidthLimiter) {
+      console.log(chalk.blue(`Bandwidth limit: ${client.bandwidthLimiter.describe()}`));
+    }
+    console.log(chalk.blue(`\nWatching ${targetDir} for changes, press Ctrl-C to stop...`));
+    process.on('SIGINT', () => stop(EXIT_CODES.success));
+    process.on('SIGTERM', () => stop(EXIT_CODES.success));
+  } catch (error) {
+    await finish(EXIT_CODES.fatal, error);
+  }
+}
+
+/**
+ * Resolve and check the directory to scan
+ * @param {string} directory - Directory argument
+ * @returns {Promise<string>} Absolute path of the directory
+ */
+async function resolveScanTarget(directory) {
+  const targetDir = path.resolve(directory);
+  
+  // Check if directory exists
+  const stats = await fs.promises.stat(targetDir);
+  if (!stats.isDirectory()) {
+    throw new Error(`${targetDir} is not a directory`);
+  }
+  return targetDir;
+}
+
+// Filter of a scan from the command line options
+function scanFilter(targetDir, options) {
+  return new ScanFilter({
+    rootDir: targetDir,
+    include: options.include,
+    exclude: options.exclude,
+    minSize: options.minSize,
+    newerThan: options.newerThan
+  });
+}
+
+/**
+ * Scan a directory and print its statistics
+ * @param {string} targetDir - Absolute path of the directory to scan
+ * @param {object} options - Parsed command line options
+ * @param {boolean} storeFiles - Whether to keep the file records (needed to upload or verify them)
+ * @param {function} [onBatch] - Also called with every batch of file records
+ * @returns {Promise<FileStructure>}
+ */
+async function scanTarget(targetDir, options, storeFiles, onBatch) {
+  console.log(chalk.blue(`Starting scan of ${targetDir}...`));
+  
+  // Only keep the file records if they are listed, uploaded or checked for duplicates
+  const fileStructure = new FileStructure({ storeFiles: Boolean(options.verbose || storeFiles || options.duplicates) });
+  
+  // Stream the manifest while scanning
+  const manifestFormat = options.manifest ? options.format || inferManifestFormat(options.manifest) : null;
+  const manifest = options.manifest ? new ManifestWriter(options.manifest, manifestFormat, targetDir) : null;
+  const snapshot = options.snapshot ? new SnapshotWriter(options.snapshot, targetDir) : null;
+  
+  const startTime = Date.now();
+  const scanErrors = [];
+  
+  // Use parallel scanning with worker threads
+  await scanDirectoryParallel(targetDir, fileStructure, {
+    workers: options.workers,
+    showProgress: options.progress && !dashboard,
+    ...dashboard?.startScan(targetDir),
+    filter: scanFilter(targetDir, options),
+    symlinks: options.symlinks,
+    hash: options.hash,
+    top: options.top,
+    depth: options.depth,
+    onError: (error) => scanErrors.push(error),
+    onBatch: manifest || snapshot || onBatch ? async (filesBatch) => {
+      onBatch?.(filesBatch);
+      await Promise.all([manifest?.write(filesBatch), snapshot?.write(filesBatch)]);
+    } : undefined
+  });
+  
+  if (manifest) {
+    await manifest.close();
+  }
+  if (snapshot) {
+    await snapshot.close();
+  }
+  
+  const endTime = Date.now();
+  const statistics = fileStructure.getStatistics();
+  runReport?.addScan(fileStructure, { directory: targetDir, durationMs: endTime - startTime, errors: scanErrors });
+  
+  // Display results
+  console.log(chalk.green('\nScan completed!'));
+  console.log(chalk.yellow('Statistics:'));
+  console.log(`Total files: ${chalk.bold(statistics.totalFiles.toLocaleString())}`);
+  console.log(`Total size: ${chalk.bold(formatSize(statistics.totalSize))}`);
+  console.log(`Directories processed: ${chalk.bold(statistics.processedDirs.toLocaleString())}`);
+  if (statistics.totalSymlinks > 0) {
+    console.log(`Symbolic links recorded: ${chalk.bold(statistics.totalSymlinks.toLocaleString())}`);
+  }
+  if (statistics.skippedSymlinks > 0) {
+    const hint = options.symlinks === 'skip' ? ' (use --symlinks follow|record to include them)' : ' (dangling, looping or already scanned)';
+    console.log(`Symbolic links skipped: ${chalk.bold(statistics.skippedSymlinks.toLocaleString())}${hint}`);
+  }
+  console.log(`Scan time: ${chalk.bold((endTime - startTime) / 1000)} seconds`);
+  if (manifest) {
+    console.log(`Manifest: ${chalk.bold(options.manifest)} (${manifest.recordCount.toLocaleString()} records, ${manifestFormat})`);
+  }
+  if (snapshot) {
+    console.log(`Snapshot: ${chalk.bold(options.snapshot)} (${snapshot.fileCount.toLocaleString()} files)`);
+  }
+  
+  // Display the folder tree, or the first-level folder substructure
+  if (options.tree) {
+    printFolderTree(buildFolderTree(targetDir, statistics.folderTotals), { minShare: options.minShare, depth: options.depth });
+  } else if (statistics.firstLevelFolders && statistics.firstLevelFolders.length > 0) {
+    console.log(chalk.yellow(`\nFolder structure inside '${statistics.rootDirName}':`));
+    statistics.firstLevelFolders.forEach(folder => {
+      const folderName = path.basename(folder.path);
+      console.log(`${chalk.cyan(folderName)} - ${chalk.bold(folder.fileCount.toLocaleString())} files - ${chalk.bold(formatSize(folder.totalSize))}`);
+    });
+  }
+  
+  if (options.breakdown) {
+    printBreakdown(statistics.breakdown, targetDir, options.verbose);
+  }
+  
+  if (options.verbose) {
+    console.log(chalk.yellow('\nDetailed file listing:'));
+    statistics.files.forEach(file => {
+      const hash = file.hash ? ` - ${options.hash} ${file.hash}` : '';
+      console.log(`${chalk.cyan(file.filepath)} - ${formatSize(file.size)}${hash} - Status: ${file.status}`);
+    });
+    statistics.symlinks.forEach(link => {
+      console.log(`${chalk.magenta(link.filepath)} ${chalk.gray('→')} ${link.target} - Symbolic link`);
+    });
+  }
+  
+  if (options.duplicates) {
+    const report = await findDuplicates(fileStructure.files, {
+      algorithm: options.hash,
+      workers: options.workers,
+      showProgress: options.progress
+    });
+    printDuplicateReport(report, targetDir, options.verbose);
+    runReport?.set('duplicates', report);
+  }
+  
+  return fileStructure;
+}
+
+// Options of the commands that scan a directory
+function scanOptions() {
+  return [
+    new Option('-w, --workers <number>', 'Number of worker threads to use').argParser(parseInt),
+    new Option('-p, --progress', 'Show progress'),
+    new Option('-i, --include <glob>', 'Only include files matching the glob (repeatable)').argParser(collect).default([]),
+    new Option('-e, --exclude <glob>', 'Skip files and directories matching the glob (repeatable)').argParser(collect).default([]),
+    new Option('--min-size <size>', 'Skip files smaller than the given size (e.g. 10KB, 5MB)').argParser(argParser(parseSize)),
+    new Option('--newer-than <time>', 'Skip files modified before a date or age (e.g. 2024-01-31, 12h, 7d)').argParser(argParser(parseTimeThreshold)),
+    new Option('--symlinks <mode>', 'How to handle symbolic links').choices(SYMLINK_MODES).default('skip'),
+    new Option('--hash <algorithm>', 'Hash the content of every file (recorded in the manifest)').choices(HASH_ALGORITHMS),
+    new Option('--duplicates', 'Report files with identical content and the space they waste'),
+    new Option('--breakdown', 'Show the files by extension, size and age, and the largest files and directories'),
+    new Option('--depth <number>', 'Depth the folder sizes are aggregated to').argParser(argParser(parsePositiveInt)).default(DEFAULT_AGGREGATION_DEPTH),
+    new Option('--tree', 'Show the folders down to --depth as a tree, largest first, with their share of the total'),
+    new Option('--min-share <percent>', 'With --tree, hide folders smaller than this share of the total (e.g. 1)').argParser(argParser(parsePercent)).default(0),
+    new Option('--top <number>', 'Number of largest files and directories to keep').argParser(argParser(parseNonNegativeInt)).default(DEFAULT_TOP_COUNT),
+    new Option('-m, --manifest <file>', 'Write a manifest of all scanned files'),
+    new Option('-f, --format <format>', 'Manifest format (default: from the file extension, else ndjson)').choices(MANIFEST_FORMATS),
+    new Option('--snapshot <file>', 'Save a snapshot of the scan to compare later runs with (gzip-compressed if it ends in .gz)')
+  ];
+}
+
+// Options that select the configuration files, which can't be set in them
+function configOptions() {
+  return [
+    new Option('--config <file>', `Read options from this file (JSON or YAML), over the ${CONFIG_FILE_NAME} files`),
+    new Option('--profile-name <name>', 'Apply a named profile of the configuration files')
+  ];
+}
+
+// Options of the commands that can report their results
+function reportOptions() {
+  return [
+    new Option('--report <format>', 'Report the results in a machine-readable format (to stdout unless --report-file)').choices(REPORT_FORMATS),
+    new Option('--report-file <file>', 'Write the report to a file instead of stdout').implies({ report: 'json' })
+  ];
+}
+
+// Options of the commands that talk to a bucket
+function bucketOptions() {
+  return [
+    new Option('-b, --bucket <name>', 'S3 bucket name'),
+    new Option('-c, --concurrent <number>', 'Number of concurrent uploads or checks').argParser(argParser(parsePositiveInt)).default(5),
+    new Option('--endpoint-url <url>', 'S3-compatible endpoint to upload to (e.g. a MinIO or Ceph cluster)'),
+    new Option('--region <region>', 'Region of the bucket'),
+    new Option('--profile <name>', 'Profile from the AWS credentials and config files'),
+    new Option('--retries <number>', 'Retries of a failed request (throttling, timeouts, server errors)').argParser(argParser(parseNonNegativeInt)).default(DEFAULT_RETRIES),
+    new Option('--retry-backoff <ms>', 'Base delay of the exponential backoff between retries').argParser(argParser(parseNonNegativeInt)).default(DEFAULT_RETRY_BACKOFF),
+    new Option('--part-size <size>', 'Upload files larger than this in parts of this size (minimum 5MB)').argParser(argParser(parsePartSize)).default(DEFAULT_PART_SIZE)
+  ];
+}
+
+// Options of the commands that can work from a saved manifest
+function manifestInputOptions() {
+  return [
+    new Option('--from-manifest <file>', 'Use the entries of a saved manifest instead of scanning'),
+    new Option('--status <list>', 'With --from-manifest, only use entries with these statuses (e.g. ready,failed)').argParser(argParser(parseStatusList))
+  ];
+}
+
+// Options of the commands that upload files
+function uploadOptions() {
+  return [
+    new Option('--max-bandwidth <rate>', 'Limit the combined upload rate (e.g. 50MB/s)').argParser(argParser(parseBandwidth)),
+    new Option('--bandwidth-schedule <windows>', 'Limits by time of day, overriding --max-bandwidth (e.g. 20:00-06:00=unlimited)').argParser(argParser(parseSchedule)),
+    new Option('--part-concurrency <number>', 'Number of parts of a file uploaded at the same time').argParser(argParser(parsePositiveInt)).default(DEFAULT_PART_CONCURRENCY),
+    new Option('--storage-class <class>', 'Storage class of uploaded objects').choices(STORAGE_CLASSES),
+    new Option('--sse <mode>', 'Server-side encryption of uploaded objects').choices(SSE_MODES),
+    new Option('--acl <acl>', 'Canned ACL of uploaded objects').choices(CANNED_ACLS)
+  ];
+}
+
+// Whether an option is neither on the command line nor in the environment (nor implied by them)
+function isUnset(command, key) {
+  return command.getOptionValue(key) === undefined || command.getOptionValueSource(key) === 'default';
+}
+
+/**
+ * Set the options the command line and the environment leave unset from the configuration files
+ * Runs before the action of every command, so the required options are checked by the actions.
+ * @param {Command} program - Program whose commands define the options that can be configured
+ * @param {Command} command - Command about to run
+ */
+function applyConfig(program, command) {
+  const options = command.opts();
+  const excluded = ['--version', ...configOptions().map(option => option.long)];
+  const configurable = [program, ...program.commands]
+    .flatMap(cmd => cmd.options)
+    .filter(option => !excluded.includes(option.long));
+  
+  // The scanned directory may have its own configuration file
+  const argumentIndex = command.registeredArguments.findIndex(argument => ['directory', 'target'].includes(argument.name()));
+  const directory = argumentIndex >= 0 ? command.processedArgs[argumentIndex] : undefined;
+  const isDirectory = directory && fs.statSync(directory, { throwIfNoEntry: false })?.isDirectory();
+  
+  let values;
+  try {
+    values = loadConfig({ options: configurable, directory: isDirectory ? directory : undefined, configFile: options.config, profileName: options.profileName });
+  } catch (error) {
+    command.error(`error: ${error.message}`);
+  }
+  
+  for (const option of command.options) {
+    const key = option.attributeName();
+    if (!values.has(key) || !isUnset(command, key)) {
+      continue;
+    }
+    command.setOptionValueWithSource(key, values.get(key), 'config');
+    if (option.implied && values.get(key)) {
+      Object.entries(option.implied)
+        .filter(([impliedKey]) => isUnset(command, impliedKey))
+        .forEach(([impliedKey, value]) => command.setOptionValueWithSource(impliedKey, value, 'implied'));
+    }
+  }
+}
+
+/**
+ * Command whose options can also be set with environment variables, e.g. SPEEDGRABBER_MAX_BANDWIDTH
+ */
+class SpeedGrabberCommand extends Command {
+  createCommand(name) {
+    return new SpeedGrabberCommand(name);
+  }
+
+  addOption(option) {
+    // Commander only reads the variable of options that have it when they are added
+    option.env(environmentVariable(option.attributeName()));
+    return super.addOption(option);
+  }
+}
 
 // Set up the command line interface
 if (isMainThread) {
-  const program = new Command();
+  const program = new SpeedGrabberCommand();
 
   program
     .name('speedgrabber')
     .description('A tool to recursively scan directories and provide file statistics')
     .version('1.0.0')
-    .argument('<directory>', 'Target directory to scan')
+    .enablePositionalOptions()
+    .exitOverride((error) => process.exit(error.exitCode === 0 ? EXIT_CODES.success : EXIT_CODES.fatal))
+    .argument('[directory]', 'Target directory to scan (with --from-manifest: base directory for the S3 keys)')
     .option('-v, --verbose', 'Display detailed information about each file')
-    .option('-w, --workers <number>', 'Number of worker threads to use', parseInt)
-    .option('-p, --progress', 'Show progress during scan')
-    .option('-u, --upload', 'Upload files to S3 after scanning')
-    .option('-b, --bucket <name>', 'S3 bucket name for upload')
-    .option('-c, --concurrent <number>', 'Number of concurrent uploads', (val) => parseInt(val, 10) || 5)
+    .option('-u, --upload', 'Upload files to S3 after scanning');
+  [...scanOptions(), ...bucketOptions(), ...manifestInputOptions(), ...uploadOptions(), ...reportOptions(), ...configOptions()].forEach(option => program.addOption(option));
+  program
     .option('--checkExist', 'Check if files exist in S3 before uploading')
+    .addOption(new Option('--sync', 'Upload only new or changed files, compared with a listing of the bucket').implies({ upload: true }))
+    .option('--checksum', 'With --sync, also compare MD5 checksums with the ETags of the objects')
+    .option('--verify', 'After uploading, compare every uploaded file with its object')
+    .option('--dashboard', 'Show a live dashboard of the scan and upload (status lines when not on a terminal)')
+    .addOption(new Option('--dry-run', 'Show what an upload would do without writing to the bucket').implies({ upload: true }))
+    .option('--plan <file>', 'With --dry-run, export the upload plan (ndjson, csv or json by extension)')
+    .option('--state <file>', 'Record the upload status of every file in a journal')
+    .option('--resume', 'With --state, skip files the journal marks as done and retry the rest')
+    .addOption(new Option('--upload-mode <mode>', 'Upload first-level folders as units or every file on its own').choices(['folders', 'files']).default('folders'))
     .action(async (directory, options) => {
-      const targetDir = path.resolve(directory);
+      if (options.resume && !options.state) {
+        program.error('error: --resume requires --state <file>');
+      }
+      startReport(options.upload || options.fromManifest ? 'upload' : 'scan', options);
+      if (options.dashboard) {
+        dashboard = new Dashboard();
+        dashboard.start();
+      }
+      if (options.fromManifest) {
+        await uploadFromManifest(directory, options);
+        return;
+      }
+      if (!directory) {
+        program.error("error: missing required argument 'directory'");
+      }
       
       try {
-        // Check if directory exists
-        const stats = await fs.promises.stat(targetDir);
-        if (!stats.isDirectory()) {
-          console.error(chalk.red(`Error: ${targetDir} is not a directory`));
-          process.exit(1);
-        }
-        
-        console.log(chalk.blue(`Starting scan of ${targetDir}...`));
-        
-        const fileStructure = new FileStructure();
-        // Always store files if upload is needed
-        if (options.verbose || options.upload) {
-          fileStructure.enableFileStorage();
-        }
-        
-        const startTime = Date.now();
-        
-        // Use parallel scanning with worker threads
-        await scanDirectoryParallel(targetDir, fileStructure, {
-          workers: options.workers,
-          showProgress: options.progress
-        });
+        const targetDir = await resolveScanTarget(directory);
         
-        const endTime = Date.now();
-        const statistics = fileStructure.getStatistics();
+        // Check the upload settings before spending time on the scan
+        const client = options.upload ? await prepareS3Client(options) : null;
         
-        // Display results
-        console.log(chalk.green('\nScan completed!'));
-        console.log(chalk.yellow('Statistics:'));
-        console.log(`Total files: ${chalk.bold(statistics.totalFiles.toLocaleString())}`);
-        console.log(`Total size: ${chalk.bold(formatSize(statistics.totalSize))}`);
-        console.log(`Directories processed: ${chalk.bold(statistics.processedDirs.toLocaleString())}`);
-        console.log(`Scan time: ${chalk.bold((endTime - startTime) / 1000)} seconds`);
-        
-        // Display first-level folder substructure
-        if (statistics.firstLevelFolders && statistics.firstLevelFolders.length > 0) {
-          console.log(chalk.yellow(`\nFolder structure inside '${statistics.rootDirName}':`));
-          statistics.firstLevelFolders.forEach(folder => {
-            const folderName = path.basename(folder.path);
-            console.log(`${chalk.cyan(folderName)} - ${chalk.bold(folder.fileCount.toLocaleString())} files - ${chalk.bold(formatSize(folder.totalSize))}`);
-          });
-        }
-        
-        if (options.verbose) {
-          console.log(chalk.yellow('\nDetailed file listing:'));
-          statistics.files.forEach(file => {
-            console.log(`${chalk.cyan(file.filepath)} - ${formatSize(file.size)} - Status: ${file.status}`);
-          });
-        }
+        const fileStructure = await scanTarget(targetDir, options, options.upload);
         
         // Upload files to S3 if requested
         if (options.upload) {
-          if (!options.bucket) {
-            console.error(chalk.red('Error: S3 bucket name is required for upload. Use --bucket option.'));
-            process.exit(1);
-          }
-          
-          // Force garbage collection before upload if available
-          if (typeof globalThis.gc === 'function') {
-            try {
-              console.log(chalk.blue('Running garbage collection before upload...'));
-              globalThis.gc();
-            } catch (e) {
-              // Ignore errors if gc is not available
-            }
-          }
-          
-          // Upload files to S3
-          console.log(`Debug: Concurrent parameter value: ${options.concurrent}, type: ${typeof options.concurrent}`);
-          await uploadFilesToS3(
-            fileStructure,
-            options.bucket,
-            targetDir,
-            options.concurrent,
-            { progress: options.progress, verbose: options.verbose, checkExist: options.checkExist }
-          );
-          
-          // Clear files from memory after upload is complete
-          fileStructure.clearFiles();
-          
-          // Force garbage collection after upload if available
-          if (typeof globalThis.gc === 'function') {
-            try {
-              console.log(chalk.blue('Running garbage collection after upload...'));
-              globalThis.gc();
-            } catch (e) {
-              // Ignore errors if gc is not available
-            }
-          }
-          
-          // Explicitly exit the process after upload is complete
-          console.log(chalk.green('SpeedGrabber completed successfully.'));
-          process.exit(0);
+          await runUpload(fileStructure, targetDir, options, client);
+        } else if (runReport || dashboard) {
+          await finish(EXIT_CODES.success);
         }
       } catch (error) {
-        console.error(chalk.red(`Error: ${error.message}`));
-        process.exit(1);
+        await finish(EXIT_CODES.fatal, error);
       }
     });
 
+  const verifyCommand = program
+    .command('verify')
+    .description('Compare local files with their objects in the bucket (size and checksum)')
+    .argument('[directory]', 'Directory to scan (with --from-manifest: base directory for the S3 keys)')
+    .option('-v, --verbose', 'Display the result of every file');
+  [...scanOptions(), ...bucketOptions(), ...manifestInputOptions(), ...reportOptions(), ...configOptions()].forEach(option => verifyCommand.addOption(option));
+  verifyCommand.action(async (directory, options) => {
+    if (!directory && !options.fromManifest) {
+      verifyCommand.error("error: missing required argument 'directory'");
+    }
+    startReport('verify', options);
+    await runVerify(directory, options);
+  });
+
+  const diffCommand = program
+    .command('diff')
+    .description('Compare a snapshot with a newer snapshot or a scan of the directory')
+    .argument('<snapshot>', 'Snapshot saved with --snapshot')
+    .argument('<target>', 'Newer snapshot, or the directory to scan')
+    .option('-v, --verbose', 'List every changed file');
+  [...scanOptions(), ...reportOptions(), ...configOptions()].forEach(option => diffCommand.addOption(option));
+  diffCommand.action(async (snapshot, target, options) => {
+    startReport('diff', options);
+    await runDiff(snapshot, target, options);
+  });
+
+  const watchCommand = program
+    .command('watch')
+    .description('Upload a directory, then keep uploading new and changed files until stopped')
+    .argument('<directory>', 'Directory to watch')
+    .option('-v, --verbose', 'Also list the files queued for upload')
+    .option('--state <file>', 'Journal of the uploaded files, so a restart only uploads what changed (required)')
+    .addOption(new Option('--settle <seconds>', 'Upload a file once it has not changed for this long').argParser(argParser(parseNonNegativeInt)).default(DEFAULT_SETTLE_SECONDS));
+  [...scanOptions(), ...bucketOptions(), ...uploadOptions(), ...configOptions()].forEach(option => watchCommand.addOption(option));
+  watchCommand.action(async (directory, options) => {
+    // Not a required option for commander, so that it can come from a configuration file
+    if (!options.state) {
+      watchCommand.error("error: required option '--state <file>' not specified");
+    }
+    await runWatch(directory, options);
+  });
+
+  // Options come from the command line, then the environment, then the configuration files
+  program.hook('preAction', (thisCommand, actionCommand) => applyConfig(program, actionCommand));
+
   program.parse(process.argv);
 }
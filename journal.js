@@ -0,0 +1,147 @@
+import fs from 'fs';
+import readline from 'readline';
+
+/**
+ * Upload state journal
+ * Every status transition of a file is appended to an NDJSON file as it happens,
+ * so an interrupted upload can be resumed from where it stopped.
+ */
+
+/**
+ * Read the latest journaled state of every file
+ * @param {string} file - Journal file path
+ * @returns {Promise<Map<string, object>>} States ({ filepath, size, mtime, status, error, uploadId }) by file path,
+ *   empty if the journal doesn't exist
+ */
+export async function readJournal(file) {
+  const states = new Map();
+  let input;
+  try {
+    input = fs.createReadStream(file);
+    await new Promise((resolve, reject) => {
+      input.once('open', resolve);
+      input.once('error', reject);
+    });
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return states;
+    }
+    throw error;
+  }
+
+  const lines = readline.createInterface({ input, crlfDelay: Infinity });
+  for await (const line of lines) {
+    if (!line.trim()) {
+      continue;
+    }
+    try {
+      const entry = JSON.parse(line);
+      states.set(entry.filepath, entry);
+    } catch (error) {
+      // A line cut short by a crash is ignored; the file is simply uploaded again
+    }
+  }
+  return states;
+}
+
+/**
+ * Append-only journal of file status transitions
+ * Entries are written synchronously, so they survive a crash, Ctrl-C or process.exit.
+ */
+export class StateJournal {
+  /**
+   * @param {string} file - Journal file path
+   */
+  constructor(file) {
+    this.file = file;
+    this.fd = null;
+    this.states = new Map();
+  }
+
+  /**
+   * Load the previous entries without opening the journal for writing
+   * @returns {Promise<StateJournal>} This journal
+   */
+  async load() {
+    this.states = await readJournal(this.file);
+    return this;
+  }
+
+  /**
+   * Open the journal for writing
+   * When resuming, the previous entries are loaded and compacted to the latest state of
+   * each file; otherwise the journal starts empty.
+   * @param {object} [options] - Open options
+   * @param {boolean} [options.resume] - Whether to keep the previous entries
+   * @returns {Promise<StateJournal>} This journal
+   */
+  async open(options = {}) {
+    if (options.resume) {
+      await this.load();
+    }
+
+    // Rewrite the journal with one entry per file before appending to it
+    const tempFile = `${this.file}.tmp`;
+    const content = Array.from(this.states.values(), entry => JSON.stringify(entry) + '\n').join('');
+    await fs.promises.writeFile(tempFile, content);
+    await fs.promises.rename(tempFile, this.file);
+
+    this.fd = fs.openSync(this.file, 'a');
+    return this;
+  }
+
+  /**
+   * Mark the files that a previous run already uploaded as done
+   * Files that changed since they were journaled are uploaded again. Unfinished multipart
+   * uploads of unchanged files are continued.
+   * @param {object[]} files - File records with filepath, size, mtime and status
+   * @returns {number} Number of files marked as done
+   */
+  applyTo(files) {
+    let resumed = 0;
+    for (const file of files) {
+      const state = this.states.get(file.filepath);
+      if (!state || state.size !== file.size || (state.mtime ?? null) !== (file.mtime ?? null)) {
+        continue;
+      }
+      if (state.status === 'done') {
+        file.status = 'done';
+        file.skipped = true;
+        resumed++;
+      } else if (state.uploadId) {
+        file.uploadId = state.uploadId;
+      }
+    }
+    return resumed;
+  }
+
+  /**
+   * Append the current status of a file
+   * @param {object} file - File record with filepath, size, mtime, status and error
+   */
+  record(file) {
+    if (this.fd === null) {
+      return;
+    }
+    const entry = {
+      filepath: file.filepath,
+      size: file.size,
+      mtime: file.mtime ?? null,
+      status: file.status,
+      error: file.status === 'failed' ? file.error || null : null,
+      uploadId: file.uploadId || null,
+      time: new Date().toISOString()
+    };
+    fs.writeSync(this.fd, JSON.stringify(entry) + '\n');
+  }
+
+  /**
+   * Close the journal file
+   */
+  close() {
+    if (this.fd !== null) {
+      fs.closeSync(this.fd);
+      this.fd = null;
+    }
+  }
+}
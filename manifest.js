@@ -0,0 +1,275 @@
+import fs from 'fs';
+import path from 'path';
+import readline from 'readline';
+
+/**
+ * Scan manifests: per-file records written as NDJSON, CSV or JSON
+ */
+
+// Supported manifest formats
+export const MANIFEST_FORMATS = ['ndjson', 'csv', 'json'];
+
+// Columns of a manifest record, in CSV order
+const MANIFEST_FIELDS = ['filepath', 'relativePath', 'size', 'mtime', 'status', 'error', 'hash'];
+
+/**
+ * Pick the manifest format from the file extension
+ * @param {string} file - Manifest file path
+ * @returns {string} One of MANIFEST_FORMATS (ndjson when the extension is unknown)
+ */
+export function inferManifestFormat(file) {
+  const extension = path.extname(file).slice(1).toLowerCase();
+  if (extension === 'jsonl') {
+    return 'ndjson';
+  }
+  return MANIFEST_FORMATS.includes(extension) ? extension : 'ndjson';
+}
+
+/**
+ * Convert a file record from FileStructure to a manifest record
+ * @param {object} file - File record with filepath, size, mtime, status, error and hash
+ * @param {string} basePath - Directory the relative paths are computed from
+ * @returns {object} Manifest record
+ */
+function toManifestRecord(file, basePath) {
+  return {
+    filepath: file.filepath,
+    relativePath: path.relative(basePath, file.filepath).split(path.sep).join('/'),
+    size: file.size,
+    mtime: file.mtime != null ? new Date(file.mtime).toISOString() : null,
+    status: file.status,
+    error: file.error || null,
+    hash: file.hash || null
+  };
+}
+
+/**
+ * Quote a CSV field when it contains separators, quotes or line breaks
+ * @param {*} value - Field value (null and undefined become empty fields)
+ * @returns {string}
+ */
+export function csvField(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Streaming manifest writer
+ * Records are serialized as they arrive instead of being collected first.
+ */
+export class ManifestWriter {
+  /**
+   * @param {string} file - Output file path
+   * @param {string} format - One of MANIFEST_FORMATS
+   * @param {string} basePath - Directory the relative paths are computed from
+   */
+  constructor(file, format, basePath) {
+    this.file = file;
+    this.format = format;
+    this.basePath = basePath;
+    this.recordCount = 0;
+    this.stream = fs.createWriteStream(file);
+
+    // Surface write errors when the writer is closed
+    this.error = null;
+    this.stream.on('error', (error) => {
+      this.error = error;
+    });
+
+    if (format === 'csv') {
+      this.stream.write(MANIFEST_FIELDS.join(',') + '\n');
+    } else if (format === 'json') {
+      this.stream.write('[');
+    }
+  }
+
+  /**
+   * Write a batch of file records
+   * @param {object[]} files - File records from FileStructure
+   * @returns {Promise<void>} Resolves once the stream is ready for more data
+   */
+  write(files) {
+    let chunk = '';
+
+    for (const file of files) {
+      const record = toManifestRecord(file, this.basePath);
+
+      if (this.format === 'csv') {
+        chunk += MANIFEST_FIELDS.map(field => csvField(record[field])).join(',') + '\n';
+      } else if (this.format === 'json') {
+        chunk += (this.recordCount > 0 ? ',\n  ' : '\n  ') + JSON.stringify(record);
+      } else {
+        chunk += JSON.stringify(record) + '\n';
+      }
+      this.recordCount++;
+    }
+
+    if (!chunk || this.stream.write(chunk) || this.error) {
+      return Promise.resolve();
+    }
+    return new Promise(resolve => this.stream.once('drain', resolve));
+  }
+
+  /**
+   * Finish the manifest and close the file
+   * @returns {Promise<void>}
+   */
+  close() {
+    if (this.format === 'json') {
+      this.stream.write(this.recordCount > 0 ? '\n]\n' : ']\n');
+    }
+
+    // The callback gets the error of a failed stream before its error event is emitted
+    return new Promise((resolve, reject) => {
+      this.stream.end((error) => {
+        if (error || this.error) {
+          reject(error || this.error);
+        } else {
+          resolve();
+        }
+      });
+    });
+  }
+}
+
+// Split CSV text into rows, honoring quoted fields that contain separators or line breaks
+function* parseCsvRows(text) {
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') {
+        i++;
+      }
+      row.push(field);
+      yield row;
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field || row.length > 0) {
+    row.push(field);
+    yield row;
+  }
+}
+
+/**
+ * Normalize a parsed manifest record
+ * @param {object} record - Record as read from the manifest (CSV values are all strings)
+ * @returns {object} Record with a numeric size, mtime as timestamp in ms and a default status
+ */
+function normalizeRecord(record) {
+  if (!record.filepath) {
+    throw new Error('record has no filepath');
+  }
+  return {
+    filepath: record.filepath,
+    relativePath: record.relativePath || null,
+    size: Number(record.size) || 0,
+    mtime: record.mtime ? Date.parse(record.mtime) : null,
+    status: record.status || 'ready',
+    error: record.error || null,
+    hash: record.hash || null
+  };
+}
+
+/**
+ * Read the records of a manifest
+ * NDJSON manifests are read line by line; CSV and JSON manifests are parsed as a whole.
+ * @param {string} file - Manifest file path
+ * @param {string} format - One of MANIFEST_FORMATS
+ * @returns {AsyncGenerator<object>} Records with filepath, relativePath, size, mtime, status and error
+ */
+export async function* readManifest(file, format) {
+  if (format === 'ndjson') {
+    const lines = readline.createInterface({ input: fs.createReadStream(file), crlfDelay: Infinity });
+    let lineNumber = 0;
+
+    for await (const line of lines) {
+      lineNumber++;
+      if (!line.trim()) {
+        continue;
+      }
+      try {
+        yield normalizeRecord(JSON.parse(line));
+      } catch (error) {
+        throw new Error(`Invalid manifest record on line ${lineNumber} of ${file}: ${error.message}`);
+      }
+    }
+    return;
+  }
+
+  const content = await fs.promises.readFile(file, 'utf8');
+
+  if (format === 'json') {
+    const records = JSON.parse(content);
+    if (!Array.isArray(records)) {
+      throw new Error(`Invalid manifest ${file}: expected an array of records`);
+    }
+    for (const record of records) {
+      yield normalizeRecord(record);
+    }
+    return;
+  }
+
+  let header = null;
+  for (const row of parseCsvRows(content)) {
+    if (!header) {
+      header = row;
+      if (!header.includes('filepath')) {
+        throw new Error(`Invalid manifest ${file}: missing filepath column`);
+      }
+      continue;
+    }
+    if (row.length === 1 && row[0] === '') {
+      continue;
+    }
+    yield normalizeRecord(Object.fromEntries(header.map((name, index) => [name, row[index]])));
+  }
+}
+
+/**
+ * Write a complete manifest, replacing the file atomically
+ * Used to rewrite a manifest with the final statuses after an upload.
+ * @param {string} file - Output file path
+ * @param {string} format - One of MANIFEST_FORMATS
+ * @param {string} basePath - Directory the relative paths are computed from
+ * @param {object[]} files - File records from FileStructure
+ * @returns {Promise<void>}
+ */
+export async function writeManifest(file, format, basePath, files) {
+  const tempFile = `${file}.tmp`;
+  const writer = new ManifestWriter(tempFile, format, basePath);
+  const batchSize = 1000;
+
+  for (let start = 0; start < files.length; start += batchSize) {
+    await writer.write(files.slice(start, start + batchSize));
+  }
+
+  await writer.close();
+  await fs.promises.rename(tempFile, file);
+}
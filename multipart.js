@@ -0,0 +1,127 @@
+import { withRetry } from './retry.js';
+import { mapConcurrent } from './utils.js';
+
+/**
+ * Multipart uploads for large files
+ * Parts are uploaded in parallel and retried on their own. A failed upload is aborted
+ * so no incomplete upload is left in the bucket; the upload ID is kept on the file
+ * record so that a run killed outright can continue it with --state and --resume.
+ */
+
+// S3 limits: parts of at least 5 MB (except the last one) and at most 10,000 parts
+export const MIN_PART_SIZE = 5 * 1024 * 1024;
+export const MAX_PARTS = 10000;
+
+// Default part size (files larger than this are uploaded in parts) and parts uploaded at once
+export const DEFAULT_PART_SIZE = 16 * 1024 * 1024;
+export const DEFAULT_PART_CONCURRENCY = 4;
+
+// Multipart uploads in progress, by upload ID
+const activeUploads = new Map();
+
+/**
+ * Choose the part size for a file, growing it when the file would need too many parts
+ * @param {number} fileSize - File size in bytes
+ * @param {number} partSize - Requested part size in bytes
+ * @returns {number} Part size in bytes (a multiple of 1 MB when grown)
+ */
+export function choosePartSize(fileSize, partSize) {
+  if (Math.ceil(fileSize / partSize) <= MAX_PARTS) {
+    return partSize;
+  }
+  const megabyte = 1024 * 1024;
+  return Math.ceil(fileSize / MAX_PARTS / megabyte) * megabyte;
+}
+
+/**
+ * Upload a file in parts
+ * If the file record carries the upload ID of an earlier, interrupted attempt, the parts
+ * that were already uploaded are reused.
+ * @param {S3Client} client - S3 client
+ * @param {string} bucketName - S3 bucket name
+ * @param {string} key - Object key
+ * @param {object} file - File record with filepath, size and an optional uploadId
+ * @param {object} [options] - Upload options
+ * @param {number} [options.partSize] - Part size in bytes
+ * @param {number} [options.partConcurrency] - Number of parts uploaded at the same time
+ * @param {object} [options.headers] - Additional headers such as content-type
+ * @param {object} [options.retry] - Retry policy for each request (see withRetry)
+ * @param {function} [options.onUploadId] - Called once the upload has an ID (e.g. to journal it)
+ * @param {function} [options.onProgress] - Called with the size of every part that was uploaded
+ * @returns {Promise<object>} The ETag of the new object
+ */
+export async function uploadMultipart(client, bucketName, key, file, options = {}) {
+  const partSize = choosePartSize(file.size, options.partSize || DEFAULT_PART_SIZE);
+  const partCount = Math.max(1, Math.ceil(file.size / partSize));
+  const retry = options.retry;
+
+  // Continue an earlier upload of the file if it still exists
+  const uploadedParts = new Map();
+  let uploadId = file.uploadId;
+  if (uploadId) {
+    try {
+      const parts = await withRetry(() => client.listParts(bucketName, key, uploadId), retry);
+      for (const part of parts) {
+        const expectedSize = Math.min(partSize, file.size - (part.partNumber - 1) * partSize);
+        if (part.size === expectedSize) {
+          uploadedParts.set(part.partNumber, part.etag);
+        }
+      }
+    } catch (error) {
+      if (error.statusCode !== 404) {
+        throw error;
+      }
+      uploadId = null;
+    }
+  }
+  if (!uploadId) {
+    uploadId = await withRetry(() => client.createMultipartUpload(bucketName, key, { headers: options.headers }), retry);
+  }
+
+  file.uploadId = uploadId;
+  activeUploads.set(uploadId, { client, bucketName, key });
+  options.onUploadId?.(uploadId);
+
+  try {
+    const partNumbers = Array.from({ length: partCount }, (_, index) => index + 1);
+    const etags = await mapConcurrent(partNumbers, options.partConcurrency || DEFAULT_PART_CONCURRENCY, async (partNumber) => {
+      const start = (partNumber - 1) * partSize;
+      const size = Math.min(partSize, file.size - start);
+      let etag = uploadedParts.get(partNumber);
+      if (!etag) {
+        etag = await withRetry(() => client.uploadPart(bucketName, key, uploadId, partNumber, file.filepath, start, size), retry);
+      }
+      options.onProgress?.(size);
+      return etag;
+    });
+
+    const result = await withRetry(() => client.completeMultipartUpload(
+      bucketName,
+      key,
+      uploadId,
+      partNumbers.map(partNumber => ({ partNumber, etag: etags[partNumber - 1] }))
+    ), retry);
+    delete file.uploadId;
+    return result;
+  } catch (error) {
+    // Don't leave the parts uploaded so far behind in the bucket
+    await client.abortMultipartUpload(bucketName, key, uploadId).catch(() => {});
+    delete file.uploadId;
+    throw error;
+  } finally {
+    activeUploads.delete(uploadId);
+  }
+}
+
+/**
+ * Abort all multipart uploads in progress (e.g. when the process is interrupted)
+ * @returns {Promise<number>} Number of uploads aborted
+ */
+export async function abortActiveUploads() {
+  const uploads = [...activeUploads.entries()];
+  activeUploads.clear();
+  await Promise.all(uploads.map(([uploadId, { client, bucketName, key }]) =>
+    client.abortMultipartUpload(bucketName, key, uploadId).catch(() => {})
+  ));
+  return uploads.length;
+}
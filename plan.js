@@ -0,0 +1,114 @@
+import fs from 'fs';
+import chalk from 'chalk';
+import { toS3Key } from './uploader.js';
+import { csvField } from './manifest.js';
+import { formatSize } from './utils.js';
+
+/**
+ * Upload plans for --dry-run: what an upload would do with every file
+ */
+
+// Actions of a plan entry; unknown means the existence check failed
+export const PLAN_ACTIONS = ['upload', 'overwrite', 'skip', 'unknown'];
+
+// Columns of a plan entry, in CSV order
+const PLAN_FIELDS = ['filepath', 'key', 'size', 'action', 'error'];
+
+// Folder name used for the files directly in the base directory
+const ROOT_FOLDER = '.';
+
+/**
+ * Build the plan from the files of a dry run
+ * Files the dry run never got to (e.g. unchanged files of a sync or files a resumed
+ * run already uploaded) are skipped.
+ * @param {object[]} files - File records after uploadFilesToS3 ran with dryRun
+ * @param {string} basePath - Base directory path for relative path calculation
+ * @returns {object[]} Entries with filepath, key, size, action and error
+ */
+export function buildUploadPlan(files, basePath) {
+  return files.map(file => ({
+    filepath: file.filepath,
+    key: toS3Key(basePath, file.filepath),
+    size: file.size,
+    action: file.plannedAction || 'skip',
+    error: file.plannedAction === 'unknown' ? file.error || null : null
+  }));
+}
+
+/**
+ * Total the plan per first-level folder and action
+ * @param {object[]} plan - Entries from buildUploadPlan
+ * @returns {{ total: object, folders: Map<string, object> }} Overall totals, and the totals by
+ *   folder name ('.' for files in the base directory); each maps an action to { count, size }
+ */
+export function summarizeUploadPlan(plan) {
+  const emptyTotals = () => Object.fromEntries(PLAN_ACTIONS.map(action => [action, { count: 0, size: 0 }]));
+  const total = emptyTotals();
+  const folders = new Map();
+
+  for (const entry of plan) {
+    const separator = entry.key.indexOf('/');
+    const folder = separator === -1 ? ROOT_FOLDER : entry.key.slice(0, separator);
+    if (!folders.has(folder)) {
+      folders.set(folder, emptyTotals());
+    }
+    for (const totals of [folders.get(folder), total]) {
+      totals[entry.action].count++;
+      totals[entry.action].size += entry.size;
+    }
+  }
+  return { total, folders };
+}
+
+// Format the totals of one folder, leaving out actions without files
+function formatTotals(totals) {
+  const parts = PLAN_ACTIONS
+    .filter(action => totals[action].count > 0)
+    .map(action => `${action} ${chalk.bold(totals[action].count.toLocaleString())} (${formatSize(totals[action].size)})`);
+  return parts.length > 0 ? parts.join(', ') : 'nothing';
+}
+
+/**
+ * Print an upload plan
+ * @param {object[]} plan - Entries from buildUploadPlan
+ * @param {string} bucketName - S3 bucket name
+ * @param {boolean} verbose - Whether to list every file
+ */
+export function printUploadPlan(plan, bucketName, verbose = false) {
+  const actionColors = { upload: chalk.green, overwrite: chalk.yellow, skip: chalk.gray, unknown: chalk.red };
+
+  if (verbose) {
+    console.log(chalk.yellow('\nUpload plan:'));
+    for (const entry of plan) {
+      const reason = entry.error ? ` - ${chalk.red(entry.error)}` : '';
+      console.log(`${actionColors[entry.action](entry.action.padEnd(9))} ${chalk.cyan(entry.filepath)} ${chalk.gray('→')} ${chalk.yellow(`s3://${bucketName}/${entry.key}`)} (${formatSize(entry.size)})${reason}`);
+    }
+  }
+
+  const { total, folders } = summarizeUploadPlan(plan);
+  console.log(chalk.yellow('\nPlan per folder:'));
+  for (const [folder, totals] of folders) {
+    console.log(`${chalk.cyan(folder)} - ${formatTotals(totals)}`);
+  }
+  console.log(chalk.yellow('\nPlan totals:'));
+  console.log(formatTotals(total));
+}
+
+/**
+ * Export an upload plan as NDJSON, CSV or JSON
+ * @param {string} file - Output file path
+ * @param {string} format - One of MANIFEST_FORMATS
+ * @param {object[]} plan - Entries from buildUploadPlan
+ * @returns {Promise<void>}
+ */
+export async function writeUploadPlan(file, format, plan) {
+  let content;
+  if (format === 'csv') {
+    content = [PLAN_FIELDS.join(','), ...plan.map(entry => PLAN_FIELDS.map(field => csvField(entry[field])).join(','))].join('\n') + '\n';
+  } else if (format === 'json') {
+    content = JSON.stringify(plan, null, 2) + '\n';
+  } else {
+    content = plan.map(entry => JSON.stringify(entry) + '\n').join('');
+  }
+  await fs.promises.writeFile(file, content);
+}
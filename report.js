@@ -0,0 +1,162 @@
+import fs from 'fs';
+import path from 'path';
+import { summarizeUploadPlan } from './plan.js';
+import { buildFolderTree } from './folderTree.js';
+
+/**
+ * Machine-readable run reports
+ * The results of a run are collected section by section and written as one JSON
+ * document when the process exits, whatever way it exits.
+ */
+
+// Supported report formats
+export const REPORT_FORMATS = ['json'];
+
+// Exit codes of the command line tool
+export const EXIT_CODES = {
+  success: 0, // Everything was scanned, uploaded and verified
+  partial: 1, // The run finished, but some files failed to upload, were left unfinished, didn't match their objects or couldn't be verified
+  fatal: 2, // The run could not be completed (invalid options, unreachable bucket, missing directory...)
+  interrupted: 130 // Stopped by Ctrl-C or SIGTERM
+};
+
+// Outcome names of the exit codes, as written in the report
+const OUTCOMES = Object.fromEntries(Object.entries(EXIT_CODES).map(([outcome, code]) => [code, outcome]));
+
+/**
+ * Results of one run of the command line tool
+ */
+export class RunReport {
+  /**
+   * @param {string} command - Command that is run ('scan', 'upload', 'verify' or 'diff')
+   */
+  constructor(command) {
+    this.command = command;
+    this.startedAt = new Date();
+    this.sections = {};
+  }
+
+  /**
+   * Set a section of the report
+   * @param {string} name - Section name
+   * @param {object} data - Section content
+   */
+  set(name, data) {
+    this.sections[name] = data;
+  }
+
+  /**
+   * Record the statistics of a scan
+   * @param {FileStructure} fileStructure - Scanned files
+   * @param {object} details - Scan details
+   * @param {string} details.directory - Scanned directory
+   * @param {number} details.durationMs - Scan time
+   * @param {object[]} details.errors - Directories that couldn't be read ({ dirPath, message })
+   */
+  addScan(fileStructure, details) {
+    const statistics = fileStructure.getStatistics();
+    this.set('scan', {
+      directory: details.directory,
+      totalFiles: statistics.totalFiles,
+      totalSize: statistics.totalSize,
+      processedDirs: statistics.processedDirs,
+      totalSymlinks: statistics.totalSymlinks,
+      skippedSymlinks: statistics.skippedSymlinks,
+      durationMs: details.durationMs,
+      folders: statistics.firstLevelFolders.map(folder => ({
+        name: path.basename(folder.path),
+        path: folder.path,
+        fileCount: folder.fileCount,
+        totalSize: folder.totalSize
+      })),
+      tree: buildFolderTree(details.directory, statistics.folderTotals),
+      breakdown: statistics.breakdown,
+      errors: details.errors
+    });
+  }
+
+  /**
+   * Record the result of an upload
+   * @param {FileStructure} fileStructure - Files of the upload, with their final status
+   * @param {object} details - Upload details
+   * @param {string} details.bucket - S3 bucket name
+   * @param {string} details.mode - Upload mode ('folders' or 'files')
+   * @param {number} details.durationMs - Upload time
+   * @param {object} [details.sync] - Summary of compareWithRemote, with --sync
+   * @param {object[]} [details.plan] - Entries of buildUploadPlan, for a dry run
+   */
+  addUpload(fileStructure, details) {
+    const section = {
+      bucket: details.bucket,
+      mode: details.mode,
+      dryRun: Boolean(details.plan),
+      durationMs: details.durationMs
+    };
+    if (details.sync) {
+      section.sync = details.sync;
+    }
+
+    if (details.plan) {
+      section.plan = summarizeUploadPlan(details.plan).total;
+    } else {
+      const statistics = fileStructure.getUploadStatistics();
+      section.files = {
+        total: fileStructure.files.length,
+        uploaded: statistics.done - statistics.skipped,
+        skipped: statistics.skipped,
+        failed: statistics.failed.length,
+        mismatch: statistics.mismatch,
+        pending: statistics.ready + statistics.transfer
+      };
+      section.bytesUploaded = statistics.bytesUploaded;
+      section.bytesPerSecond = details.durationMs > 0 ? Math.round(statistics.bytesUploaded / details.durationMs * 1000) : 0;
+    }
+    this.set('upload', section);
+  }
+
+  /**
+   * Record the files that failed or didn't match their objects
+   * @param {object[]} files - File records with filepath, status and error
+   */
+  addFailures(files) {
+    this.set('failures', files
+      .filter(file => file.status === 'failed' || file.status === 'mismatch')
+      .map(file => ({ filepath: file.filepath, status: file.status, error: file.error || null })));
+  }
+
+  /**
+   * Build the report document
+   * @param {number} exitCode - Exit code of the run (one of EXIT_CODES)
+   * @param {Error} [error] - Error that ended the run
+   * @returns {object}
+   */
+  toJSON(exitCode, error) {
+    const finishedAt = new Date();
+    return {
+      command: this.command,
+      outcome: OUTCOMES[exitCode] || 'fatal',
+      exitCode,
+      error: error ? error.message : null,
+      startedAt: this.startedAt.toISOString(),
+      finishedAt: finishedAt.toISOString(),
+      durationMs: finishedAt - this.startedAt,
+      ...this.sections
+    };
+  }
+
+  /**
+   * Write the report
+   * @param {string} [file] - Output file path (default: stdout)
+   * @param {number} exitCode - Exit code of the run
+   * @param {Error} [error] - Error that ended the run
+   * @returns {Promise<void>}
+   */
+  async write(file, exitCode, error) {
+    const content = JSON.stringify(this.toJSON(exitCode, error), null, 2) + '\n';
+    if (file) {
+      await fs.promises.writeFile(file, content);
+    } else {
+      await new Promise(resolve => process.stdout.write(content, resolve));
+    }
+  }
+}
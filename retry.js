@@ -0,0 +1,91 @@
+/**
+ * Retry policy for S3 requests: error classification and jittered exponential backoff
+ */
+
+// Default number of retries after the first attempt and base delay in milliseconds
+export const DEFAULT_RETRIES = 3;
+export const DEFAULT_RETRY_BACKOFF = 500;
+
+// Upper bound of a single backoff delay
+const MAX_BACKOFF = 30000;
+
+// S3 error codes that signal throttling or a transient server-side problem
+const RETRYABLE_CODES = new Set([
+  'SlowDown',
+  'Throttling',
+  'ThrottlingException',
+  'RequestThrottled',
+  'RequestLimitExceeded',
+  'TooManyRequestsException',
+  'RequestTimeout',
+  'InternalError',
+  'ServiceUnavailable'
+]);
+
+// System error codes of dropped or timed out connections
+const RETRYABLE_NETWORK_CODES = new Set([
+  'ECONNRESET',
+  'ECONNREFUSED',
+  'ECONNABORTED',
+  'ETIMEDOUT',
+  'EPIPE',
+  'EAI_AGAIN',
+  'ENETUNREACH',
+  'EHOSTUNREACH'
+]);
+
+/**
+ * Decide whether a failed request is worth retrying
+ * Throttling, timeouts, dropped connections and 5xx responses are retried; other client
+ * errors (e.g. access denied, invalid credentials or a local clock that is off, see
+ * RequestTimeTooSkewed) and missing local files are not.
+ * @param {Error} error - Error thrown by the request
+ * @returns {boolean}
+ */
+export function isRetryableError(error) {
+  if (RETRYABLE_CODES.has(error.code) || RETRYABLE_NETWORK_CODES.has(error.code)) {
+    return true;
+  }
+  if (typeof error.statusCode === 'number') {
+    return error.statusCode === 429 || error.statusCode >= 500;
+  }
+  return false;
+}
+
+/**
+ * Compute the delay before a retry ("full jitter" exponential backoff)
+ * @param {number} attempt - Number of the retry, starting at 1
+ * @param {number} baseDelay - Base delay in milliseconds
+ * @returns {number} Delay in milliseconds, random between 0 and baseDelay * 2^(attempt - 1)
+ */
+export function backoffDelay(attempt, baseDelay) {
+  const ceiling = Math.min(MAX_BACKOFF, baseDelay * 2 ** (attempt - 1));
+  return Math.round(Math.random() * ceiling);
+}
+
+/**
+ * Run an async function, retrying it on retryable errors
+ * @param {function} fn - Async function to run, called with the attempt number (0 for the first)
+ * @param {object} [policy] - Retry policy
+ * @param {number} [policy.retries] - Maximum number of retries after the first attempt
+ * @param {number} [policy.backoff] - Base delay of the exponential backoff in milliseconds
+ * @param {function} [policy.onRetry] - Called with (error, attempt, delay) before each retry
+ * @returns {Promise<*>} Result of fn
+ */
+export async function withRetry(fn, policy = {}) {
+  const retries = policy.retries ?? DEFAULT_RETRIES;
+  const backoff = policy.backoff ?? DEFAULT_RETRY_BACKOFF;
+
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await fn(attempt);
+    } catch (error) {
+      if (attempt >= retries || !isRetryableError(error)) {
+        throw error;
+      }
+      const delay = backoffDelay(attempt + 1, backoff);
+      policy.onRetry?.(error, attempt + 1, delay);
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+  }
+}
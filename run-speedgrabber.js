@@ -6,6 +6,7 @@
  */
 
 import { spawn } from 'child_process';
+import os from 'os';
 import path from 'path';
 import { fileURLToPath } from 'url';
 
@@ -29,16 +30,32 @@ const nodeArgs = [
   ...args
 ];
 
-console.log(`Running SpeedGrabber with Node.js flags: ${nodeArgs.slice(0, -args.length).join(' ')}`);
+// Written to stderr, so the output of --report json on stdout stays parseable
+console.error(`Running SpeedGrabber with Node.js flags: ${nodeArgs.slice(0, nodeArgs.indexOf(speedGrabberPath)).join(' ')}`);
+
+// The scan workers share the libuv thread pool for file system calls, so grow it from its
+// default of 4 threads with the number of CPUs. libuv reads the size when the process starts,
+// so it can only be set for the child (a value set by the user is kept).
+const threadPoolSize = process.env.UV_THREADPOOL_SIZE || String(Math.min(Math.max(4, os.cpus().length * 2), 1024));
 
 // Spawn a new Node.js process with increased memory limit
 const child = spawn('node', nodeArgs, {
   stdio: 'inherit', // Pipe all stdio to the parent process
-  env: { ...process.env, NODE_OPTIONS: '--no-warnings' } // Suppress warnings
+  env: {
+    ...process.env,
+    NODE_OPTIONS: '--no-warnings', // Suppress warnings
+    UV_THREADPOOL_SIZE: threadPoolSize
+  }
 });
 
+// Pass Ctrl-C and SIGTERM on to SpeedGrabber, so it can abort its multipart uploads and exit
+// with its own status. The wrapper itself keeps running until the child has exited.
+for (const signal of ['SIGINT', 'SIGTERM']) {
+  process.on(signal, () => child.kill(signal));
+}
+
 // Handle process exit
-child.on('close', (code) => {
+child.on('close', (code, signal) => {
   // Force garbage collection before exiting
   if (globalThis.gc) {
     try {
@@ -47,7 +64,8 @@ child.on('close', (code) => {
       // Ignore errors
     }
   }
-  process.exit(code);
+  // A child killed by a signal exits like a shell reports it: 128 + the signal number (130 for SIGINT)
+  process.exit(code ?? 128 + os.constants.signals[signal]);
 });
 
 // Handle process errors
@@ -0,0 +1,645 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import http from 'http';
+import https from 'https';
+import os from 'os';
+import path from 'path';
+import { createThrottleStream } from './throttle.js';
+
+/**
+ * Minimal S3 client for SpeedGrabber
+ * Signs requests with AWS Signature Version 4 and keeps connections alive,
+ * so no aws CLI process or shell is involved in an upload.
+ */
+
+// Hash of an empty payload, used for requests without a body
+const EMPTY_PAYLOAD_HASH = crypto.createHash('sha256').update('').digest('hex');
+
+// Connections are reused across requests
+const agents = {
+  'http:': new http.Agent({ keepAlive: true, maxSockets: 64 }),
+  'https:': new https.Agent({ keepAlive: true, maxSockets: 64 })
+};
+
+// Close the connection if nothing is received for this long
+const SOCKET_TIMEOUT = 120000;
+
+// Values accepted for the object settings of uploads
+export const STORAGE_CLASSES = [
+  'STANDARD', 'REDUCED_REDUNDANCY', 'STANDARD_IA', 'ONEZONE_IA', 'INTELLIGENT_TIERING',
+  'GLACIER', 'GLACIER_IR', 'DEEP_ARCHIVE', 'OUTPOSTS', 'EXPRESS_ONEZONE'
+];
+export const SSE_MODES = ['AES256', 'aws:kms', 'aws:kms:dsse'];
+export const CANNED_ACLS = [
+  'private', 'public-read', 'public-read-write', 'authenticated-read',
+  'aws-exec-read', 'bucket-owner-read', 'bucket-owner-full-control'
+];
+
+/**
+ * Error returned by S3 or raised while talking to it
+ */
+export class S3Error extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {object} details - Error details
+   * @param {string} [details.code] - S3 error code (e.g. NoSuchKey) or system error code (e.g. ECONNRESET)
+   * @param {number} [details.statusCode] - HTTP status code
+   */
+  constructor(message, { code, statusCode } = {}) {
+    super(message);
+    this.name = 'S3Error';
+    this.code = code;
+    this.statusCode = statusCode;
+  }
+}
+
+/**
+ * Parse an INI file as used by the aws CLI (~/.aws/credentials and ~/.aws/config)
+ * @param {string} content - File content
+ * @returns {object} Sections by name, each an object of key/value pairs
+ */
+export function parseIni(content) {
+  const sections = {};
+  let current = null;
+
+  for (const rawLine of content.split(/\r?\n/)) {
+    const line = rawLine.trim();
+    if (!line || line.startsWith('#') || line.startsWith(';')) {
+      continue;
+    }
+
+    const section = /^\[(.+)\]$/.exec(line);
+    if (section) {
+      current = sections[section[1].trim()] = {};
+    } else if (current) {
+      const separator = line.indexOf('=');
+      if (separator > 0) {
+        current[line.slice(0, separator).trim()] = line.slice(separator + 1).trim();
+      }
+    }
+  }
+
+  return sections;
+}
+
+// Read an INI file, treating a missing file as empty
+async function readIniFile(file) {
+  try {
+    return parseIni(await fs.promises.readFile(file, 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return {};
+    }
+    throw error;
+  }
+}
+
+/**
+ * Check client options, throwing an error that names the offending option
+ * @param {object} options - Options as accepted by resolveClientConfig
+ */
+export function validateClientOptions(options = {}) {
+  if (options.endpoint) {
+    let url;
+    try {
+      url = new URL(options.endpoint);
+    } catch (error) {
+      throw new Error(`Invalid endpoint URL: ${options.endpoint}`);
+    }
+    if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+      throw new Error(`Invalid endpoint URL: ${options.endpoint} (must start with http:// or https://)`);
+    }
+  }
+  if (options.region && !/^[a-z0-9-]+$/.test(options.region)) {
+    throw new Error(`Invalid region: ${options.region}`);
+  }
+  if (options.storageClass && !STORAGE_CLASSES.includes(options.storageClass)) {
+    throw new Error(`Invalid storage class: ${options.storageClass} (allowed: ${STORAGE_CLASSES.join(', ')})`);
+  }
+  if (options.sse && !SSE_MODES.includes(options.sse)) {
+    throw new Error(`Invalid server-side encryption: ${options.sse} (allowed: ${SSE_MODES.join(', ')})`);
+  }
+  if (options.acl && !CANNED_ACLS.includes(options.acl)) {
+    throw new Error(`Invalid ACL: ${options.acl} (allowed: ${CANNED_ACLS.join(', ')})`);
+  }
+}
+
+/**
+ * Resolve credentials, region and endpoint the way the aws CLI does
+ * Environment variables take precedence over the shared credentials and config files.
+ * @param {object} options - Overrides
+ * @param {string} [options.profile] - Profile name (default: AWS_PROFILE or 'default')
+ * @param {string} [options.region] - Region
+ * @param {string} [options.endpoint] - Endpoint URL
+ * @param {string} [options.storageClass] - Storage class of uploaded objects
+ * @param {string} [options.sse] - Server-side encryption of uploaded objects
+ * @param {string} [options.acl] - Canned ACL of uploaded objects
+ * @returns {Promise<object>} Client configuration
+ */
+export async function resolveClientConfig(options = {}) {
+  validateClientOptions(options);
+
+  const env = process.env;
+  const profile = options.profile || env.AWS_PROFILE || 'default';
+  const awsDir = path.join(os.homedir(), '.aws');
+  const credentialsFile = await readIniFile(env.AWS_SHARED_CREDENTIALS_FILE || path.join(awsDir, 'credentials'));
+  const configFile = await readIniFile(env.AWS_CONFIG_FILE || path.join(awsDir, 'config'));
+
+  const profileCredentials = credentialsFile[profile] || {};
+  const profileConfig = configFile[profile === 'default' ? 'default' : `profile ${profile}`] || {};
+
+  // An explicitly selected profile wins over credentials from the environment
+  const useEnvironment = !options.profile && env.AWS_ACCESS_KEY_ID && env.AWS_SECRET_ACCESS_KEY;
+  const credentials = useEnvironment
+    ? {
+        accessKeyId: env.AWS_ACCESS_KEY_ID,
+        secretAccessKey: env.AWS_SECRET_ACCESS_KEY,
+        sessionToken: env.AWS_SESSION_TOKEN
+      }
+    : {
+        accessKeyId: profileCredentials.aws_access_key_id || profileConfig.aws_access_key_id,
+        secretAccessKey: profileCredentials.aws_secret_access_key || profileConfig.aws_secret_access_key,
+        sessionToken: profileCredentials.aws_session_token || profileConfig.aws_session_token
+      };
+
+  if (options.profile && !credentialsFile[profile] && !configFile[`profile ${profile}`] && !configFile[profile]) {
+    throw new S3Error(`Profile '${profile}' not found in the AWS credentials or config file`, { code: 'ProfileNotFound' });
+  }
+  if (!credentials.accessKeyId || !credentials.secretAccessKey) {
+    throw new S3Error(`No AWS credentials found for profile '${profile}'`, { code: 'CredentialsNotFound' });
+  }
+
+  return {
+    credentials,
+    region: options.region || env.AWS_REGION || env.AWS_DEFAULT_REGION || profileConfig.region || 'us-east-1',
+    endpoint: options.endpoint || env.AWS_ENDPOINT_URL_S3 || env.AWS_ENDPOINT_URL || profileConfig.endpoint_url || null,
+    storageClass: options.storageClass,
+    sse: options.sse,
+    acl: options.acl
+  };
+}
+
+// URI-encode a string as required by SigV4 (RFC 3986 unreserved characters are kept)
+function uriEncode(value, keepSlash = false) {
+  const encoded = encodeURIComponent(value)
+    .replace(/[!'()*]/g, char => '%' + char.charCodeAt(0).toString(16).toUpperCase());
+  return keepSlash ? encoded.replace(/%2F/g, '/') : encoded;
+}
+
+function hmac(key, data) {
+  return crypto.createHmac('sha256', key).update(data).digest();
+}
+
+/**
+ * Compute the SigV4 Authorization header for a request
+ * @param {object} request - Request to sign
+ * @param {string} request.method - HTTP method
+ * @param {string} request.path - Encoded request path
+ * @param {object} request.query - Query parameters
+ * @param {object} request.headers - Headers to sign, lowercase names (must include host, x-amz-date and x-amz-content-sha256)
+ * @param {object} credentials - accessKeyId and secretAccessKey
+ * @param {string} region - Signing region
+ * @returns {string} Authorization header value
+ */
+export function signRequest(request, credentials, region) {
+  const amzDate = request.headers['x-amz-date'];
+  const date = amzDate.slice(0, 8);
+  const scope = `${date}/${region}/s3/aws4_request`;
+
+  const canonicalQuery = Object.keys(request.query)
+    .sort()
+    .map(key => `${uriEncode(key)}=${uriEncode(String(request.query[key]))}`)
+    .join('&');
+  const headerNames = Object.keys(request.headers).sort();
+  const canonicalHeaders = headerNames
+    .map(name => `${name}:${String(request.headers[name]).trim().replace(/\s+/g, ' ')}\n`)
+    .join('');
+  const signedHeaders = headerNames.join(';');
+
+  const canonicalRequest = [
+    request.method,
+    request.path,
+    canonicalQuery,
+    canonicalHeaders,
+    signedHeaders,
+    request.headers['x-amz-content-sha256']
+  ].join('\n');
+
+  const stringToSign = [
+    'AWS4-HMAC-SHA256',
+    amzDate,
+    scope,
+    crypto.createHash('sha256').update(canonicalRequest).digest('hex')
+  ].join('\n');
+
+  const signingKey = hmac(hmac(hmac(hmac(`AWS4${credentials.secretAccessKey}`, date), region), 's3'), 'aws4_request');
+  const signature = crypto.createHmac('sha256', signingKey).update(stringToSign).digest('hex');
+
+  return `AWS4-HMAC-SHA256 Credential=${credentials.accessKeyId}/${scope}, SignedHeaders=${signedHeaders}, Signature=${signature}`;
+}
+
+// Decode the XML entities S3 uses in response bodies
+function decodeXml(value) {
+  return value
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&#(\d+);/g, (match, code) => String.fromCodePoint(Number(code)))
+    .replace(/&#x([0-9a-f]+);/gi, (match, code) => String.fromCodePoint(parseInt(code, 16)))
+    .replace(/&amp;/g, '&');
+}
+
+// Get the text of the first element with the given name
+function xmlValue(xml, name) {
+  const match = new RegExp(`<${name}>([\\s\\S]*?)</${name}>`).exec(xml);
+  return match ? decodeXml(match[1]) : null;
+}
+
+// Escape text for use in an XML request body
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// Get the inner XML of every element with the given name
+function xmlElements(xml, name) {
+  return [...xml.matchAll(new RegExp(`<${name}>([\\s\\S]*?)</${name}>`, 'g'))].map(match => match[1]);
+}
+
+/**
+ * S3 client supporting the operations SpeedGrabber needs
+ */
+export class S3Client {
+  /**
+   * @param {object} config - Client configuration, see resolveClientConfig
+   * @param {object} config.credentials - accessKeyId, secretAccessKey and optional sessionToken
+   * @param {string} config.region - Region used for signing
+   * @param {string} [config.endpoint] - Custom endpoint URL (uses path-style addressing)
+   * @param {string} [config.storageClass] - Storage class of uploaded objects
+   * @param {string} [config.sse] - Server-side encryption of uploaded objects
+   * @param {string} [config.acl] - Canned ACL of uploaded objects
+   * @param {BandwidthLimiter} [config.bandwidthLimiter] - Limiter all request bodies are streamed through
+   */
+  constructor(config) {
+    this.credentials = config.credentials;
+    this.bandwidthLimiter = config.bandwidthLimiter || null;
+    this.region = config.region;
+    this.endpoint = config.endpoint ? new URL(config.endpoint) : null;
+
+    // Headers sent with every object that is created
+    this.objectHeaders = {};
+    if (config.storageClass) {
+      this.objectHeaders['x-amz-storage-class'] = config.storageClass;
+    }
+    if (config.sse) {
+      this.objectHeaders['x-amz-server-side-encryption'] = config.sse;
+    }
+    if (config.acl) {
+      this.objectHeaders['x-amz-acl'] = config.acl;
+    }
+  }
+
+  /**
+   * Create a client from the environment and the aws CLI configuration files
+   * @param {object} [options] - Overrides passed to resolveClientConfig
+   * @param {BandwidthLimiter} [options.bandwidthLimiter] - Limiter all request bodies are streamed through
+   * @returns {Promise<S3Client>}
+   */
+  static async fromEnvironment(options = {}) {
+    const config = await resolveClientConfig(options);
+    return new S3Client({ ...config, bandwidthLimiter: options.bandwidthLimiter });
+  }
+
+  // Work out protocol, host and path for a bucket and key
+  resolveUrl(bucket, key) {
+    const encodedKey = key ? '/' + uriEncode(key, true) : '/';
+
+    if (this.endpoint) {
+      // Custom endpoints (MinIO, Ceph, local stand-ins) are addressed path-style
+      const basePath = this.endpoint.pathname.replace(/\/+$/, '');
+      return {
+        protocol: this.endpoint.protocol,
+        host: this.endpoint.host,
+        path: `${basePath}/${uriEncode(bucket)}${key ? encodedKey : ''}`
+      };
+    }
+
+    // Buckets with dots break virtual-hosted TLS certificates
+    if (bucket.includes('.')) {
+      return { protocol: 'https:', host: `s3.${this.region}.amazonaws.com`, path: `/${bucket}${key ? encodedKey : ''}` };
+    }
+    return { protocol: 'https:', host: `${bucket}.s3.${this.region}.amazonaws.com`, path: encodedKey };
+  }
+
+  /**
+   * Send a signed request
+   * @param {string} method - HTTP method
+   * @param {string} bucket - Bucket name
+   * @param {string} [key] - Object key
+   * @param {object} [options] - Request options
+   * @param {object} [options.query] - Query parameters
+   * @param {object} [options.headers] - Additional headers (lowercase names)
+   * @param {Buffer|string|stream.Readable} [options.body] - Request body; streams need a content-length header
+   * @returns {Promise<object>} Response with statusCode, headers and body (string)
+   */
+  request(method, bucket, key, options = {}) {
+    const { protocol, host, path: requestPath } = this.resolveUrl(bucket, key);
+    const query = options.query || {};
+    const body = options.body;
+    const isStream = body && typeof body.pipe === 'function';
+
+    // Streamed bodies are sent unsigned, which S3 accepts for requests over TLS and most stand-ins accept over HTTP
+    let payloadHash = EMPTY_PAYLOAD_HASH;
+    if (isStream) {
+      payloadHash = 'UNSIGNED-PAYLOAD';
+    } else if (body) {
+      payloadHash = crypto.createHash('sha256').update(body).digest('hex');
+    }
+
+    const headers = {
+      ...options.headers,
+      host,
+      'x-amz-date': new Date().toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, ''),
+      'x-amz-content-sha256': payloadHash
+    };
+    if (this.credentials.sessionToken) {
+      headers['x-amz-security-token'] = this.credentials.sessionToken;
+    }
+    if (body && !isStream) {
+      headers['content-length'] = Buffer.byteLength(body);
+    }
+    headers.authorization = signRequest({ method, path: requestPath, query, headers }, this.credentials, this.region);
+
+    const queryString = Object.keys(query)
+      .map(name => `${uriEncode(name)}=${uriEncode(String(query[name]))}`)
+      .join('&');
+    const transport = protocol === 'http:' ? http : https;
+
+    return new Promise((resolve, reject) => {
+      const req = transport.request({
+        method,
+        host: host.replace(/:\d+$/, ''),
+        port: host.includes(':') ? host.split(':').pop() : undefined,
+        path: requestPath + (queryString ? `?${queryString}` : ''),
+        headers,
+        agent: agents[protocol]
+      }, (res) => {
+        const chunks = [];
+        res.on('data', chunk => chunks.push(chunk));
+        res.on('error', reject);
+        res.on('end', () => {
+          const responseBody = Buffer.concat(chunks).toString('utf8');
+          if (res.statusCode >= 300) {
+            const code = xmlValue(responseBody, 'Code') || `Http${res.statusCode}`;
+            let message = xmlValue(responseBody, 'Message') || `${method} request failed with status ${res.statusCode}`;
+            // Requests are signed with the local time, so retrying won't help until the clock is fixed
+            if (code === 'RequestTimeTooSkewed') {
+              message += ` (local time ${new Date().toISOString()}, server time ${res.headers.date || 'unknown'}; check the system clock)`;
+            }
+            reject(new S3Error(`${code}: ${message}`, { code, statusCode: res.statusCode }));
+            return;
+          }
+          resolve({ statusCode: res.statusCode, headers: res.headers, body: responseBody });
+        });
+      });
+
+      req.setTimeout(SOCKET_TIMEOUT, () => {
+        req.destroy(new S3Error(`No response within ${SOCKET_TIMEOUT / 1000} seconds`, { code: 'ETIMEDOUT' }));
+      });
+      req.on('error', (error) => {
+        reject(error instanceof S3Error ? error : new S3Error(error.message, { code: error.code }));
+      });
+
+      if (isStream) {
+        // Throttle at the byte level, so the limit holds across all concurrent requests
+        let source = body;
+        if (this.bandwidthLimiter) {
+          source = body.pipe(createThrottleStream(this.bandwidthLimiter));
+          body.on('error', (error) => source.destroy(error));
+        }
+        source.on('error', (error) => req.destroy(error));
+        source.pipe(req);
+      } else {
+        req.end(body);
+      }
+    });
+  }
+
+  /**
+   * Upload a local file as an object
+   * @param {string} bucket - Bucket name
+   * @param {string} key - Object key
+   * @param {string} filePath - Local file to upload
+   * @param {object} [options] - Upload options
+   * @param {number} [options.size] - File size (read from disk if omitted)
+   * @param {object} [options.headers] - Additional headers such as content-type
+   * @returns {Promise<object>} The ETag of the new object
+   */
+  async putObject(bucket, key, filePath, options = {}) {
+    const size = options.size !== undefined ? options.size : (await fs.promises.stat(filePath)).size;
+    const response = await this.request('PUT', bucket, key, {
+      headers: { ...this.objectHeaders, ...options.headers, 'content-length': size },
+      body: fs.createReadStream(filePath)
+    });
+    return { etag: response.headers.etag };
+  }
+
+  /**
+   * Start a multipart upload
+   * @param {string} bucket - Bucket name
+   * @param {string} key - Object key
+   * @param {object} [options] - Upload options
+   * @param {object} [options.headers] - Additional headers such as content-type
+   * @returns {Promise<string>} Upload ID
+   */
+  async createMultipartUpload(bucket, key, options = {}) {
+    const response = await this.request('POST', bucket, key, {
+      query: { uploads: '' },
+      headers: { ...this.objectHeaders, ...options.headers }
+    });
+    const uploadId = xmlValue(response.body, 'UploadId');
+    if (!uploadId) {
+      throw new S3Error('CreateMultipartUpload returned no upload ID', { code: 'InvalidResponse', statusCode: response.statusCode });
+    }
+    return uploadId;
+  }
+
+  /**
+   * Upload one part of a multipart upload from a byte range of a local file
+   * @param {string} bucket - Bucket name
+   * @param {string} key - Object key
+   * @param {string} uploadId - Upload ID from createMultipartUpload
+   * @param {number} partNumber - Part number, from 1 to 10000
+   * @param {string} filePath - Local file
+   * @param {number} start - Offset of the first byte of the part
+   * @param {number} size - Size of the part in bytes
+   * @returns {Promise<string>} The ETag of the part
+   */
+  async uploadPart(bucket, key, uploadId, partNumber, filePath, start, size) {
+    const response = await this.request('PUT', bucket, key, {
+      query: { partNumber, uploadId },
+      headers: { 'content-length': size },
+      body: fs.createReadStream(filePath, { start, end: start + size - 1 })
+    });
+    return response.headers.etag;
+  }
+
+  /**
+   * List the parts already uploaded for a multipart upload
+   * @param {string} bucket - Bucket name
+   * @param {string} key - Object key
+   * @param {string} uploadId - Upload ID from createMultipartUpload
+   * @returns {Promise<object[]>} Parts with partNumber, etag and size
+   */
+  async listParts(bucket, key, uploadId) {
+    const parts = [];
+    let marker;
+    let truncated;
+    do {
+      const query = { uploadId };
+      if (marker) {
+        query['part-number-marker'] = marker;
+      }
+      const response = await this.request('GET', bucket, key, { query });
+      for (const item of xmlElements(response.body, 'Part')) {
+        parts.push({
+          partNumber: Number(xmlValue(item, 'PartNumber')),
+          etag: xmlValue(item, 'ETag'),
+          size: Number(xmlValue(item, 'Size'))
+        });
+      }
+      truncated = xmlValue(response.body, 'IsTruncated') === 'true';
+      marker = xmlValue(response.body, 'NextPartNumberMarker');
+    } while (truncated && marker);
+    return parts;
+  }
+
+  /**
+   * Assemble the uploaded parts into the object
+   * @param {string} bucket - Bucket name
+   * @param {string} key - Object key
+   * @param {string} uploadId - Upload ID from createMultipartUpload
+   * @param {object[]} parts - Parts with partNumber and etag, in ascending order
+   * @returns {Promise<object>} The ETag of the new object
+   */
+  async completeMultipartUpload(bucket, key, uploadId, parts) {
+    const body = '<CompleteMultipartUpload>' +
+      parts.map(part => `<Part><PartNumber>${part.partNumber}</PartNumber><ETag>${escapeXml(part.etag)}</ETag></Part>`).join('') +
+      '</CompleteMultipartUpload>';
+    const response = await this.request('POST', bucket, key, {
+      query: { uploadId },
+      headers: { 'content-type': 'application/xml' },
+      body
+    });
+
+    // S3 may report a failed completion in the body of a 200 response
+    const code = xmlValue(response.body, 'Code');
+    if (/<Error>/.test(response.body) && code) {
+      throw new S3Error(`${code}: ${xmlValue(response.body, 'Message') || 'CompleteMultipartUpload failed'}`, { code, statusCode: 500 });
+    }
+    return { etag: xmlValue(response.body, 'ETag') };
+  }
+
+  /**
+   * Abort a multipart upload, deleting the parts uploaded so far
+   * @param {string} bucket - Bucket name
+   * @param {string} key - Object key
+   * @param {string} uploadId - Upload ID from createMultipartUpload
+   * @returns {Promise<void>}
+   */
+  async abortMultipartUpload(bucket, key, uploadId) {
+    try {
+      await this.request('DELETE', bucket, key, { query: { uploadId } });
+    } catch (error) {
+      // The upload is gone already
+      if (error.statusCode !== 404) {
+        throw error;
+      }
+    }
+  }
+
+  /**
+   * Get the metadata of an object
+   * @param {string} bucket - Bucket name
+   * @param {string} key - Object key
+   * @param {object} [options] - Request options
+   * @param {number} [options.partNumber] - Get the metadata of one part of a multipart object
+   * @param {boolean} [options.checksumMode] - Ask for the additional checksums of the object
+   * @returns {Promise<object|null>} size, etag, lastModified, checksumSha256, sse and partsCount,
+   *   or null if the object doesn't exist
+   */
+  async headObject(bucket, key, options = {}) {
+    try {
+      const response = await this.request('HEAD', bucket, key, {
+        query: options.partNumber ? { partNumber: options.partNumber } : {},
+        headers: options.checksumMode ? { 'x-amz-checksum-mode': 'ENABLED' } : {}
+      });
+      return {
+        size: Number(response.headers['content-length']),
+        etag: response.headers.etag,
+        lastModified: new Date(response.headers['last-modified']),
+        checksumSha256: response.headers['x-amz-checksum-sha256'] || null,
+        sse: response.headers['x-amz-server-side-encryption'] || null,
+        partsCount: response.headers['x-amz-mp-parts-count'] ? Number(response.headers['x-amz-mp-parts-count']) : null
+      };
+    } catch (error) {
+      if (error.statusCode === 404) {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * List one page of objects
+   * @param {string} bucket - Bucket name
+   * @param {object} [options] - Listing options
+   * @param {string} [options.prefix] - Only list keys starting with this prefix
+   * @param {string} [options.continuationToken] - Token from the previous page
+   * @param {number} [options.maxKeys] - Maximum number of keys (S3 returns at most 1000)
+   * @returns {Promise<object>} objects ({ key, size, etag, lastModified }), isTruncated and nextContinuationToken
+   */
+  async listObjectsV2(bucket, options = {}) {
+    const query = { 'list-type': 2 };
+    if (options.prefix) {
+      query.prefix = options.prefix;
+    }
+    if (options.continuationToken) {
+      query['continuation-token'] = options.continuationToken;
+    }
+    if (options.maxKeys) {
+      query['max-keys'] = options.maxKeys;
+    }
+
+    const response = await this.request('GET', bucket, null, { query });
+    return {
+      objects: xmlElements(response.body, 'Contents').map(item => ({
+        key: xmlValue(item, 'Key'),
+        size: Number(xmlValue(item, 'Size')),
+        etag: xmlValue(item, 'ETag'),
+        lastModified: new Date(xmlValue(item, 'LastModified'))
+      })),
+      isTruncated: xmlValue(response.body, 'IsTruncated') === 'true',
+      nextContinuationToken: xmlValue(response.body, 'NextContinuationToken')
+    };
+  }
+
+  /**
+   * List all objects under a prefix, page by page
+   * @param {string} bucket - Bucket name
+   * @param {string} [prefix] - Key prefix
+   * @returns {AsyncGenerator<object>} Objects with key, size, etag and lastModified
+   */
+  async *listAllObjects(bucket, prefix) {
+    let continuationToken;
+    do {
+      const page = await this.listObjectsV2(bucket, { prefix, continuationToken });
+      yield* page.objects;
+      continuationToken = page.isTruncated ? page.nextContinuationToken : null;
+    } while (continuationToken);
+  }
+}
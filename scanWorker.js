@@ -0,0 +1,296 @@
+import fs from 'fs';
+import path from 'path';
+import { parentPort, workerData } from 'worker_threads';
+import { ScanFilter } from './filters.js';
+import { ScanStatistics } from './statistics.js';
+import { aggregationFolder } from './folderTree.js';
+import { directoryId } from './scanner.js';
+import { hashFile, mapConcurrent } from './utils.js';
+
+/**
+ * Worker thread code for directory scanning
+ * Started by scanDirectoryParallel and hashFilesParallel (see scanner.js); importing this file
+ * anywhere else makes no sense. Workers stay alive for the whole scan and take directories
+ * from the shared queue of the main thread.
+ */
+
+// Number of file records a worker collects before posting them to the main thread
+const CHUNK_SIZE = 1000;
+
+// Number of chunks a worker may have posted without acknowledgement before it pauses
+const MAX_PENDING_CHUNKS = 4;
+
+// Number of files a worker hashes at the same time
+const HASH_CONCURRENCY = 4;
+
+/**
+ * Determine how a directory entry should be treated
+ * @param {fs.Dirent} entry - Directory entry from readdir
+ * @param {string} fullPath - Absolute path of the entry
+ * @param {string} symlinkMode - One of SYMLINK_MODES
+ * @returns {Promise<string|null>} 'directory', 'file', 'symlink' (record mode) or null to skip the entry
+ */
+async function resolveEntryType(entry, fullPath, symlinkMode) {
+  if (entry.isDirectory()) {
+    return 'directory';
+  }
+  if (entry.isFile()) {
+    return 'file';
+  }
+  if (!entry.isSymbolicLink() || symlinkMode === 'skip') {
+    return null;
+  }
+  if (symlinkMode === 'record') {
+    return 'symlink';
+  }
+  
+  // Follow mode: treat the link as whatever it points to
+  try {
+    const stats = await fs.promises.stat(fullPath);
+    if (stats.isDirectory()) {
+      return 'directory';
+    }
+    if (stats.isFile()) {
+      return 'file';
+    }
+  } catch (error) {
+    // Dangling link
+  }
+  return null;
+}
+
+/**
+ * Store the content hash of a file record
+ * Files that can't be read (e.g. deleted since they were listed) get a null hash.
+ * @param {object} file - File record with filepath
+ * @param {string} algorithm - One of HASH_ALGORITHMS
+ * @returns {Promise<void>}
+ */
+async function hashRecord(file, algorithm) {
+  try {
+    file.hash = await hashFile(file.filepath, algorithm);
+  } catch (error) {
+    file.hash = null;
+  }
+}
+
+const { scanRoot, filterConfig, symlinkMode, hashAlgorithm, topCount, scanStart, aggregationDepth } = workerData;
+
+// Filters are rebuilt only when a directory brings in a different set of ignore files
+const filterCache = new Map();
+
+function getFilter(ignoreRules) {
+  const key = ignoreRules.map(rule => rule.base).join('\0');
+  let filter = filterCache.get(key);
+  if (!filter) {
+    filter = new ScanFilter({ ...filterConfig, ignoreRules });
+    filterCache.set(key, filter);
+  }
+  return filter;
+}
+
+// Results are posted in bounded chunks as the scan goes
+function createChunk() {
+  return {
+    filesBatch: [],
+    symlinks: [],
+    subdirs: [],
+    processedDirs: 0,
+    folderStats: {},
+    breakdown: new ScanStatistics({ topCount, now: scanStart }),
+    skippedSymlinks: 0,
+    errors: []
+  };
+}
+
+// Merge the results of a finished directory into a chunk
+function mergeChunk(target, source) {
+  target.filesBatch = target.filesBatch.concat(source.filesBatch);
+  target.symlinks = target.symlinks.concat(source.symlinks);
+  target.subdirs = target.subdirs.concat(source.subdirs);
+  target.processedDirs += source.processedDirs;
+  for (const folder in source.folderStats) {
+    if (!target.folderStats[folder]) {
+      target.folderStats[folder] = { fileCount: 0, totalSize: 0 };
+    }
+    target.folderStats[folder].fileCount += source.folderStats[folder].fileCount;
+    target.folderStats[folder].totalSize += source.folderStats[folder].totalSize;
+  }
+  target.breakdown.merge(source.breakdown.toJSON());
+  target.skippedSymlinks += source.skippedSymlinks;
+  target.errors = target.errors.concat(source.errors);
+}
+
+// The directories of a task are scanned concurrently, each into a chunk of its own; this chunk
+// collects the finished directories, so a posted chunk never holds files without their folder
+// statistics and breakdown
+let chunk = createChunk();
+let pendingChunks = 0;
+let ackWaiters = [];
+
+/**
+ * Post a chunk to the main thread
+ * Waits while too many chunks are unacknowledged, so the main thread is never swamped
+ * @param {object} data - Chunk from createChunk
+ * @param {string} type - 'chunk' while the task is running, 'done' for the last one
+ */
+async function postChunk(data, type = 'chunk') {
+  while (type === 'chunk' && pendingChunks >= MAX_PENDING_CHUNKS) {
+    await new Promise(resolve => ackWaiters.push(resolve));
+  }
+  if (type === 'chunk') {
+    pendingChunks++;
+  }
+  parentPort.postMessage({ type, ...data, breakdown: data.breakdown.toJSON() });
+}
+
+/**
+ * Post the finished directories collected so far
+ * @param {string} type - 'chunk' while the task is running, 'done' for the last one
+ */
+async function flushChunk(type = 'chunk') {
+  const data = chunk;
+  chunk = createChunk();
+  await postChunk(data, type);
+}
+
+/**
+ * Scan a single directory (without descending) and stream its entries to the main thread
+ * @param {string} dirPath - Directory to scan
+ * @param {ScanFilter} parentFilter - Filter inherited from the parent directory
+ */
+async function scanDirectoryWorker(dirPath, parentFilter) {
+  // Large directories post their files in full chunks as they go, each with its statistics
+  let dirChunk = createChunk();
+  try {
+    dirChunk.processedDirs++;
+    const entries = await fs.promises.readdir(dirPath, { withFileTypes: true });
+    
+    // Pick up a .speedgrabberignore file in this directory
+    const filter = await parentFilter.enterDirectory(dirPath, entries);
+    
+    // Process entries in batches
+    const filesToProcess = [];
+    let dirFileCount = 0;
+    let dirSize = 0;
+    
+    // Files of directories below the aggregation depth count in their ancestor at that depth
+    const folder = aggregationFolder(scanRoot, dirPath, aggregationDepth);
+    
+    for (const entry of entries) {
+      const fullPath = path.join(dirPath, entry.name);
+      const type = await resolveEntryType(entry, fullPath, symlinkMode);
+      
+      if (type === 'directory') {
+        if (filter.acceptsDirectory(fullPath)) {
+          // Subdirectories are handed back to the shared queue
+          // When following links the main thread needs their identity to detect loops
+          let id = null;
+          if (symlinkMode === 'follow') {
+            try {
+              id = directoryId(await fs.promises.stat(fullPath));
+            } catch (error) {
+              continue;
+            }
+          }
+          dirChunk.subdirs.push({ dirPath: fullPath, ignoreRules: filter.config.ignoreRules, id });
+        }
+      } else if (type === 'file') {
+        if (filter.acceptsFilePath(fullPath)) {
+          filesToProcess.push(fullPath);
+        }
+      } else if (type === 'symlink') {
+        if (filter.acceptsFilePath(fullPath)) {
+          try {
+            dirChunk.symlinks.push({ filepath: fullPath, target: await fs.promises.readlink(fullPath), status: 'ready' });
+          } catch (error) {
+            // Skip links that can't be read
+          }
+        }
+      } else if (entry.isSymbolicLink()) {
+        dirChunk.skippedSymlinks++;
+      }
+    }
+    
+    // Get stats for the files in slices of one chunk, posting each full chunk
+    for (let start = 0; start < filesToProcess.length; start += CHUNK_SIZE) {
+      const statsPromises = filesToProcess.slice(start, start + CHUNK_SIZE).map(async (filePath) => {
+        try {
+          const stats = await fs.promises.stat(filePath);
+          
+          // Apply the size and modification time predicates
+          if (!filter.acceptsStats(stats)) {
+            return null;
+          }
+          
+          // Folder statistics are sent as deltas along with the chunk holding the files
+          if (!dirChunk.folderStats[folder]) {
+            dirChunk.folderStats[folder] = { fileCount: 0, totalSize: 0 };
+          }
+          dirChunk.folderStats[folder].fileCount++;
+          dirChunk.folderStats[folder].totalSize += stats.size;
+          
+          const mtime = Math.floor(stats.mtimeMs);
+          dirChunk.breakdown.addFile(filePath, stats.size, mtime);
+          dirFileCount++;
+          dirSize += stats.size;
+          return { filepath: filePath, size: stats.size, mtime, status: 'ready' };
+        } catch (error) {
+          // Skip files with errors
+          return null;
+        }
+      });
+      
+      const results = (await Promise.all(statsPromises)).filter(Boolean);
+      
+      // Hash the accepted files a few at a time, so large directories don't open thousands of files
+      if (hashAlgorithm) {
+        await mapConcurrent(results, HASH_CONCURRENCY, file => hashRecord(file, hashAlgorithm));
+      }
+      dirChunk.filesBatch.push(...results);
+      
+      if (dirChunk.filesBatch.length + dirChunk.symlinks.length >= CHUNK_SIZE) {
+        const full = dirChunk;
+        dirChunk = createChunk();
+        await postChunk(full);
+      }
+    }
+    dirChunk.breakdown.addDirectory(dirPath, dirFileCount, dirSize);
+  } catch (error) {
+    // Skip directories with permission errors, but let the main thread know
+    dirChunk.errors.push({ dirPath, message: error.message });
+  }
+  
+  mergeChunk(chunk, dirChunk);
+  
+  // Hand subdirectories back right away so that idle workers can pick them up
+  if (chunk.subdirs.length > 0 || chunk.filesBatch.length + chunk.symlinks.length >= CHUNK_SIZE) {
+    await flushChunk();
+  }
+}
+
+parentPort.on('message', async (message) => {
+  // The main thread acknowledges every chunk it has merged
+  if (message.type === 'ack') {
+    pendingChunks--;
+    const waiters = ackWaiters;
+    ackWaiters = [];
+    waiters.forEach(resolve => resolve());
+    return;
+  }
+  
+  // Hashing tasks of hashFilesParallel carry file paths instead of directories
+  if (message.type === 'hash') {
+    const files = message.files.map(filepath => ({ filepath }));
+    await mapConcurrent(files, HASH_CONCURRENCY, file => hashRecord(file, hashAlgorithm));
+    parentPort.postMessage({ type: 'hashed', hashes: files.map(file => file.hash) });
+    return;
+  }
+  
+  // Each task is a batch of directories taken from the shared queue
+  await Promise.all(message.dirs.map(({ dirPath, ignoreRules }) =>
+    scanDirectoryWorker(dirPath, getFilter(ignoreRules))
+  ));
+  
+  await flushChunk('done');
+});
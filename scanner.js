@@ -1,109 +1,63 @@
 import fs from 'fs';
 import path from 'path';
-import { Worker, isMainThread, parentPort, workerData } from 'worker_threads';
+import { Worker } from 'worker_threads';
 import os from 'os';
 import chalk from 'chalk';
-import { fileURLToPath } from 'url';
+import { ScanFilter } from './filters.js';
+import { ScanStatistics } from './statistics.js';
+import { aggregationFolder, folderDepth, DEFAULT_AGGREGATION_DEPTH } from './folderTree.js';
 
-// Get the directory name in ESM
-const __filename = fileURLToPath(import.meta.url);
+// Entry point of the scan and hashing workers
+const WORKER_URL = new URL('./scanWorker.js', import.meta.url);
+
+// Upper bound for the number of directories sent to a worker at once
+const MAX_DIRS_PER_TASK = 16;
+
+// Supported ways of handling symbolic links
+export const SYMLINK_MODES = ['skip', 'follow', 'record'];
+
+// Supported content hash algorithms
+export const HASH_ALGORITHMS = ['md5', 'sha1', 'sha256'];
+
+// Number of files sent to a worker at once for hashing
+const FILES_PER_HASH_TASK = 64;
 
 /**
- * Worker thread code for directory scanning
- * This is executed when the file is imported as a worker
+ * Identity of a directory, used to detect symlink loops
+ * @param {fs.Stats} stats - Stats of the directory
+ * @returns {string} Device and inode
  */
-if (!isMainThread) {
-  const { dirPath, rootDirName } = workerData;
-  const filesBatch = [];
-  let processedDirs = 0;
-  
-  // Track first-level folder statistics
-  const folderStats = {};
-  const rootDir = path.dirname(dirPath);
-  
-  async function scanDirectoryWorker(dirPath) {
-    try {
-      processedDirs++;
-      const entries = await fs.promises.readdir(dirPath, { withFileTypes: true });
-      
-      // Process entries in batches
-      const filesToProcess = [];
-      const dirsToProcess = [];
-      
-      for (const entry of entries) {
-        const fullPath = path.join(dirPath, entry.name);
-        
-        if (entry.isDirectory()) {
-          dirsToProcess.push(fullPath);
-        } else if (entry.isFile()) {
-          filesToProcess.push(fullPath);
-        }
-      }
-      
-      // Get stats for all files in a batch
-      if (filesToProcess.length > 0) {
-        const statsPromises = filesToProcess.map(async (filePath) => {
-          try {
-            const stats = await fs.promises.stat(filePath);
-            
-            // If this file belongs to a first-level folder, track its statistics
-            const firstLevelParent = getFirstLevelParent(filePath, rootDir, rootDirName);
-            
-            if (firstLevelParent) {
-              if (!folderStats[firstLevelParent]) {
-                folderStats[firstLevelParent] = { fileCount: 0, totalSize: 0 };
-              }
-              folderStats[firstLevelParent].fileCount++;
-              folderStats[firstLevelParent].totalSize += stats.size;
-            }
-            
-            return { filepath: filePath, size: stats.size, status: 'ready' };
-          } catch (error) {
-            // Skip files with errors
-            return null;
-          }
-        });
-        
-        const results = await Promise.all(statsPromises);
-        filesBatch.push(...results.filter(Boolean));
-      }
-      
-      // Process subdirectories
-      const subDirPromises = dirsToProcess.map(dir => scanDirectoryWorker(dir));
-      await Promise.all(subDirPromises);
-      
-    } catch (error) {
-      // Skip directories with permission errors
-    }
-  }
-  
-  // Helper function to get the first level parent directory
-  function getFirstLevelParent(filePath, rootDir, rootDirName) {
-    // Get the path relative to the root directory
-    const relativePath = path.relative(rootDir, filePath);
-    const parts = relativePath.split(path.sep);
-    
-    // Check if the path contains the rootDirName and at least one more segment
-    if (parts.length > 0 && parts[0] === rootDirName && parts.length > 1) {
-      // Return the first-level folder path (rootDir/rootDirName/firstLevelFolder)
-      return path.join(rootDir, rootDirName, parts[1]);
-    }
-    return null;
-  }
-  
-  // Start scanning
-  scanDirectoryWorker(dirPath).then(() => {
-    parentPort.postMessage({ filesBatch, processedDirs, folderStats });
-  });
+export function directoryId(stats) {
+  return `${stats.dev}:${stats.ino}`;
 }
 
 /**
  * Main thread function to recursively scan a directory using worker threads
+ * A fixed pool of workers shares one queue of directories at any depth: every
+ * scanned directory hands its subdirectories back to the queue, so idle workers
+ * pick up work no matter how the tree is shaped.
  * @param {string} dirPath - Directory to scan
  * @param {object} fileStructure - FileStructure instance to store results
  * @param {object} options - Scanning options
  * @param {number} options.workers - Number of worker threads to use
  * @param {boolean} options.showProgress - Whether to show progress during scan
+ * @param {ScanFilter} options.filter - Filter for files and directories (defaults to accepting everything)
+ * @param {string} options.symlinks - How to handle symbolic links: 'skip' (default), 'follow' or 'record'
+ * @param {string} options.hash - Hash the content of every file with one of HASH_ALGORITHMS (stored as hash)
+ * @param {number} options.top - Number of largest files and directories kept in the statistics
+ * @param {number} options.depth - Depth the folder totals are aggregated to (default: 1, first-level folders)
+ * @param {boolean} options.quiet - Don't print errors (they are still passed to onError)
+ * @param {function} options.onBatch - Called with each batch of file records; a returned promise
+ *   delays the worker's next chunk until it resolves. If it throws or rejects, the workers are
+ *   terminated and the scan rejects with its error
+ * @param {function} options.onDirectory - Called with the path of every directory queued for scanning
+ * @param {function} options.onError - Called with { dirPath, message } for every directory that can't be read
+ * @param {function} options.onProgress - Called about once a second with the files, bytes and
+ *   directories scanned so far, and once more with the totals at the end
+ * @param {number} options.progressInterval - Minimum time between onProgress calls, in ms (default: 1000)
+ * @param {function} options.onWorkerStatus - Called whenever a worker starts a task, posts results
+ *   or becomes idle, with { worker (index), state ('scanning' or 'idle'), directory (first
+ *   directory of the task), directories (in the task) and files (found by the worker so far) }
  * @returns {Promise<void>}
  */
 export async function scanDirectoryParallel(dirPath, fileStructure, options = {}) {
@@ -113,124 +67,289 @@ export async function scanDirectoryParallel(dirPath, fileStructure, options = {}
   const rootDirName = path.basename(dirPath);
   fileStructure.setRootDirName(rootDirName);
   
-  // Function to get all immediate subdirectories
-  async function getSubdirectories(dirPath) {
-    try {
-      const entries = await fs.promises.readdir(dirPath, { withFileTypes: true });
-      const dirs = [];
-      
-      // Add files in the root directory directly
-      const rootFiles = [];
-      for (const entry of entries) {
-        const fullPath = path.join(dirPath, entry.name);
-        if (entry.isDirectory()) {
-          dirs.push(fullPath);
-          
-          // Add to first level folders with initial counts
-          fileStructure.addFirstLevelFolder(fullPath, 0, 0);
-        } else if (entry.isFile()) {
-          try {
-            const stats = await fs.promises.stat(fullPath);
-            rootFiles.push({ filepath: fullPath, size: stats.size, status: 'ready' });
-          } catch (error) {
-            // Skip files with errors
-          }
-        }
-      }
-      
-      // Add root files to the file structure
-      if (rootFiles.length > 0) {
-        fileStructure.addBatch(rootFiles);
-      }
-      
-      return dirs;
-    } catch (error) {
-      console.error(chalk.red(`Error reading directory ${dirPath}: ${error.message}`));
-      return [];
-    }
-  }
+  const filter = options.filter || new ScanFilter({ rootDir: dirPath });
+  const symlinkMode = options.symlinks || 'skip';
   
-  // Get initial subdirectories
-  fileStructure.incrementProcessedDirs(); // Count the root directory
-  const initialDirs = await getSubdirectories(dirPath);
+  // Detailed statistics are merged from the chunks; file ages are measured from the start of the scan
+  const breakdown = new ScanStatistics({ topCount: options.top });
+  fileStructure.setBreakdown(breakdown);
+  const aggregationDepth = options.depth ?? DEFAULT_AGGREGATION_DEPTH;
   
-  // If there are no subdirectories, we're done
-  if (initialDirs.length === 0) {
-    return;
+  // Directories already queued, by device and inode (only tracked when following links)
+  // The root directory is marked as visited so links back to it are not followed
+  const visitedDirs = new Set();
+  if (symlinkMode === 'follow') {
+    visitedDirs.add(directoryId(await fs.promises.stat(dirPath)));
   }
   
-  // Create a queue of directories to process
-  const dirQueue = [...initialDirs];
-  const activeWorkers = [];
+  // Shared queue of directories waiting to be scanned, starting with the root
+  const dirQueue = [{ dirPath, ignoreRules: filter.config.ignoreRules, id: null }];
+  options.onDirectory?.(dirPath);
+  const idleWorkers = [];
+  const workers = [];
+  let tasksInFlight = 0;
   
   // Progress reporting
   let lastProgressUpdate = Date.now();
-  const progressInterval = 1000; // Update progress every second
+  const progressInterval = options.progressInterval ?? 1000; // Update progress every second by default
+  
+  // Latest status of every worker, for onWorkerStatus
+  const workerStatus = [];
+  function updateWorkerStatus(index, update) {
+    workerStatus[index] = { ...workerStatus[index], ...update };
+    options.onWorkerStatus?.(workerStatus[index]);
+  }
   
-  // Function to create and manage workers
-  function createWorker(workerDirPath) {
-    return new Promise((resolve) => {
-      const worker = new Worker(new URL(import.meta.url), {
-        workerData: { dirPath: workerDirPath, rootDirName }
+  // Merge a chunk of results into the file structure and queue the subdirectories
+  function handleResult(result) {
+    const { filesBatch, symlinks, subdirs, processedDirs, folderStats, breakdown: chunkBreakdown, skippedSymlinks, errors } = result;
+    
+    // Add the batch of files to our structure
+    if (filesBatch.length > 0) {
+      fileStructure.addBatch(filesBatch);
+    }
+    if (symlinks.length > 0) {
+      fileStructure.addSymlinks(symlinks);
+    }
+    fileStructure.addSkippedSymlinks(skippedSymlinks);
+    
+    // Update processed directories count
+    fileStructure.incrementProcessedDirs(processedDirs);
+    
+    // Update folder statistics, also rolled up to the first-level folders the uploads work on
+    for (const folder in folderStats) {
+      const { fileCount, totalSize } = folderStats[folder];
+      fileStructure.addFolderTotals(folder, fileCount, totalSize);
+      if (folder !== dirPath) {
+        fileStructure.addFirstLevelFolder(aggregationFolder(dirPath, folder, 1), fileCount, totalSize);
+      }
+    }
+    breakdown.merge(chunkBreakdown);
+    
+    for (const subdir of subdirs) {
+      // Skip directories reached a second time through a symbolic link
+      if (subdir.id) {
+        if (visitedDirs.has(subdir.id)) {
+          fileStructure.addSkippedSymlinks(1);
+          continue;
+        }
+        visitedDirs.add(subdir.id);
+      }
+      options.onDirectory?.(subdir.dirPath);
+      
+      // Add to the aggregated folders with initial counts, so empty folders are listed too
+      const depth = folderDepth(dirPath, subdir.dirPath);
+      if (depth <= aggregationDepth) {
+        fileStructure.addFolderTotals(subdir.dirPath, 0, 0);
+      }
+      if (depth === 1) {
+        fileStructure.addFirstLevelFolder(subdir.dirPath, 0, 0);
+      }
+      dirQueue.push(subdir);
+    }
+    
+    for (const error of errors) {
+      options.onError?.(error);
+      if (error.dirPath === dirPath && !options.quiet) {
+        console.error(chalk.red(`Error reading directory ${dirPath}: ${error.message}`));
+      }
+    }
+    
+    // Show progress if enough time has passed
+    const now = Date.now();
+    if (now - lastProgressUpdate > progressInterval) {
+      if (options.showProgress) {
+        process.stdout.write(`\rProcessed ${fileStructure.totalFiles.toLocaleString()} files (${formatSize(fileStructure.totalSize)})`);
+      }
+      options.onProgress?.({
+        files: fileStructure.totalFiles,
+        bytes: fileStructure.totalSize,
+        directories: fileStructure.processedDirs
       });
+      lastProgressUpdate = now;
+    }
+  }
+  
+  await new Promise((resolve, reject) => {
+    // Once the scan has failed, the results still arriving are dropped and no more tasks are sent
+    let failed = false;
+    function fail(error) {
+      failed = true;
+      reject(error);
+    }
+    
+    // Hand queued directories to idle workers
+    // A long queue is split into batches so that workers exchange fewer messages
+    function dispatch() {
+      while (!failed && idleWorkers.length > 0 && dirQueue.length > 0) {
+        const batchSize = Math.min(MAX_DIRS_PER_TASK, Math.ceil(dirQueue.length / numWorkers));
+        const dirs = dirQueue.splice(0, batchSize).map(({ dirPath, ignoreRules }) => ({ dirPath, ignoreRules }));
+        const worker = idleWorkers.pop();
+        tasksInFlight++;
+        worker.postMessage({ type: 'scan', dirs });
+        updateWorkerStatus(workers.indexOf(worker), { state: 'scanning', directory: dirs[0].dirPath, directories: dirs.length });
+      }
       
-      worker.on('message', (data) => {
-        const { filesBatch, processedDirs, folderStats } = data;
-        
-        // Add the batch of files to our structure
-        if (filesBatch.length > 0) {
-          fileStructure.addBatch(filesBatch);
-        }
-        
-        // Update processed directories count
-        fileStructure.incrementProcessedDirs(processedDirs);
+      if (tasksInFlight === 0 && dirQueue.length === 0) {
+        resolve();
+      }
+    }
+    
+    // Merge a message of a worker, then give it the next chunk or task
+    async function handleWorkerMessage(worker, index, result) {
+      if (failed) {
+        return;
+      }
+      // An error of a callback (e.g. an onBatch consumer that rejects) ends the scan
+      try {
+        handleResult(result);
+        updateWorkerStatus(index, {
+          files: workerStatus[index].files + result.filesBatch.length,
+          ...(result.type === 'done' ? { state: 'idle', directory: null, directories: 0 } : {})
+        });
         
-        // Update folder statistics
-        for (const folder in folderStats) {
-          fileStructure.addFirstLevelFolder(folder, folderStats[folder].fileCount, folderStats[folder].totalSize);
+        // Consumers of the records apply backpressure through the worker acknowledgements
+        if (options.onBatch && result.filesBatch.length > 0) {
+          await options.onBatch(result.filesBatch);
         }
-        
-        // Show progress if enough time has passed
-        const now = Date.now();
-        if (now - lastProgressUpdate > progressInterval) {
-          if (options.showProgress) {
-            process.stdout.write(`\rProcessed ${fileStructure.totalFiles.toLocaleString()} files (${formatSize(fileStructure.totalSize)})`);
-          }
-          lastProgressUpdate = now;
+      } catch (error) {
+        fail(error);
+        return;
+      }
+      if (failed) {
+        return;
+      }
+      
+      if (result.type === 'chunk') {
+        // Let the worker post its next chunk
+        worker.postMessage({ type: 'ack' });
+      } else {
+        tasksInFlight--;
+        idleWorkers.push(worker);
+      }
+      dispatch();
+    }
+    
+    for (let i = 0; i < numWorkers; i++) {
+      const worker = new Worker(WORKER_URL, {
+        workerData: {
+          scanRoot: dirPath,
+          filterConfig: filter.toJSON(),
+          symlinkMode,
+          hashAlgorithm: options.hash || null,
+          topCount: breakdown.topCount,
+          scanStart: breakdown.now,
+          aggregationDepth
         }
-        
-        // Explicitly terminate the worker to free up resources
-        worker.terminate();
-        resolve();
+      });
+      
+      updateWorkerStatus(i, { worker: i, state: 'idle', directory: null, directories: 0, files: 0 });
+      // The messages of a worker are handled one after the other, so a 'done' message is only
+      // handled, and the scan only ends, once the onBatch calls of the earlier chunks have settled
+      let handling = Promise.resolve();
+      worker.on('message', (result) => {
+        handling = handling.then(() => handleWorkerMessage(worker, i, result));
       });
       
       worker.on('error', (err) => {
-        console.error(chalk.red(`Worker error: ${err.message}`));
-        // Ensure worker is terminated even on error
-        worker.terminate();
-        resolve();
+        if (!options.quiet) {
+          console.error(chalk.red(`Worker error: ${err.message}`));
+        }
+        fail(err);
       });
-    });
+      
+      workers.push(worker);
+      idleWorkers.push(worker);
+    }
+    
+    dispatch();
+  }).finally(() => {
+    // Explicitly terminate the workers to free up resources
+    return Promise.all(workers.map(worker => worker.terminate()));
+  });
+  
+  // Clear the progress line
+  if (options.showProgress) {
+    process.stdout.write('\r' + ' '.repeat(80) + '\r');
   }
   
-  // Process directories with worker threads in batches
-  while (dirQueue.length > 0) {
-    // Create a batch of workers based on available CPU cores
-    const batch = [];
-    const batchSize = Math.min(numWorkers, dirQueue.length);
+  // Report the final totals, which short scans never reach the progress interval for
+  options.onProgress?.({
+    files: fileStructure.totalFiles,
+    bytes: fileStructure.totalSize,
+    directories: fileStructure.processedDirs
+  });
+}
+
+/**
+ * Hash the content of files using worker threads
+ * Sets the hash of every file record, or null when the file can't be read.
+ * @param {object[]} files - File records with filepath
+ * @param {object} options - Hashing options
+ * @param {string} options.algorithm - One of HASH_ALGORITHMS
+ * @param {number} options.workers - Number of worker threads to use
+ * @param {boolean} options.showProgress - Whether to show progress
+ * @param {boolean} options.quiet - Don't print worker errors
+ * @returns {Promise<void>}
+ */
+export async function hashFilesParallel(files, options) {
+  if (files.length === 0) {
+    return;
+  }
+  const numWorkers = Math.min(options.workers || Math.max(1, os.cpus().length - 1), Math.ceil(files.length / FILES_PER_HASH_TASK));
+  const workers = [];
+  let nextIndex = 0;
+  let hashedFiles = 0;
+  let lastProgressUpdate = Date.now();
+  
+  await new Promise((resolve, reject) => {
+    let tasksInFlight = 0;
     
-    for (let i = 0; i < batchSize; i++) {
-      if (dirQueue.length > 0) {
-        const nextDir = dirQueue.shift();
-        batch.push(createWorker(nextDir));
+    // Give the worker the next slice of files, or finish when all are hashed
+    function dispatch(worker) {
+      if (nextIndex >= files.length) {
+        if (tasksInFlight === 0) {
+          resolve();
+        }
+        return;
       }
+      const task = files.slice(nextIndex, nextIndex + FILES_PER_HASH_TASK);
+      nextIndex += task.length;
+      tasksInFlight++;
+      
+      worker.once('message', ({ hashes }) => {
+        task.forEach((file, index) => {
+          file.hash = hashes[index];
+        });
+        tasksInFlight--;
+        hashedFiles += task.length;
+        
+        if (options.showProgress && Date.now() - lastProgressUpdate > 1000) {
+          process.stdout.write(`\rHashed ${hashedFiles.toLocaleString()}/${files.length.toLocaleString()} files`);
+          lastProgressUpdate = Date.now();
+        }
+        dispatch(worker);
+      });
+      worker.postMessage({ type: 'hash', files: task.map(file => file.filepath) });
     }
     
-    // Wait for all workers in this batch to complete
-    await Promise.all(batch);
-  }
+    for (let i = 0; i < numWorkers; i++) {
+      const worker = new Worker(WORKER_URL, {
+        workerData: { scanRoot: null, filterConfig: null, symlinkMode: null, hashAlgorithm: options.algorithm }
+      });
+      worker.on('error', (err) => {
+        if (!options.quiet) {
+          console.error(chalk.red(`Worker error: ${err.message}`));
+        }
+        reject(err);
+      });
+      workers.push(worker);
+      dispatch(worker);
+    }
+  }).finally(() => {
+    return Promise.all(workers.map(worker => worker.terminate()));
+  });
   
-  // Clear the progress line
   if (options.showProgress) {
     process.stdout.write('\r' + ' '.repeat(80) + '\r');
   }
@@ -0,0 +1,298 @@
+import fs from 'fs';
+import path from 'path';
+import readline from 'readline';
+import zlib from 'zlib';
+import chalk from 'chalk';
+import { formatSize } from './utils.js';
+
+/**
+ * Scan snapshots and the differences between them
+ * A snapshot is NDJSON: a header line, then one [relativePath, size, mtime] array per file.
+ * Snapshots with a .gz extension are gzip-compressed.
+ */
+
+// Format version written to the header
+const SNAPSHOT_VERSION = 1;
+
+// Folder name of the files directly in the scanned directory
+const ROOT_FOLDER = '.';
+
+// Number of files listed per kind of change by printSnapshotDiff unless verbose
+const LISTED_CHANGES = 20;
+
+/**
+ * Get the path of a file relative to the scanned directory, always with forward slashes
+ * @param {string} basePath - Scanned directory
+ * @param {string} filepath - Absolute file path
+ * @returns {string}
+ */
+export function toSnapshotPath(basePath, filepath) {
+  return path.relative(basePath, filepath).split(path.sep).join('/');
+}
+
+// First-level folder of a snapshot path
+function folderOf(relativePath) {
+  const separator = relativePath.indexOf('/');
+  return separator === -1 ? ROOT_FOLDER : relativePath.slice(0, separator);
+}
+
+/**
+ * Streaming snapshot writer
+ * The snapshot is written to a temporary file and only replaces the target once it is
+ * complete, so a failed scan leaves the previous snapshot in place.
+ */
+export class SnapshotWriter {
+  /**
+   * @param {string} file - Output file path (gzip-compressed if it ends in .gz)
+   * @param {string} basePath - Scanned directory
+   */
+  constructor(file, basePath) {
+    this.file = file;
+    this.tempFile = `${file}.tmp`;
+    this.basePath = basePath;
+    this.fileCount = 0;
+    this.output = fs.createWriteStream(this.tempFile);
+    this.stream = this.output;
+    if (file.endsWith('.gz')) {
+      this.stream = zlib.createGzip();
+      this.stream.pipe(this.output);
+    }
+
+    // Surface write errors when the writer is closed
+    this.error = null;
+    for (const stream of new Set([this.stream, this.output])) {
+      stream.on('error', (error) => {
+        this.error = error;
+      });
+    }
+
+    this.stream.write(JSON.stringify({ snapshot: SNAPSHOT_VERSION, root: basePath, createdAt: new Date().toISOString() }) + '\n');
+  }
+
+  /**
+   * Write a batch of file records
+   * @param {object[]} files - File records with filepath, size and mtime
+   * @returns {Promise<void>} Resolves once the stream is ready for more data
+   */
+  write(files) {
+    let chunk = '';
+    for (const file of files) {
+      chunk += JSON.stringify([toSnapshotPath(this.basePath, file.filepath), file.size, file.mtime ?? null]) + '\n';
+    }
+    this.fileCount += files.length;
+
+    if (!chunk || this.stream.write(chunk) || this.error) {
+      return Promise.resolve();
+    }
+    return new Promise(resolve => this.stream.once('drain', resolve));
+  }
+
+  /**
+   * Finish the snapshot and move it in place
+   * @returns {Promise<void>}
+   */
+  async close() {
+    await new Promise((resolve) => {
+      this.output.once('close', resolve);
+      this.stream.end();
+    });
+    if (this.error) {
+      throw this.error;
+    }
+    await fs.promises.rename(this.tempFile, this.file);
+  }
+}
+
+/**
+ * Read a snapshot
+ * @param {string} file - Snapshot file path
+ * @returns {AsyncGenerator<object>} The header ({ snapshot, root, createdAt }) first, then
+ *   { relativePath, size, mtime } for every file
+ */
+export async function* readSnapshot(file) {
+  const source = fs.createReadStream(file);
+  let input = source;
+  if (file.endsWith('.gz')) {
+    input = zlib.createGunzip();
+    source.on('error', error => input.destroy(error));
+    source.pipe(input);
+  }
+  const lines = readline.createInterface({ input, crlfDelay: Infinity });
+  let lineNumber = 0;
+
+  for await (const line of lines) {
+    lineNumber++;
+    if (!line.trim()) {
+      continue;
+    }
+    let entry;
+    try {
+      entry = JSON.parse(line);
+    } catch (error) {
+      throw new Error(`Invalid snapshot entry on line ${lineNumber} of ${file}: ${error.message}`);
+    }
+
+    if (lineNumber === 1) {
+      if (!entry || entry.snapshot !== SNAPSHOT_VERSION) {
+        throw new Error(`${file} is not a snapshot`);
+      }
+      yield entry;
+    } else {
+      const [relativePath, size, mtime] = entry;
+      yield { relativePath, size, mtime };
+    }
+  }
+  if (lineNumber === 0) {
+    throw new Error(`${file} is not a snapshot`);
+  }
+}
+
+/**
+ * Load a snapshot into memory
+ * @param {string} file - Snapshot file path
+ * @returns {Promise<object>} The header and files, a Map of { size, mtime } by relative path
+ */
+export async function loadSnapshot(file) {
+  const files = new Map();
+  let header = null;
+  for await (const entry of readSnapshot(file)) {
+    if (!header) {
+      header = entry;
+    } else {
+      files.set(entry.relativePath, { size: entry.size, mtime: entry.mtime });
+    }
+  }
+  return { header, files };
+}
+
+/**
+ * Comparison of a snapshot with a newer state of the same tree
+ * Files of the newer state are compared one at a time as they are read or scanned;
+ * the files left over at the end were removed.
+ */
+export class SnapshotDiff {
+  /**
+   * @param {Map<string, object>} previousFiles - Files of the older snapshot (see loadSnapshot);
+   *   entries are removed from the map as they are compared
+   */
+  constructor(previousFiles) {
+    this.previousFiles = previousFiles;
+    this.added = [];
+    this.modified = [];
+    this.folders = new Map();
+
+    for (const [relativePath, file] of previousFiles) {
+      const folder = this.folder(relativePath);
+      folder.oldFiles++;
+      folder.oldSize += file.size;
+    }
+  }
+
+  // Totals of the first-level folder of a path
+  folder(relativePath) {
+    const name = folderOf(relativePath);
+    let folder = this.folders.get(name);
+    if (!folder) {
+      folder = { name, oldFiles: 0, oldSize: 0, newFiles: 0, newSize: 0 };
+      this.folders.set(name, folder);
+    }
+    return folder;
+  }
+
+  /**
+   * Compare one file of the newer state
+   * @param {string} relativePath - Path relative to the scanned directory, with forward slashes
+   * @param {number} size - File size in bytes
+   * @param {number} mtime - Modification time (timestamp in ms)
+   */
+  compare(relativePath, size, mtime) {
+    const folder = this.folder(relativePath);
+    folder.newFiles++;
+    folder.newSize += size;
+
+    const previous = this.previousFiles.get(relativePath);
+    if (!previous) {
+      this.added.push({ path: relativePath, size });
+      return;
+    }
+    this.previousFiles.delete(relativePath);
+    if (previous.size !== size || (previous.mtime ?? null) !== (mtime ?? null)) {
+      this.modified.push({ path: relativePath, oldSize: previous.size, size, oldMtime: previous.mtime, mtime });
+    }
+  }
+
+  /**
+   * Finish the comparison
+   * @returns {object} Files added, removed and modified (sorted by path), the folders with their
+   *   old and new file counts and sizes (largest growth first) and the overall totals
+   */
+  finish() {
+    const removed = Array.from(this.previousFiles, ([relativePath, file]) => ({ path: relativePath, size: file.size }));
+    const byPath = (a, b) => (a.path < b.path ? -1 : a.path > b.path ? 1 : 0);
+    const folders = [...this.folders.values()]
+      .map(folder => ({ ...folder, growth: folder.newSize - folder.oldSize }))
+      .sort((a, b) => Math.abs(b.growth) - Math.abs(a.growth) || (a.name < b.name ? -1 : 1));
+
+    const sum = (items, field) => items.reduce((total, item) => total + item[field], 0);
+    return {
+      added: this.added.sort(byPath),
+      removed: removed.sort(byPath),
+      modified: this.modified.sort(byPath),
+      folders,
+      totals: {
+        oldFiles: sum(folders, 'oldFiles'),
+        newFiles: sum(folders, 'newFiles'),
+        oldSize: sum(folders, 'oldSize'),
+        newSize: sum(folders, 'newSize')
+      }
+    };
+  }
+}
+
+// Format a size change with its sign
+function formatDelta(bytes) {
+  return `${bytes < 0 ? '-' : '+'}${formatSize(Math.abs(bytes))}`;
+}
+
+/**
+ * Print the result of a snapshot comparison
+ * @param {object} diff - Result of SnapshotDiff#finish
+ * @param {boolean} verbose - Whether to list every changed file
+ */
+export function printSnapshotDiff(diff, verbose) {
+  const modifiedDelta = diff.modified.reduce((total, file) => total + file.size - file.oldSize, 0);
+  const { totals } = diff;
+
+  console.log(chalk.yellow('\nChanges:'));
+  console.log(`Files added: ${chalk.bold(diff.added.length.toLocaleString())} (${formatSize(diff.added.reduce((total, file) => total + file.size, 0))})`);
+  console.log(`Files removed: ${chalk.bold(diff.removed.length.toLocaleString())} (${formatSize(diff.removed.reduce((total, file) => total + file.size, 0))})`);
+  console.log(`Files modified: ${chalk.bold(diff.modified.length.toLocaleString())} (${formatDelta(modifiedDelta)})`);
+  console.log(`Total: ${totals.oldFiles.toLocaleString()} → ${chalk.bold(totals.newFiles.toLocaleString())} files, ${formatSize(totals.oldSize)} → ${chalk.bold(formatSize(totals.newSize))} (${formatDelta(totals.newSize - totals.oldSize)})`);
+
+  const changedFolders = diff.folders.filter(folder => folder.growth !== 0 || folder.newFiles !== folder.oldFiles);
+  if (changedFolders.length > 0) {
+    console.log(chalk.yellow('\nGrowth per folder:'));
+    changedFolders.forEach(folder => {
+      const growth = folder.growth > 0 ? chalk.red(formatDelta(folder.growth)) : chalk.green(formatDelta(folder.growth));
+      const fileChange = folder.newFiles - folder.oldFiles;
+      console.log(`${chalk.cyan(folder.name)} - ${formatSize(folder.oldSize)} → ${formatSize(folder.newSize)} (${growth}, ${fileChange < 0 ? '' : '+'}${fileChange.toLocaleString()} files)`);
+    });
+  }
+
+  const lists = [
+    ['Added', chalk.green('+'), diff.added, file => formatSize(file.size)],
+    ['Removed', chalk.red('-'), diff.removed, file => formatSize(file.size)],
+    ['Modified', chalk.yellow('~'), diff.modified, file => formatDelta(file.size - file.oldSize)]
+  ];
+  for (const [title, marker, files, describe] of lists) {
+    if (files.length === 0) {
+      continue;
+    }
+    const shown = verbose ? files : files.slice(0, LISTED_CHANGES);
+    console.log(chalk.yellow(`\n${title}:`));
+    shown.forEach(file => console.log(`  ${marker} ${file.path} (${describe(file)})`));
+    if (shown.length < files.length) {
+      console.log(chalk.gray(`  ${(files.length - shown.length).toLocaleString()} more (use --verbose to list all)`));
+    }
+  }
+}
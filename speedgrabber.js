@@ -0,0 +1,264 @@
+import { EventEmitter } from 'events';
+import fs from 'fs';
+import path from 'path';
+import { FileStructure } from './fileStructure.js';
+import { ScanFilter, parseTimeThreshold } from './filters.js';
+import { scanDirectoryParallel } from './scanner.js';
+import { buildFolderTree } from './folderTree.js';
+import { uploadFilesToS3 } from './uploader.js';
+import { buildUploadPlan } from './plan.js';
+import { S3Client } from './s3Client.js';
+import { BandwidthLimiter, parseBandwidth, parseSchedule } from './throttle.js';
+import { parseSize } from './utils.js';
+
+/**
+ * Programmatic API
+ * Scans and uploads like the command line tool, but returns structured results and
+ * reports through events instead of printing or exiting.
+ */
+
+export { FileStructure } from './fileStructure.js';
+export { S3Client } from './s3Client.js';
+export { StateJournal } from './journal.js';
+export { abortActiveUploads } from './multipart.js';
+export { findDuplicates } from './duplicates.js';
+
+// Normalize a --newer-than style threshold given as timestamp, Date or string
+function toTimestamp(value) {
+  if (value instanceof Date) {
+    return value.getTime();
+  }
+  return typeof value === 'number' ? value : parseTimeThreshold(value);
+}
+
+/**
+ * Scanner and uploader with events
+ *
+ * Events:
+ * - `directory` (dirPath): a directory was queued for scanning
+ * - `file` (file): a file record was scanned
+ * - `progress` ({ phase, ... }): about once a second; phase 'scan' with files, bytes and
+ *   directories, phase 'upload' with completed, total, bytes and totalBytes
+ * - `uploadStart` (file): the upload of a file started
+ * - `uploadDone` (file): a file was uploaded, skipped or failed (see file.status)
+ * - `error` (error): a directory couldn't be read (error.dirPath) or a file failed to upload
+ *   (error.file); only emitted when there is a listener, failures are in the results as well
+ */
+export class SpeedGrabber extends EventEmitter {
+  /**
+   * @param {object} [options] - Options shared by scans and uploads
+   * @param {number} [options.workers] - Number of worker threads used for scanning
+   * @param {S3Client} [options.client] - S3 client for uploads (default: created from the environment
+   *   and the options below on the first upload)
+   * @param {string} [options.profile] - Profile from the AWS credentials and config files
+   * @param {string} [options.region] - Region of the bucket
+   * @param {string} [options.endpoint] - S3-compatible endpoint
+   * @param {string} [options.storageClass] - Storage class of uploaded objects
+   * @param {string} [options.sse] - Server-side encryption of uploaded objects
+   * @param {string} [options.acl] - Canned ACL of uploaded objects
+   * @param {number|string} [options.maxBandwidth] - Combined upload limit in bytes per second (or e.g. "50MB/s")
+   * @param {string|object[]} [options.bandwidthSchedule] - Limits by time of day (see parseSchedule)
+   */
+  constructor(options = {}) {
+    super();
+    this.options = options;
+    this.client = options.client || null;
+  }
+
+  /**
+   * Emit an error event if anyone listens, so unhandled errors don't throw
+   * @param {Error} error - Error to report
+   */
+  reportError(error) {
+    if (this.listenerCount('error') > 0) {
+      this.emit('error', error);
+    }
+  }
+
+  /**
+   * Get the S3 client, creating it on first use
+   * @returns {Promise<S3Client>}
+   */
+  async getClient() {
+    if (!this.client) {
+      const { maxBandwidth, bandwidthSchedule } = this.options;
+      const bandwidthLimiter = new BandwidthLimiter({
+        maxBandwidth: typeof maxBandwidth === 'string' ? parseBandwidth(maxBandwidth) : maxBandwidth,
+        schedule: typeof bandwidthSchedule === 'string' ? parseSchedule(bandwidthSchedule) : bandwidthSchedule
+      });
+      this.client = await S3Client.fromEnvironment({
+        profile: this.options.profile,
+        region: this.options.region,
+        endpoint: this.options.endpoint,
+        storageClass: this.options.storageClass,
+        sse: this.options.sse,
+        acl: this.options.acl,
+        bandwidthLimiter: bandwidthLimiter.isActive ? bandwidthLimiter : null
+      });
+    }
+    return this.client;
+  }
+
+  /**
+   * Scan a directory
+   * @param {string} directory - Directory to scan
+   * @param {object} [options] - Scan options
+   * @param {string[]} [options.include] - Only include files matching these globs
+   * @param {string[]} [options.exclude] - Skip files and directories matching these globs
+   * @param {number|string} [options.minSize] - Skip smaller files (bytes, or e.g. "10KB")
+   * @param {number|Date|string} [options.newerThan] - Skip files modified before this time (or e.g. "7d")
+   * @param {string} [options.symlinks] - How to handle symbolic links: 'skip' (default), 'follow' or 'record'
+   * @param {string} [options.hash] - Hash the content of every file (md5, sha1 or sha256)
+   * @param {number} [options.top] - Number of largest files and directories kept in the breakdown (default: 10)
+   * @param {number} [options.depth] - Depth the folder sizes are aggregated to in the tree (default: 1)
+   * @param {boolean} [options.storeFiles] - Keep the file records in the result (default: true,
+   *   needed to upload them; without it only the totals and the file events are available)
+   * @returns {Promise<object>} The statistics of FileStructure.getStatistics (including the breakdown of
+   *   ScanStatistics#summarize), plus the folder tree (see buildFolderTree), directory (absolute),
+   *   fileStructure, errors ({ dirPath, message }) and durationMs. Rejects with the error of an event
+   *   listener that throws, after stopping the scan
+   */
+  async scan(directory, options = {}) {
+    const targetDir = path.resolve(directory);
+    const stats = await fs.promises.stat(targetDir);
+    if (!stats.isDirectory()) {
+      throw new Error(`${targetDir} is not a directory`);
+    }
+
+    const fileStructure = new FileStructure({ storeFiles: options.storeFiles !== false });
+
+    const errors = [];
+    const startTime = Date.now();
+    await scanDirectoryParallel(targetDir, fileStructure, {
+      workers: this.options.workers,
+      filter: new ScanFilter({
+        rootDir: targetDir,
+        include: options.include,
+        exclude: options.exclude,
+        minSize: options.minSize !== undefined ? parseSize(options.minSize) : undefined,
+        newerThan: options.newerThan !== undefined ? toTimestamp(options.newerThan) : undefined
+      }),
+      symlinks: options.symlinks,
+      hash: options.hash,
+      top: options.top,
+      depth: options.depth,
+      quiet: true,
+      onBatch: (filesBatch) => filesBatch.forEach(file => this.emit('file', file)),
+      onDirectory: (dirPath) => this.emit('directory', dirPath),
+      onProgress: (progress) => this.emit('progress', { phase: 'scan', ...progress }),
+      onError: (error) => {
+        errors.push(error);
+        this.reportError(Object.assign(new Error(`Cannot read directory ${error.dirPath}: ${error.message}`), { dirPath: error.dirPath }));
+      }
+    });
+
+    const statistics = fileStructure.getStatistics();
+    return {
+      ...statistics,
+      tree: buildFolderTree(targetDir, statistics.folderTotals),
+      directory: targetDir,
+      fileStructure,
+      errors,
+      durationMs: Date.now() - startTime
+    };
+  }
+
+  /**
+   * Upload the files of a scan
+   * @param {object} scanResult - Result of scan, or a FileStructure holding file records
+   * @param {object} options - Upload options
+   * @param {string} options.bucket - S3 bucket name
+   * @param {string} [options.basePath] - Directory the keys are relative to (default: the scanned directory)
+   * @param {number} [options.concurrency] - Number of concurrent uploads (default: 5)
+   * @param {string} [options.mode] - 'folders' (default) or 'files', see uploadFilesToS3
+   * @param {boolean} [options.checkExist] - Skip files that already exist in the bucket
+   * @param {boolean} [options.dryRun] - Only plan the upload
+   * @param {object} [options.retry] - Retry policy ({ retries, backoff }, see withRetry)
+   * @param {object} [options.multipart] - Multipart settings ({ partSize, partConcurrency })
+   * @param {StateJournal} [options.journal] - Opened journal the status transitions are recorded in
+   * @returns {Promise<object>} bucket, uploaded, skipped, bytesUploaded, failed ({ filepath, error }) and
+   *   durationMs; with dryRun the plan (see buildUploadPlan) instead. Rejects with the first error of
+   *   an event listener that throws, once the upload is done
+   */
+  async upload(scanResult, options) {
+    const fileStructure = scanResult instanceof FileStructure ? scanResult : scanResult.fileStructure;
+    const basePath = options.basePath || scanResult.directory;
+    if (!options.bucket) {
+      throw new Error('A bucket is required for uploads');
+    }
+    if (!basePath) {
+      throw new Error('A basePath is required to upload a FileStructure');
+    }
+
+    const client = await this.getClient();
+    const startTime = Date.now();
+    
+    // A listener that throws must not fail the file being uploaded: its first error rejects
+    // upload() once the upload is done
+    let listenerError = null;
+    const emit = (...args) => {
+      try {
+        this.emit(...args);
+      } catch (error) {
+        listenerError ??= error;
+      }
+    };
+    await uploadFilesToS3(fileStructure, options.bucket, basePath, options.concurrency, {
+      client,
+      mode: options.mode,
+      checkExist: options.checkExist,
+      dryRun: options.dryRun,
+      retry: options.retry,
+      multipart: options.multipart,
+      journal: options.journal,
+      quiet: true,
+      onFileStart: (file) => emit('uploadStart', file),
+      onFileDone: (file) => {
+        emit('uploadDone', file);
+        if (file.status === 'failed' && this.listenerCount('error') > 0) {
+          emit('error', Object.assign(new Error(`Upload of ${file.filepath} failed: ${file.error}`), { file }));
+        }
+      },
+      onProgress: (progress) => emit('progress', { phase: 'upload', ...progress })
+    });
+    if (listenerError) {
+      throw listenerError;
+    }
+
+    if (options.dryRun) {
+      return { bucket: options.bucket, plan: buildUploadPlan(fileStructure.files, basePath), durationMs: Date.now() - startTime };
+    }
+
+    const statistics = fileStructure.getUploadStatistics();
+    return {
+      bucket: options.bucket,
+      uploaded: statistics.done - statistics.skipped,
+      skipped: statistics.skipped,
+      bytesUploaded: statistics.bytesUploaded,
+      failed: fileStructure.files
+        .filter(file => file.status === 'failed')
+        .map(file => ({ filepath: file.filepath, error: file.error })),
+      durationMs: Date.now() - startTime
+    };
+  }
+}
+
+/**
+ * Scan a directory without keeping a SpeedGrabber around
+ * @param {string} directory - Directory to scan
+ * @param {object} [options] - Options of the SpeedGrabber constructor and of SpeedGrabber#scan
+ * @returns {Promise<object>} Result of SpeedGrabber#scan
+ */
+export function scan(directory, options = {}) {
+  return new SpeedGrabber(options).scan(directory, options);
+}
+
+/**
+ * Upload the files of a scan without keeping a SpeedGrabber around
+ * @param {object} scanResult - Result of scan, or a FileStructure
+ * @param {object} options - Options of the SpeedGrabber constructor and of SpeedGrabber#upload
+ * @returns {Promise<object>} Result of SpeedGrabber#upload
+ */
+export function upload(scanResult, options) {
+  return new SpeedGrabber(options).upload(scanResult, options);
+}
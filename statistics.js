@@ -0,0 +1,217 @@
+import path from 'path';
+import chalk from 'chalk';
+import { formatSize } from './utils.js';
+
+/**
+ * Detailed scan statistics: files by extension, size and age, and the largest files and directories
+ * The scan workers gather them for every chunk of results and the main thread merges the chunks,
+ * so none of it needs the file records to be kept in memory.
+ */
+
+// Number of largest files and directories kept by default
+export const DEFAULT_TOP_COUNT = 10;
+
+const KB = 1024;
+const MB = 1024 * KB;
+const GB = 1024 * MB;
+const DAY = 24 * 60 * 60 * 1000;
+
+// Buckets of the size histogram, by exclusive upper bound in bytes
+const SIZE_BUCKETS = [
+  { label: 'empty', below: 1 },
+  { label: '< 1 KB', below: KB },
+  { label: '1 KB - 10 KB', below: 10 * KB },
+  { label: '10 KB - 100 KB', below: 100 * KB },
+  { label: '100 KB - 1 MB', below: MB },
+  { label: '1 MB - 10 MB', below: 10 * MB },
+  { label: '10 MB - 100 MB', below: 100 * MB },
+  { label: '100 MB - 1 GB', below: GB },
+  { label: '1 GB - 10 GB', below: 10 * GB },
+  { label: '10 GB and more', below: Infinity }
+];
+
+// Buckets of the time since the last modification, by exclusive upper bound in ms
+const AGE_BUCKETS = [
+  { label: 'last 24 hours', below: DAY },
+  { label: '1 - 7 days', below: 7 * DAY },
+  { label: '7 - 30 days', below: 30 * DAY },
+  { label: '30 - 90 days', below: 90 * DAY },
+  { label: '90 days - 1 year', below: 365 * DAY },
+  { label: '1 - 3 years', below: 3 * 365 * DAY },
+  { label: 'more than 3 years', below: Infinity }
+];
+
+// Extension reported for files without one
+const NO_EXTENSION = '(none)';
+
+// Number of extensions listed by printBreakdown unless verbose
+const LISTED_EXTENSIONS = 15;
+
+// Index of the bucket a value falls into
+function bucketIndex(buckets, value) {
+  return buckets.findIndex(bucket => value < bucket.below);
+}
+
+// Add files and bytes to a { files, bytes } total
+function addTo(totals, files, bytes) {
+  totals.files += files;
+  totals.bytes += bytes;
+}
+
+// Insert an entry into a list sorted by size (largest first) that holds at most limit entries
+function insertLargest(list, entry, limit) {
+  if (list.length >= limit && (limit === 0 || entry.size <= list[list.length - 1].size)) {
+    return;
+  }
+  const index = list.findIndex(item => entry.size > item.size);
+  list.splice(index === -1 ? list.length : index, 0, entry);
+  if (list.length > limit) {
+    list.pop();
+  }
+}
+
+/**
+ * Mergeable breakdown of scanned files
+ */
+export class ScanStatistics {
+  /**
+   * @param {object} [options] - Statistics options
+   * @param {number} [options.topCount] - Number of largest files and directories to keep
+   * @param {number} [options.now] - Time the ages of the files are measured from (default: now)
+   */
+  constructor(options = {}) {
+    this.topCount = options.topCount ?? DEFAULT_TOP_COUNT;
+    this.now = options.now ?? Date.now();
+    this.extensions = new Map(); // { files, bytes } by lowercase extension
+    this.sizeBuckets = SIZE_BUCKETS.map(() => ({ files: 0, bytes: 0 }));
+    this.ageBuckets = AGE_BUCKETS.map(() => ({ files: 0, bytes: 0 }));
+    this.largestFiles = [];
+    this.largestDirectories = [];
+  }
+
+  /**
+   * Count a scanned file
+   * @param {string} filepath - Absolute file path
+   * @param {number} size - File size in bytes
+   * @param {number} mtime - Modification time (timestamp in ms)
+   */
+  addFile(filepath, size, mtime) {
+    const extension = path.extname(filepath).toLowerCase() || NO_EXTENSION;
+    let totals = this.extensions.get(extension);
+    if (!totals) {
+      totals = { files: 0, bytes: 0 };
+      this.extensions.set(extension, totals);
+    }
+    addTo(totals, 1, size);
+    addTo(this.sizeBuckets[bucketIndex(SIZE_BUCKETS, size)], 1, size);
+    // Files modified in the future count as new
+    addTo(this.ageBuckets[bucketIndex(AGE_BUCKETS, Math.max(0, this.now - mtime))], 1, size);
+    insertLargest(this.largestFiles, { filepath, size, mtime }, this.topCount);
+  }
+
+  /**
+   * Count a scanned directory
+   * @param {string} dirPath - Absolute directory path
+   * @param {number} fileCount - Number of accepted files directly in the directory
+   * @param {number} totalSize - Total size of these files
+   */
+  addDirectory(dirPath, fileCount, totalSize) {
+    if (fileCount > 0) {
+      insertLargest(this.largestDirectories, { dirPath, fileCount, size: totalSize }, this.topCount);
+    }
+  }
+
+  /**
+   * Merge statistics gathered elsewhere, e.g. by a worker
+   * @param {object} data - Result of toJSON of other statistics
+   */
+  merge(data) {
+    for (const { extension, files, bytes } of data.extensions) {
+      const totals = this.extensions.get(extension);
+      if (totals) {
+        addTo(totals, files, bytes);
+      } else {
+        this.extensions.set(extension, { files, bytes });
+      }
+    }
+    data.sizeBuckets.forEach((bucket, index) => addTo(this.sizeBuckets[index], bucket.files, bucket.bytes));
+    data.ageBuckets.forEach((bucket, index) => addTo(this.ageBuckets[index], bucket.files, bucket.bytes));
+    data.largestFiles.forEach(file => insertLargest(this.largestFiles, file, this.topCount));
+    data.largestDirectories.forEach(directory => insertLargest(this.largestDirectories, directory, this.topCount));
+  }
+
+  /**
+   * Plain representation that can be posted between threads (see merge)
+   * @returns {object}
+   */
+  toJSON() {
+    return {
+      extensions: Array.from(this.extensions, ([extension, totals]) => ({ extension, ...totals })),
+      sizeBuckets: this.sizeBuckets,
+      ageBuckets: this.ageBuckets,
+      largestFiles: this.largestFiles,
+      largestDirectories: this.largestDirectories
+    };
+  }
+
+  /**
+   * Summarize the statistics with the bucket bounds
+   * @returns {object} extensions ({ extension, files, bytes }, most bytes first), sizeHistogram
+   *   ({ label, maxBytes, files, bytes }), ages ({ label, maxDays, files, bytes }), largestFiles
+   *   ({ filepath, size, mtime }) and largestDirectories ({ dirPath, fileCount, size }, counting
+   *   the files directly in the directory); open-ended buckets have a null bound
+   */
+  summarize() {
+    const bound = (below, unit) => (below === Infinity ? null : below / unit);
+    return {
+      extensions: this.toJSON().extensions.sort((a, b) => b.bytes - a.bytes || b.files - a.files),
+      sizeHistogram: SIZE_BUCKETS.map((bucket, index) => ({ label: bucket.label, maxBytes: bound(bucket.below, 1), ...this.sizeBuckets[index] })),
+      ages: AGE_BUCKETS.map((bucket, index) => ({ label: bucket.label, maxDays: bound(bucket.below, DAY), ...this.ageBuckets[index] })),
+      largestFiles: this.largestFiles,
+      largestDirectories: this.largestDirectories
+    };
+  }
+}
+
+// Share of a total as a percentage
+function share(bytes, total) {
+  return total > 0 ? `${(bytes / total * 100).toFixed(1)}%` : '0.0%';
+}
+
+/**
+ * Print a summary of ScanStatistics
+ * @param {object} breakdown - Result of ScanStatistics#summarize
+ * @param {string} basePath - Directory the listed paths are shown relative to
+ * @param {boolean} verbose - Whether to list every extension instead of the largest ones
+ */
+export function printBreakdown(breakdown, basePath, verbose) {
+  const totalBytes = breakdown.extensions.reduce((total, extension) => total + extension.bytes, 0);
+  const totals = (item) => `${chalk.bold(item.files.toLocaleString())} files - ${chalk.bold(formatSize(item.bytes))} (${share(item.bytes, totalBytes)})`;
+
+  console.log(chalk.yellow('\nFiles by extension:'));
+  const shown = verbose ? breakdown.extensions : breakdown.extensions.slice(0, LISTED_EXTENSIONS);
+  shown.forEach(extension => console.log(`${chalk.cyan(extension.extension)} - ${totals(extension)}`));
+  if (shown.length < breakdown.extensions.length) {
+    console.log(chalk.gray(`${(breakdown.extensions.length - shown.length).toLocaleString()} more extensions (use --verbose to list all)`));
+  }
+
+  const histograms = [['Files by size:', breakdown.sizeHistogram], ['Files by last modification:', breakdown.ages]];
+  for (const [title, buckets] of histograms) {
+    console.log(chalk.yellow(`\n${title}`));
+    buckets.filter(bucket => bucket.files > 0).forEach(bucket => console.log(`${chalk.cyan(bucket.label)} - ${totals(bucket)}`));
+  }
+
+  if (breakdown.largestFiles.length > 0) {
+    console.log(chalk.yellow('\nLargest files:'));
+    breakdown.largestFiles.forEach(file => {
+      console.log(`${chalk.bold(formatSize(file.size))} - ${chalk.cyan(path.relative(basePath, file.filepath))}`);
+    });
+  }
+  if (breakdown.largestDirectories.length > 0) {
+    console.log(chalk.yellow('\nLargest directories (files directly inside):'));
+    breakdown.largestDirectories.forEach(directory => {
+      const name = path.relative(basePath, directory.dirPath) || '.';
+      console.log(`${chalk.bold(formatSize(directory.size))} - ${chalk.cyan(name)} - ${directory.fileCount.toLocaleString()} files`);
+    });
+  }
+}
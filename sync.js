@@ -0,0 +1,154 @@
+import chalk from 'chalk';
+import { toS3Key } from './uploader.js';
+import { withRetry } from './retry.js';
+import { formatSize, hashFile, mapConcurrent } from './utils.js';
+
+/**
+ * Differential sync: compare scanned files with a listing of the bucket
+ * so that only new or changed files are uploaded
+ */
+
+// Number of files hashed at the same time when comparing checksums
+const HASH_CONCURRENCY = 4;
+
+/**
+ * List the objects of a bucket into a map keyed by object key
+ * @param {S3Client} client - S3 client
+ * @param {string} bucketName - S3 bucket name
+ * @param {string} prefix - Key prefix to list
+ * @returns {Promise<Map<string, object>>} Objects with size, etag and lastModified
+ */
+async function listRemoteObjects(client, bucketName, prefix) {
+  const objects = new Map();
+  for await (const object of client.listAllObjects(bucketName, prefix)) {
+    objects.set(object.key, {
+      size: object.size,
+      etag: object.etag ? object.etag.replace(/"/g, '') : null,
+      lastModified: object.lastModified.getTime()
+    });
+  }
+  return objects;
+}
+
+/**
+ * Find the longest directory prefix shared by the keys of the files
+ * @param {object[]} files - File records with filepath
+ * @param {string} basePath - Base directory path for relative path calculation
+ * @returns {string} Prefix ending in '/', or '' when the keys share no directory
+ */
+function commonKeyPrefix(files, basePath) {
+  let prefix = null;
+  for (const file of files) {
+    const key = toS3Key(basePath, file.filepath);
+    if (prefix === null) {
+      prefix = key.slice(0, key.lastIndexOf('/') + 1);
+    }
+    while (prefix && !key.startsWith(prefix)) {
+      prefix = prefix.slice(0, prefix.lastIndexOf('/', prefix.length - 2) + 1);
+    }
+    if (!prefix) {
+      return '';
+    }
+  }
+  return prefix || '';
+}
+
+/**
+ * Decide whether a local file differs from the object stored under its key
+ * The object is current when the sizes match and the file was not modified after the
+ * upload. With checksums, the MD5 of the file is also compared with the ETag. ETags that
+ * are not an MD5 of the content fall back to the size and time comparison: those of
+ * multipart uploads, and those of objects encrypted with KMS keys, which look like an MD5
+ * and are told apart by the encryption of the object when the MD5 doesn't match.
+ * @param {object} file - File record with filepath, size and mtime
+ * @param {string} key - Object key of the file
+ * @param {object} remote - Remote object from listRemoteObjects
+ * @param {string} bucketName - S3 bucket name
+ * @param {object} options - Options of compareWithRemote
+ * @returns {Promise<boolean>} True if the file has to be uploaded again
+ */
+async function isChanged(file, key, remote, bucketName, options) {
+  if (file.size !== remote.size) {
+    return true;
+  }
+  if (file.mtime !== undefined && file.mtime !== null && file.mtime > remote.lastModified) {
+    return true;
+  }
+  if (!options.checksum || !remote.etag || !/^[0-9a-f]{32}$/.test(remote.etag)) {
+    return false;
+  }
+  if ((await hashFile(file.filepath, 'md5')) === remote.etag) {
+    return false;
+  }
+  const head = await withRetry(() => options.client.headObject(bucketName, key), options.retry);
+  return !(head && head.sse && head.sse.startsWith('aws:kms'));
+}
+
+/**
+ * Compare the scanned files with the objects in the bucket
+ * Unchanged files are marked as done (and skipped), so the upload only sends new
+ * and changed files. Every file record gets a syncAction of added, changed or unchanged.
+ * @param {object} fileStructure - FileStructure instance with the scanned files
+ * @param {string} bucketName - S3 bucket name
+ * @param {string} basePath - Base directory path for relative path calculation
+ * @param {object} options - Sync options
+ * @param {S3Client} options.client - S3 client used for the listing
+ * @param {boolean} [options.checksum] - Whether to compare MD5 checksums with the ETags
+ * @param {object} [options.retry] - Retry policy for the object lookups of checksum comparisons
+ * @returns {Promise<object>} Prefix listed, number of objects under it, and counts and sizes of
+ *   added, changed and unchanged files
+ */
+export async function compareWithRemote(fileStructure, bucketName, basePath, options) {
+  // Only the part of the bucket the files can be in is listed
+  const prefix = commonKeyPrefix(fileStructure.files, basePath);
+  const summary = {
+    prefix,
+    remoteObjects: 0,
+    added: 0,
+    addedSize: 0,
+    changed: 0,
+    changedSize: 0,
+    unchanged: 0,
+    unchangedSize: 0
+  };
+
+  console.log(chalk.blue(`Listing objects in S3 bucket: ${bucketName}${prefix ? ` under ${prefix}` : ''}...`));
+  const remoteObjects = await listRemoteObjects(options.client, bucketName, prefix);
+  summary.remoteObjects = remoteObjects.size;
+
+  await mapConcurrent(fileStructure.files, options.checksum ? HASH_CONCURRENCY : 1, async (file) => {
+    const key = toS3Key(basePath, file.filepath);
+    const remote = remoteObjects.get(key);
+    let action = 'added';
+    if (remote) {
+      try {
+        action = await isChanged(file, key, remote, bucketName, options) ? 'changed' : 'unchanged';
+      } catch (error) {
+        // Files that cannot be hashed or looked up are uploaded, which reports the error
+        action = 'changed';
+      }
+    }
+
+    file.syncAction = action;
+    summary[action]++;
+    summary[`${action}Size`] += file.size;
+    if (action === 'unchanged') {
+      file.status = 'done';
+      file.skipped = true;
+    }
+  });
+
+  return summary;
+}
+
+/**
+ * Print the result of compareWithRemote
+ * @param {object} summary - Summary returned by compareWithRemote
+ */
+export function printSyncSummary(summary) {
+  console.log(chalk.yellow('\nSync Statistics:'));
+  console.log(`Objects in bucket${summary.prefix ? ` under ${summary.prefix}` : ''}: ${chalk.bold(summary.remoteObjects.toLocaleString())}`);
+  console.log(`Files added: ${chalk.bold(summary.added.toLocaleString())} (${formatSize(summary.addedSize)})`);
+  console.log(`Files changed: ${chalk.bold(summary.changed.toLocaleString())} (${formatSize(summary.changedSize)})`);
+  console.log(`Files unchanged: ${chalk.bold(summary.unchanged.toLocaleString())} (${formatSize(summary.unchangedSize)})`);
+}
@@ -0,0 +1,161 @@
+import assert from 'node:assert/strict';
+import { execFile } from 'child_process';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { promisify } from 'util';
+import { after, before, beforeEach, describe, it } from 'node:test';
+import { Option } from 'commander';
+import { CONFIG_FILE_NAME, environmentVariable, loadConfig } from '../config.js';
+
+const INDEX = fileURLToPath(new URL('../index.js', import.meta.url));
+
+let tempDir;
+let homeDir;
+let scanDir;
+let originalHome;
+
+before(async () => {
+  tempDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'speedgrabber-config-'));
+  homeDir = path.join(tempDir, 'home');
+  scanDir = path.join(tempDir, 'scan');
+  await fs.promises.mkdir(homeDir);
+  await fs.promises.mkdir(path.join(scanDir, 'sub'), { recursive: true });
+  await fs.promises.writeFile(path.join(scanDir, 'sub', 'a.txt'), 'text');
+  await fs.promises.writeFile(path.join(scanDir, 'b.log'), 'log');
+  // The home configuration file is looked up with os.homedir()
+  originalHome = process.env.HOME;
+  process.env.HOME = homeDir;
+});
+
+after(async () => {
+  process.env.HOME = originalHome;
+  await fs.promises.rm(tempDir, { recursive: true, force: true });
+});
+
+beforeEach(async () => {
+  await fs.promises.rm(path.join(homeDir, CONFIG_FILE_NAME), { force: true });
+  await fs.promises.rm(path.join(scanDir, CONFIG_FILE_NAME), { force: true });
+});
+
+describe('environmentVariable', () => {
+  it('prefixes the option name in upper snake case', () => {
+    assert.equal(environmentVariable('maxBandwidth'), 'SPEEDGRABBER_MAX_BANDWIDTH');
+    assert.equal(environmentVariable('workers'), 'SPEEDGRABBER_WORKERS');
+  });
+});
+
+describe('loadConfig', () => {
+  const options = [
+    new Option('--workers <number>').argParser(value => parseInt(value, 10)),
+    new Option('--exclude <glob>').argParser((value, previous) => [...previous, value]).default([]),
+    new Option('--tree'),
+    new Option('--storage-class <class>').choices(['STANDARD', 'GLACIER'])
+  ];
+  const load = (settings = {}) => loadConfig({ options, directory: scanDir, ...settings });
+
+  it('reads YAML and JSON files and converts the values like command line values', async () => {
+    await fs.promises.writeFile(path.join(homeDir, CONFIG_FILE_NAME), '# defaults\nworkers: "8"\nexclude:\n  - "*.log"\n  - tmp/\n');
+    await fs.promises.writeFile(path.join(scanDir, CONFIG_FILE_NAME), '{ "tree": true }');
+
+    assert.deepEqual(Object.fromEntries(load()), { workers: 8, exclude: ['*.log', 'tmp/'], tree: true });
+  });
+
+  it('lets the scanned directory override the home directory and --config override both', async () => {
+    await fs.promises.writeFile(path.join(homeDir, CONFIG_FILE_NAME), 'workers: 2\ntree: true\n');
+    await fs.promises.writeFile(path.join(scanDir, CONFIG_FILE_NAME), 'workers: 4\n');
+    const configFile = path.join(tempDir, 'custom.yml');
+    await fs.promises.writeFile(configFile, 'workers: 6\n');
+
+    assert.deepEqual(Object.fromEntries(load()), { workers: 4, tree: true });
+    assert.deepEqual(Object.fromEntries(load({ configFile })), { workers: 6, tree: true });
+  });
+
+  it('applies the selected profile over the top-level settings of every file', async () => {
+    await fs.promises.writeFile(path.join(homeDir, CONFIG_FILE_NAME), 'workers: 2\nprofiles:\n  archive:\n    storageClass: GLACIER\n');
+    await fs.promises.writeFile(path.join(scanDir, CONFIG_FILE_NAME), 'storage-class: STANDARD\nprofiles:\n  archive:\n    workers: 1\n');
+
+    assert.deepEqual(Object.fromEntries(load()), { workers: 2, storageClass: 'STANDARD' });
+    assert.deepEqual(Object.fromEntries(load({ profileName: 'archive' })), { workers: 1, storageClass: 'GLACIER' });
+  });
+
+  it('names the defined profiles when the selected one is unknown', async () => {
+    await fs.promises.writeFile(path.join(homeDir, CONFIG_FILE_NAME), 'profiles:\n  archive: {}\n  nightly: {}\n');
+
+    assert.throws(() => load({ profileName: 'weekly' }), /Unknown profile 'weekly' \(defined profiles: archive, nightly\)/);
+  });
+
+  it('rejects unknown options, invalid values and invalid files with the file name', async () => {
+    const file = path.join(scanDir, CONFIG_FILE_NAME);
+
+    await fs.promises.writeFile(file, 'colour: blue\n');
+    assert.throws(() => load(), new RegExp(`Unknown option 'colour' in ${file}`));
+
+    await fs.promises.writeFile(file, 'tree: yes please\n');
+    assert.throws(() => load(), /Invalid value for 'tree' .*expected true or false/);
+
+    await fs.promises.writeFile(file, 'storage-class: COLD\n');
+    assert.throws(() => load(), /Invalid value for 'storage-class'/);
+
+    await fs.promises.writeFile(file, 'workers: 1\nworkers: 2\n');
+    assert.throws(() => load(), new RegExp(`Invalid configuration file ${file}: .*unique`));
+
+    await fs.promises.writeFile(file, '- workers\n');
+    assert.throws(() => load(), /expected a map of option names to values/);
+  });
+
+  it('requires the file given with --config', () => {
+    assert.throws(() => load({ configFile: path.join(tempDir, 'missing.yml') }), /Configuration file not found/);
+  });
+});
+
+describe('configured command line', () => {
+  const execFileAsync = promisify(execFile);
+
+  // Scan with a JSON report and return it, or the exit code and stderr of a failed run
+  async function scan(args = [], env = {}) {
+    try {
+      const { stdout } = await execFileAsync(process.execPath, [INDEX, scanDir, '--report', 'json', ...args], {
+        env: { ...process.env, HOME: homeDir, ...env },
+        timeout: 30000
+      });
+      return JSON.parse(stdout);
+    } catch (error) {
+      return { exitCode: error.code, stderr: error.stderr };
+    }
+  }
+
+  // The configuration file is scanned as well: sub/a.txt, b.log and .speedgrabberrc
+  it('applies the configuration file of the scanned directory', async () => {
+    await fs.promises.writeFile(path.join(scanDir, CONFIG_FILE_NAME), 'exclude: ["*.log"]\n');
+
+    assert.equal((await scan()).scan.totalFiles, 2);
+  });
+
+  it('lets the environment and the command line override the configuration', async () => {
+    await fs.promises.writeFile(path.join(scanDir, CONFIG_FILE_NAME), 'exclude: ["*.log", sub]\n');
+
+    assert.equal((await scan()).scan.totalFiles, 1);
+    assert.equal((await scan([], { SPEEDGRABBER_EXCLUDE: '*.txt' })).scan.totalFiles, 2);
+    assert.equal((await scan(['--exclude', 'none'])).scan.totalFiles, 3);
+  });
+
+  it('fails with exit code 2 on an invalid configuration', async () => {
+    await fs.promises.writeFile(path.join(scanDir, CONFIG_FILE_NAME), 'depth: 0\n');
+
+    const result = await scan();
+    assert.equal(result.exitCode, 2);
+    assert.match(result.stderr, /Invalid value for 'depth'/);
+  });
+
+  it('rejects a concurrency that is not a positive number', async () => {
+    for (const value of ['abc', 0]) {
+      await fs.promises.writeFile(path.join(scanDir, CONFIG_FILE_NAME), `concurrent: ${JSON.stringify(value)}\n`);
+
+      const result = await scan(['--dry-run', '--bucket', 'bucket']);
+      assert.equal(result.exitCode, 2);
+      assert.match(result.stderr, /Invalid value for 'concurrent'.*expected a positive integer/);
+    }
+  });
+});
@@ -0,0 +1,126 @@
+import assert from 'node:assert/strict';
+import { execFile } from 'child_process';
+import crypto from 'crypto';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { promisify } from 'util';
+import { after, before, describe, it } from 'node:test';
+import { findDuplicates } from '../duplicates.js';
+import { FileStructure } from '../fileStructure.js';
+import { scanDirectoryParallel } from '../scanner.js';
+
+const INDEX = fileURLToPath(new URL('../index.js', import.meta.url));
+
+const sha256 = (content) => crypto.createHash('sha256').update(content).digest('hex');
+
+// Contents of the scanned files; the copies of the photo and the same-size note are
+// candidates for hashing, the odd-sized file and the empty files are not
+const CONTENTS = {
+  'photo.jpg': 'photo content',
+  'backup/photo.jpg': 'photo content',
+  'backup/old/photo-copy.jpg': 'photo content',
+  'other.txt': 'other content',
+  'note.txt': 'note',
+  'note-copy.txt': 'note',
+  'odd.txt': 'only file of its size',
+  'empty-1.txt': '',
+  'empty-2.txt': ''
+};
+
+let tempDir;
+
+before(async () => {
+  tempDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'speedgrabber-duplicates-'));
+  for (const [name, content] of Object.entries(CONTENTS)) {
+    await fs.promises.mkdir(path.dirname(path.join(tempDir, name)), { recursive: true });
+    await fs.promises.writeFile(path.join(tempDir, name), content);
+  }
+});
+
+after(() => fs.promises.rm(tempDir, { recursive: true, force: true }));
+
+// File records of the test files, as a scan without --hash leaves them
+const records = () => Object.entries(CONTENTS).map(([name, content]) => ({ filepath: path.join(tempDir, name), size: Buffer.byteLength(content) }));
+
+const relative = (filepaths) => filepaths.map(filepath => path.relative(tempDir, filepath));
+
+describe('findDuplicates', () => {
+  it('groups identical files with the largest waste first', async () => {
+    const report = await findDuplicates(records(), { workers: 1 });
+
+    assert.deepEqual(report.groups.map(group => relative(group.files)), [
+      ['backup/old/photo-copy.jpg', 'backup/photo.jpg', 'photo.jpg'],
+      ['note-copy.txt', 'note.txt']
+    ]);
+    assert.equal(report.groups[0].size, 13);
+    assert.equal(report.groups[0].hash, sha256('photo content'));
+    assert.equal(report.groups[0].wastedBytes, 26);
+    assert.equal(report.groups[1].wastedBytes, 4);
+    assert.equal(report.duplicateFiles, 3);
+    assert.equal(report.wastedBytes, 30);
+  });
+
+  it('hashes only the files that share their size with another file', async () => {
+    const files = records();
+
+    const report = await findDuplicates(files, { workers: 1 });
+
+    assert.equal(report.comparedFiles, 6);
+    assert.deepEqual(relative(files.filter(file => file.hash).map(file => file.filepath)).sort(),
+      ['backup/old/photo-copy.jpg', 'backup/photo.jpg', 'note-copy.txt', 'note.txt', 'other.txt', 'photo.jpg']);
+    assert.equal(files.find(file => file.filepath.endsWith('odd.txt')).hash, undefined);
+  });
+
+  it('uses the hashes of the scan instead of hashing again', async () => {
+    const files = records().map(file => ({ ...file, hash: file.filepath.endsWith('.jpg') ? 'same' : undefined }));
+    files.find(file => file.filepath.endsWith('other.txt')).hash = 'same';
+
+    const report = await findDuplicates(files, { algorithm: 'md5', workers: 1 });
+
+    // other.txt has the size of the photos but they are not the same file
+    assert.deepEqual(report.groups.map(group => group.hash), ['same', crypto.createHash('md5').update('note').digest('hex')]);
+    assert.equal(report.groups[0].files.length, 4);
+  });
+
+  it('ignores files that cannot be read', async () => {
+    const files = [
+      { filepath: path.join(tempDir, 'gone-1.txt'), size: 4 },
+      { filepath: path.join(tempDir, 'gone-2.txt'), size: 4 }
+    ];
+
+    const report = await findDuplicates(files, { workers: 1 });
+
+    assert.deepEqual(report.groups, []);
+    assert.deepEqual(files.map(file => file.hash), [null, null]);
+  });
+});
+
+describe('scanning with a hash algorithm', () => {
+  it('stores the digest of every file in its record', async () => {
+    const fileStructure = new FileStructure();
+
+    await scanDirectoryParallel(tempDir, fileStructure, { hash: 'sha1', workers: 1, quiet: true });
+
+    assert.equal(fileStructure.files.length, Object.keys(CONTENTS).length);
+    for (const file of fileStructure.files) {
+      const content = CONTENTS[path.relative(tempDir, file.filepath)];
+      assert.equal(file.hash, crypto.createHash('sha1').update(content).digest('hex'), file.filepath);
+    }
+  });
+
+  it('reports the duplicates on the command line', async () => {
+    const { stdout } = await promisify(execFile)(process.execPath, [INDEX, tempDir, '--hash', 'md5', '--duplicates', '--report', 'json'], {
+      env: { ...process.env, HOME: tempDir },
+      timeout: 30000
+    });
+
+    const { duplicates } = JSON.parse(stdout);
+    assert.equal(duplicates.wastedBytes, 30);
+    assert.deepEqual(duplicates.groups.map(group => group.hash), [
+      crypto.createHash('md5').update('photo content').digest('hex'),
+      crypto.createHash('md5').update('note').digest('hex')
+    ]);
+  });
+});
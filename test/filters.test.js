@@ -0,0 +1,147 @@
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { after, before, describe, it } from 'node:test';
+import { FileStructure } from '../fileStructure.js';
+import { IGNORE_FILE_NAME, ScanFilter, globToRegExpSource, parseIgnoreFile, parseTimeThreshold } from '../filters.js';
+import { scanDirectoryParallel } from '../scanner.js';
+
+const ROOT = '/data';
+
+const matches = (glob, value) => new RegExp(`^${globToRegExpSource(glob)}$`).test(value);
+
+describe('globToRegExpSource', () => {
+  it('keeps * and ? within one path segment', () => {
+    assert.ok(matches('*.log', 'app.log'));
+    assert.ok(!matches('*.log', 'logs/app.log'));
+    assert.ok(matches('file?.txt', 'file1.txt'));
+    assert.ok(!matches('file?.txt', 'file/.txt'));
+  });
+
+  it('lets ** match any number of directories', () => {
+    assert.ok(matches('**/*.jpg', 'a.jpg'));
+    assert.ok(matches('**/*.jpg', 'photos/2024/a.jpg'));
+    assert.ok(matches('photos/**', 'photos/2024/a.jpg'));
+    assert.ok(!matches('photos/**/*.jpg', 'videos/a.jpg'));
+  });
+
+  it('supports character classes, alternatives and escapes', () => {
+    assert.ok(matches('img[0-9].png', 'img7.png'));
+    assert.ok(!matches('img[!0-9].png', 'img7.png'));
+    assert.ok(matches('*.{jpg,png}', 'a.png'));
+    assert.ok(!matches('*.{jpg,png}', 'a.gif'));
+    assert.ok(matches('\\*.txt', '*.txt'));
+    assert.ok(!matches('\\*.txt', 'a.txt'));
+    assert.ok(matches('a.b', 'a.b'));
+    assert.ok(!matches('a.b', 'axb'));
+  });
+});
+
+describe('parseIgnoreFile', () => {
+  it('drops comments, blank lines and trailing spaces', () => {
+    assert.deepEqual(parseIgnoreFile('# cache\n*.tmp  \n\r\n!keep.tmp\r\nbuild/\n'), ['*.tmp', '!keep.tmp', 'build/']);
+  });
+});
+
+describe('parseTimeThreshold', () => {
+  it('reads relative ages and dates', () => {
+    const now = Date.now();
+    const threshold = parseTimeThreshold('2h');
+    assert.ok(Math.abs(now - 2 * 3600 * 1000 - threshold) < 1000);
+    assert.equal(parseTimeThreshold('2024-01-15T00:00:00Z'), Date.UTC(2024, 0, 15));
+    assert.throws(() => parseTimeThreshold('soon'), /Invalid time value: soon/);
+  });
+});
+
+describe('ScanFilter', () => {
+  const file = (relativePath) => path.join(ROOT, relativePath);
+
+  it('excludes files and directories by name at any depth or by anchored path', () => {
+    const filter = new ScanFilter({ rootDir: ROOT, exclude: ['*.tmp', 'node_modules', 'build/out', 'cache/'] });
+
+    assert.ok(!filter.acceptsFilePath(file('deep/dir/x.tmp')));
+    assert.ok(!filter.acceptsDirectory(file('app/node_modules')));
+    assert.ok(!filter.acceptsDirectory(file('build/out')));
+    assert.ok(filter.acceptsDirectory(file('src/build/out')));
+    // Patterns ending in / only match directories
+    assert.ok(!filter.acceptsDirectory(file('cache')));
+    assert.ok(filter.acceptsFilePath(file('cache')));
+  });
+
+  it('keeps only included files, minus the excluded ones', () => {
+    const filter = new ScanFilter({ rootDir: ROOT, include: ['**/*.{jpg,png}'], exclude: ['thumbs/'] });
+
+    assert.ok(filter.acceptsFilePath(file('a.jpg')));
+    assert.ok(filter.acceptsFilePath(file('photos/b.png')));
+    assert.ok(!filter.acceptsFilePath(file('notes.txt')));
+    // Include globs don't stop the scan from descending
+    assert.ok(filter.acceptsDirectory(file('docs')));
+    assert.ok(!filter.acceptsDirectory(file('photos/thumbs')));
+  });
+
+  it('lets the last matching pattern of the ignore files win', () => {
+    const rootRules = { base: ROOT, patterns: ['*.log', '!important.log'] };
+    const filter = new ScanFilter({ rootDir: ROOT, ignoreRules: [rootRules] });
+    // The filter of a subdirectory adds its ignore file after those of its parents
+    const subFilter = new ScanFilter({ rootDir: ROOT, ignoreRules: [rootRules, { base: file('sub'), patterns: ['important.log', '/local.txt'] }] });
+
+    assert.ok(!filter.acceptsFilePath(file('app.log')));
+    assert.ok(filter.acceptsFilePath(file('important.log')));
+    assert.ok(!subFilter.acceptsFilePath(file('sub/important.log')));
+    // Patterns with a slash are anchored to the directory of their ignore file
+    assert.ok(!subFilter.acceptsFilePath(file('sub/local.txt')));
+    assert.ok(subFilter.acceptsFilePath(file('sub/deeper/local.txt')));
+  });
+
+  it('filters by size and modification time', () => {
+    const filter = new ScanFilter({ rootDir: ROOT, minSize: 100, newerThan: Date.UTC(2024, 0, 1) });
+    const recent = Date.UTC(2024, 5, 1);
+
+    assert.ok(filter.acceptsStats({ size: 100, mtimeMs: recent }));
+    assert.ok(!filter.acceptsStats({ size: 99, mtimeMs: recent }));
+    assert.ok(!filter.acceptsStats({ size: 100, mtimeMs: Date.UTC(2023, 11, 31) }));
+  });
+
+  it('survives being passed to a worker as plain data', () => {
+    const filter = new ScanFilter({ rootDir: ROOT, exclude: ['*.tmp'] });
+    const copy = new ScanFilter(JSON.parse(JSON.stringify(filter)));
+
+    assert.ok(!copy.acceptsFilePath(file('x.tmp')));
+  });
+});
+
+describe('scanning with filters', () => {
+  let tempDir;
+
+  before(async () => {
+    tempDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'speedgrabber-filters-'));
+    const files = {
+      [IGNORE_FILE_NAME]: '*.log\n!keep.log\ncache/\n',
+      'app.log': 'log',
+      'keep.log': 'keep',
+      'photo.jpg': 'jpg',
+      'cache/blob.jpg': 'cached',
+      'nested/deep.jpg': 'deep',
+      'nested/skip.jpg': 'skip',
+      [`nested/${IGNORE_FILE_NAME}`]: 'skip.jpg\n',
+      'excluded/x.jpg': 'x'
+    };
+    for (const [name, content] of Object.entries(files)) {
+      await fs.promises.mkdir(path.dirname(path.join(tempDir, name)), { recursive: true });
+      await fs.promises.writeFile(path.join(tempDir, name), content);
+    }
+  });
+
+  after(() => fs.promises.rm(tempDir, { recursive: true, force: true }));
+
+  it('applies the globs and the ignore files found in the tree', async () => {
+    const fileStructure = new FileStructure();
+    const filter = new ScanFilter({ rootDir: tempDir, exclude: ['excluded'] });
+
+    await scanDirectoryParallel(tempDir, fileStructure, { filter, workers: 1, quiet: true });
+
+    const scanned = fileStructure.files.map(file => path.relative(tempDir, file.filepath)).sort();
+    assert.deepEqual(scanned, [IGNORE_FILE_NAME, 'keep.log', path.join('nested', IGNORE_FILE_NAME), path.join('nested', 'deep.jpg'), 'photo.jpg']);
+  });
+});
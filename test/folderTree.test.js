@@ -0,0 +1,143 @@
+import assert from 'node:assert/strict';
+import { execFile } from 'child_process';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { promisify } from 'util';
+import { after, before, describe, it } from 'node:test';
+import { FileStructure } from '../fileStructure.js';
+import { aggregationFolder, buildFolderTree, folderDepth, printFolderTree } from '../folderTree.js';
+import { scanDirectoryParallel } from '../scanner.js';
+
+const INDEX = fileURLToPath(new URL('../index.js', import.meta.url));
+
+const ROOT = '/data';
+const folder = (relativePath) => path.join(ROOT, relativePath);
+
+// Folder totals as a scan with depth 2 aggregates them
+const FOLDER_TOTALS = new Map([
+  [ROOT, { fileCount: 1, totalSize: 100 }],
+  [folder('media/video'), { fileCount: 2, totalSize: 600 }],
+  [folder('media/photos'), { fileCount: 10, totalSize: 250 }],
+  [folder('docs'), { fileCount: 3, totalSize: 40 }],
+  [folder('docs/notes'), { fileCount: 1, totalSize: 10 }]
+]);
+
+const stripColors = (text) => text.replace(/\x1b\[[0-9;]*m/g, '');
+
+describe('folderDepth', () => {
+  it('counts the levels below the scanned directory', () => {
+    assert.equal(folderDepth(ROOT, ROOT), 0);
+    assert.equal(folderDepth(ROOT, folder('media')), 1);
+    assert.equal(folderDepth(ROOT, folder('media/photos/2024')), 3);
+  });
+});
+
+describe('aggregationFolder', () => {
+  it('cuts deeper directories off at the aggregation depth', () => {
+    assert.equal(aggregationFolder(ROOT, ROOT, 1), ROOT);
+    assert.equal(aggregationFolder(ROOT, folder('media'), 2), folder('media'));
+    assert.equal(aggregationFolder(ROOT, folder('media/photos/2024/jan'), 2), folder('media/photos'));
+    assert.equal(aggregationFolder(ROOT, folder('media/photos/2024/jan'), 1), folder('media'));
+  });
+});
+
+describe('buildFolderTree', () => {
+  it('rolls the totals up to every level and sorts the children by size', () => {
+    const tree = buildFolderTree(ROOT, FOLDER_TOTALS);
+
+    assert.equal(tree.fileCount, 17);
+    assert.equal(tree.totalSize, 1000);
+    assert.equal(tree.ownSize, 100);
+    assert.deepEqual(tree.children.map(child => child.name), ['media', 'docs']);
+
+    // media has no files of its own but is created as the parent of its subfolders
+    const media = tree.children[0];
+    assert.deepEqual([media.fileCount, media.totalSize, media.ownFileCount, media.ownSize], [12, 850, 0, 0]);
+    assert.deepEqual(media.children.map(child => [child.path, child.totalSize]), [[folder('media/video'), 600], [folder('media/photos'), 250]]);
+
+    const docs = tree.children[1];
+    assert.deepEqual([docs.fileCount, docs.totalSize, docs.ownFileCount, docs.ownSize], [4, 50, 3, 40]);
+  });
+});
+
+describe('printFolderTree', () => {
+  // Print the tree and return its lines without colors
+  function printedLines(t, options) {
+    const lines = [];
+    t.mock.method(console, 'log', (line) => lines.push(stripColors(line)));
+    printFolderTree(buildFolderTree(ROOT, FOLDER_TOTALS), options);
+    return lines;
+  }
+
+  it('prints every folder with its share of the total, largest first', (t) => {
+    const lines = printedLines(t, { depth: 2 });
+
+    assert.equal(lines[0], "\nFolder tree of 'data' (depth 2):");
+    assert.deepEqual(lines.slice(1).map(line => line.trim().split(/\s+/).slice(2).join(' ')), [
+      '100.0% data',
+      '85.0% ├── media',
+      '60.0% │ ├── video',
+      '25.0% │ └── photos',
+      '10.0% ├── (1 files)',
+      '5.0% └── docs',
+      '4.0% ├── (3 files)',
+      '1.0% └── notes'
+    ]);
+  });
+
+  it('sums up the entries under the minimum share', (t) => {
+    const lines = printedLines(t, { minShare: 8 });
+
+    assert.equal(lines[0], "\nFolder tree of 'data' (entries under 8% hidden):");
+    assert.deepEqual(lines.slice(1).map(line => line.trim().split(/\s+/).slice(2).join(' ')), [
+      '100.0% data',
+      '85.0% ├── media',
+      '60.0% │ ├── video',
+      '25.0% │ └── photos',
+      '10.0% ├── (1 files)',
+      '5.0% └── (1 smaller entries)'
+    ]);
+  });
+});
+
+describe('scanning with an aggregation depth', () => {
+  let tempDir;
+
+  before(async () => {
+    tempDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'speedgrabber-tree-'));
+    const files = { 'top.txt': 1, 'a/one.txt': 10, 'a/b/two.txt': 100, 'a/b/c/three.txt': 1000, 'a/b/c/d/four.txt': 10000 };
+    for (const [name, size] of Object.entries(files)) {
+      await fs.promises.mkdir(path.dirname(path.join(tempDir, name)), { recursive: true });
+      await fs.promises.writeFile(path.join(tempDir, name), Buffer.alloc(size));
+    }
+  });
+
+  after(() => fs.promises.rm(tempDir, { recursive: true, force: true }));
+
+  it('counts deeper files in their folder at the depth', async () => {
+    const fileStructure = new FileStructure({ storeFiles: false });
+
+    await scanDirectoryParallel(tempDir, fileStructure, { depth: 2, workers: 2, quiet: true });
+
+    const totals = Object.fromEntries([...fileStructure.folderTotals].map(([folderPath, total]) => [path.relative(tempDir, folderPath), total]));
+    assert.deepEqual(totals, {
+      '': { fileCount: 1, totalSize: 1 },
+      'a': { fileCount: 1, totalSize: 10 },
+      [path.join('a', 'b')]: { fileCount: 3, totalSize: 11100 }
+    });
+  });
+
+  it('prints the tree on the command line', async () => {
+    const { stdout } = await promisify(execFile)(process.execPath, [INDEX, tempDir, '--depth', '3', '--tree'], {
+      env: { ...process.env, HOME: tempDir },
+      timeout: 30000
+    });
+
+    const output = stripColors(stdout);
+    assert.match(output, /Folder tree of '.*' \(depth 3\):/);
+    assert.match(output, /99\.0% {2}│ {3}│ {3}├── c\n/);
+    assert.doesNotMatch(output, /── d\n/);
+  });
+});
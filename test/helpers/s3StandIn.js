@@ -0,0 +1,212 @@
+import crypto from 'crypto';
+import http from 'http';
+import { S3Client, signRequest } from '../../s3Client.js';
+
+/**
+ * Local S3 stand-in for the tests
+ * Keeps objects and multipart uploads in memory and checks the SigV4 signature of every request,
+ * so the client is exercised end to end without a network.
+ */
+
+export const CREDENTIALS = { accessKeyId: 'AKIDTEST', secretAccessKey: 'test-secret' };
+export const REGION = 'us-east-1';
+
+const md5 = (data) => crypto.createHash('md5').update(data).digest('hex');
+
+const escapeXml = (value) => String(value).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+
+// Body of an S3 error response
+const errorXml = (code, message) => `<?xml version="1.0" encoding="UTF-8"?>\n<Error><Code>${code}</Code><Message>${escapeXml(message)}</Message></Error>`;
+
+export class S3StandIn {
+  constructor() {
+    // { body, etag, partSizes, headers, lastModified, checksumSha256 } by "bucket/key"; tests may set
+    // checksumSha256 to have it returned like an additional checksum
+    this.objects = new Map();
+    this.uploads = new Map(); // Multipart uploads: { bucket, key, headers, parts } by upload ID
+    this.requests = []; // { method, bucket, key, query } of every request received
+    this.uploadCount = 0;
+    // Called with each request ({ method, bucket, key, query }); return { statusCode, code, message }
+    // to fail it
+    this.fail = null;
+    this.server = http.createServer((req, res) => this.handle(req, res));
+  }
+
+  /**
+   * Listen on a free local port
+   * @returns {Promise<string>} Endpoint URL
+   */
+  async start() {
+    await new Promise(resolve => this.server.listen(0, '127.0.0.1', resolve));
+    this.endpoint = `http://127.0.0.1:${this.server.address().port}`;
+    return this.endpoint;
+  }
+
+  /**
+   * Stop listening and drop the open connections
+   * @returns {Promise<void>}
+   */
+  close() {
+    this.server.closeAllConnections();
+    return new Promise(resolve => this.server.close(resolve));
+  }
+
+  /**
+   * Create a client for the stand-in
+   * @param {object} [config] - Additional client configuration
+   * @returns {S3Client}
+   */
+  client(config = {}) {
+    return new S3Client({ credentials: CREDENTIALS, region: REGION, endpoint: this.endpoint, ...config });
+  }
+
+  /**
+   * Store an object directly
+   * @param {string} bucket - Bucket name
+   * @param {string} key - Object key
+   * @param {Buffer|string} body - Content
+   */
+  putObject(bucket, key, body) {
+    const content = Buffer.from(body);
+    this.objects.set(`${bucket}/${key}`, { body: content, etag: `"${md5(content)}"`, partSizes: null, headers: {}, lastModified: new Date() });
+  }
+
+  // Recompute the signature of a request, so signing bugs fail the request like S3 would
+  verifySignature(req, url) {
+    const match = /^AWS4-HMAC-SHA256 Credential=([^/]+)\/\d{8}\/([^/]+)\/s3\/aws4_request, SignedHeaders=([^,]+), Signature=([0-9a-f]{64})$/.exec(req.headers.authorization || '');
+    if (!match || match[1] !== CREDENTIALS.accessKeyId) {
+      return false;
+    }
+    const headers = {};
+    for (const name of match[3].split(';')) {
+      headers[name] = req.headers[name];
+    }
+    const query = Object.fromEntries(url.searchParams);
+    const expected = signRequest({ method: req.method, path: url.pathname, query, headers }, CREDENTIALS, match[2]);
+    return expected === req.headers.authorization;
+  }
+
+  handle(req, res) {
+    const url = new URL(req.url, this.endpoint);
+    const [, bucket, ...rest] = url.pathname.split('/');
+    const key = decodeURIComponent(rest.join('/'));
+    const query = Object.fromEntries(url.searchParams);
+    const request = { method: req.method, bucket, key, query };
+    this.requests.push(request);
+
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => {
+      const reply = (statusCode, body = '', headers = {}) => {
+        res.writeHead(statusCode, headers);
+        res.end(req.method === 'HEAD' ? undefined : body);
+      };
+
+      if (!this.verifySignature(req, url)) {
+        return reply(403, errorXml('SignatureDoesNotMatch', 'The request signature we calculated does not match the signature you provided.'));
+      }
+      const failure = this.fail?.(request);
+      if (failure) {
+        return reply(failure.statusCode, errorXml(failure.code, failure.message || failure.code));
+      }
+
+      const body = Buffer.concat(chunks);
+      const objectKey = `${bucket}/${key}`;
+
+      if (req.method === 'POST' && 'uploads' in query) {
+        const uploadId = `upload-${++this.uploadCount}`;
+        this.uploads.set(uploadId, { bucket, key, headers: req.headers, parts: new Map() });
+        return reply(200, `<InitiateMultipartUploadResult><Bucket>${bucket}</Bucket><Key>${escapeXml(key)}</Key><UploadId>${uploadId}</UploadId></InitiateMultipartUploadResult>`);
+      }
+
+      if (query.uploadId) {
+        const upload = this.uploads.get(query.uploadId);
+        if (!upload) {
+          return reply(404, errorXml('NoSuchUpload', 'The specified upload does not exist.'));
+        }
+        if (req.method === 'PUT') {
+          const etag = `"${md5(body)}"`;
+          upload.parts.set(Number(query.partNumber), { body, etag });
+          return reply(200, '', { etag });
+        }
+        if (req.method === 'GET') {
+          const parts = [...upload.parts].sort(([a], [b]) => a - b)
+            .map(([partNumber, part]) => `<Part><PartNumber>${partNumber}</PartNumber><ETag>${escapeXml(part.etag)}</ETag><Size>${part.body.length}</Size></Part>`);
+          return reply(200, `<ListPartsResult>${parts.join('')}<IsTruncated>false</IsTruncated></ListPartsResult>`);
+        }
+        if (req.method === 'DELETE') {
+          this.uploads.delete(query.uploadId);
+          return reply(204);
+        }
+        if (req.method === 'POST') {
+          const listed = [...body.toString().matchAll(/<PartNumber>(\d+)<\/PartNumber><ETag>([^<]*)<\/ETag>/g)];
+          const parts = [];
+          for (const [, partNumber, etag] of listed) {
+            const part = upload.parts.get(Number(partNumber));
+            if (!part || part.etag !== etag.replace(/&quot;/g, '"')) {
+              return reply(400, errorXml('InvalidPart', `Part ${partNumber} could not be found.`));
+            }
+            parts.push(part);
+          }
+          const digests = Buffer.concat(parts.map(part => Buffer.from(part.etag.slice(1, -1), 'hex')));
+          const etag = `"${md5(digests)}-${parts.length}"`;
+          this.objects.set(objectKey, {
+            body: Buffer.concat(parts.map(part => part.body)),
+            etag,
+            partSizes: parts.map(part => part.body.length),
+            headers: upload.headers,
+            lastModified: new Date()
+          });
+          this.uploads.delete(query.uploadId);
+          return reply(200, `<CompleteMultipartUploadResult><Key>${escapeXml(key)}</Key><ETag>${escapeXml(etag)}</ETag></CompleteMultipartUploadResult>`);
+        }
+      }
+
+      if (req.method === 'PUT') {
+        const etag = `"${md5(body)}"`;
+        this.objects.set(objectKey, { body, etag, partSizes: null, headers: req.headers, lastModified: new Date() });
+        return reply(200, '', { etag });
+      }
+
+      if (req.method === 'GET' && query['list-type'] === '2') {
+        const prefix = query.prefix || '';
+        const maxKeys = Number(query['max-keys'] || 1000);
+        const keys = [...this.objects.keys()]
+          .filter(name => name.startsWith(`${bucket}/${prefix}`))
+          .map(name => name.slice(bucket.length + 1))
+          .sort()
+          .filter(name => !query['continuation-token'] || name > query['continuation-token']);
+        const page = keys.slice(0, maxKeys);
+        const truncated = keys.length > maxKeys;
+        const contents = page.map(name => {
+          const object = this.objects.get(`${bucket}/${name}`);
+          return `<Contents><Key>${escapeXml(name)}</Key><LastModified>${object.lastModified.toISOString()}</LastModified><ETag>${escapeXml(object.etag)}</ETag><Size>${object.body.length}</Size></Contents>`;
+        });
+        const token = truncated ? `<NextContinuationToken>${escapeXml(page[page.length - 1])}</NextContinuationToken>` : '';
+        return reply(200, `<ListBucketResult><Name>${bucket}</Name>${contents.join('')}<IsTruncated>${truncated}</IsTruncated>${token}</ListBucketResult>`);
+      }
+
+      const object = this.objects.get(objectKey);
+      if (!object) {
+        return reply(404, errorXml('NoSuchKey', 'The specified key does not exist.'));
+      }
+      if (req.method === 'HEAD') {
+        const headers = { etag: object.etag, 'last-modified': object.lastModified.toUTCString() };
+        if (object.headers['x-amz-server-side-encryption']) {
+          headers['x-amz-server-side-encryption'] = object.headers['x-amz-server-side-encryption'];
+        }
+        if (object.checksumSha256 && req.headers['x-amz-checksum-mode'] === 'ENABLED') {
+          headers['x-amz-checksum-sha256'] = object.checksumSha256;
+        }
+        if (query.partNumber && object.partSizes) {
+          return reply(206, '', { ...headers, 'content-length': object.partSizes[Number(query.partNumber) - 1], 'x-amz-mp-parts-count': object.partSizes.length });
+        }
+        return reply(200, '', { ...headers, 'content-length': object.body.length });
+      }
+      if (req.method === 'GET') {
+        return reply(200, object.body, { etag: object.etag });
+      }
+      return reply(400, errorXml('NotImplemented', `${req.method} is not supported by the stand-in`));
+    });
+  }
+}
@@ -0,0 +1,131 @@
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { after, afterEach, before, beforeEach, describe, it } from 'node:test';
+import { StateJournal, readJournal } from '../journal.js';
+import { SpeedGrabber } from '../speedgrabber.js';
+import { S3StandIn } from './helpers/s3StandIn.js';
+
+let tempDir;
+
+before(async () => {
+  tempDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'speedgrabber-journal-'));
+});
+
+after(async () => {
+  await fs.promises.rm(tempDir, { recursive: true, force: true });
+});
+
+const entry = (filepath, fields) => JSON.stringify({ filepath, size: 10, mtime: '2024-01-01T00:00:00.000Z', status: 'done', error: null, uploadId: null, ...fields }) + '\n';
+
+describe('readJournal', () => {
+  it('keeps the latest state of every file and ignores a line cut short by a crash', async () => {
+    const file = path.join(tempDir, 'read.jsonl');
+    await fs.promises.writeFile(file, entry('/a', { status: 'uploading' }) + entry('/b') + entry('/a') + '{"filepath":"/c","si');
+
+    const states = await readJournal(file);
+    assert.deepEqual([...states.keys()], ['/a', '/b']);
+    assert.equal(states.get('/a').status, 'done');
+  });
+
+  it('treats a missing journal as empty', async () => {
+    assert.equal((await readJournal(path.join(tempDir, 'missing.jsonl'))).size, 0);
+  });
+});
+
+describe('StateJournal', () => {
+  let file;
+  let journal;
+
+  beforeEach(() => {
+    file = path.join(tempDir, `state-${Date.now()}-${Math.random()}.jsonl`);
+    journal = new StateJournal(file);
+  });
+
+  afterEach(() => journal.close());
+
+  it('compacts the previous entries when resuming', async () => {
+    await fs.promises.writeFile(file, entry('/a', { status: 'uploading' }) + entry('/a') + entry('/b', { status: 'failed', error: 'x' }));
+
+    await journal.open({ resume: true });
+    const lines = (await fs.promises.readFile(file, 'utf8')).trim().split('\n');
+    assert.equal(lines.length, 2);
+    assert.equal(JSON.parse(lines[0]).status, 'done');
+  });
+
+  it('starts empty when not resuming', async () => {
+    await fs.promises.writeFile(file, entry('/a'));
+
+    await journal.open();
+    assert.equal(await fs.promises.readFile(file, 'utf8'), '');
+  });
+
+  it('appends every recorded status', async () => {
+    await journal.open();
+    journal.record({ filepath: '/a', size: 1, mtime: null, status: 'uploading' });
+    journal.record({ filepath: '/a', size: 1, mtime: null, status: 'failed', error: 'denied' });
+
+    const states = await readJournal(file);
+    assert.equal(states.get('/a').status, 'failed');
+    assert.equal(states.get('/a').error, 'denied');
+    assert.equal(states.get('/a').mtime, null);
+  });
+
+  it('marks unchanged uploaded files as done and continues unfinished multipart uploads', async () => {
+    await fs.promises.writeFile(file, entry('/done') + entry('/changed', { size: 99 }) + entry('/partial', { status: 'uploading', uploadId: 'upload-7' }));
+    await journal.open({ resume: true });
+    const files = ['/done', '/changed', '/partial', '/new'].map(filepath => ({
+      filepath, size: 10, mtime: '2024-01-01T00:00:00.000Z', status: 'pending'
+    }));
+
+    assert.equal(journal.applyTo(files), 1);
+    assert.deepEqual(files.map(record => record.status), ['done', 'pending', 'pending', 'pending']);
+    assert.equal(files[0].skipped, true);
+    assert.equal(files[2].uploadId, 'upload-7');
+    assert.equal(files[3].uploadId, undefined);
+  });
+});
+
+describe('resuming an upload', () => {
+  const standIn = new S3StandIn();
+  let sourceDir;
+
+  before(async () => {
+    await standIn.start();
+    sourceDir = path.join(tempDir, 'source');
+    await fs.promises.mkdir(path.join(sourceDir, 'docs'), { recursive: true });
+    for (const name of ['a.txt', 'b.txt', 'c.txt']) {
+      await fs.promises.writeFile(path.join(sourceDir, 'docs', name), `content of ${name}`);
+    }
+  });
+
+  after(() => standIn.close());
+
+  it('only uploads the files that did not make it the first time', async () => {
+    const grabber = new SpeedGrabber({ client: standIn.client(), workers: 1 });
+    const journalFile = path.join(tempDir, 'resume.jsonl');
+
+    standIn.fail = (request) => request.key.endsWith('b.txt') ? { statusCode: 403, code: 'AccessDenied' } : null;
+    const first = new StateJournal(journalFile);
+    await first.open();
+    const firstResult = await grabber.upload(await grabber.scan(sourceDir), { bucket: 'bucket', mode: 'files', journal: first });
+    first.close();
+    assert.equal(firstResult.uploaded, 2);
+    assert.deepEqual(firstResult.failed.map(failure => path.basename(failure.filepath)), ['b.txt']);
+
+    standIn.fail = null;
+    standIn.requests.length = 0;
+    const second = new StateJournal(journalFile);
+    await second.open({ resume: true });
+    const scanResult = await grabber.scan(sourceDir);
+    assert.equal(second.applyTo(scanResult.fileStructure.files), 2);
+    const secondResult = await grabber.upload(scanResult, { bucket: 'bucket', mode: 'files', journal: second });
+    second.close();
+
+    assert.equal(secondResult.uploaded, 1);
+    assert.equal(secondResult.skipped, 2);
+    assert.deepEqual(standIn.requests.filter(request => request.method === 'PUT').map(request => request.key), ['docs/b.txt']);
+    assert.equal([...(await readJournal(journalFile)).values()].filter(state => state.status === 'done').length, 3);
+  });
+});
@@ -0,0 +1,204 @@
+import assert from 'node:assert/strict';
+import { execFile } from 'child_process';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { promisify } from 'util';
+import { after, before, describe, it } from 'node:test';
+import { ManifestWriter, inferManifestFormat, readManifest, writeManifest } from '../manifest.js';
+import { CREDENTIALS, REGION, S3StandIn } from './helpers/s3StandIn.js';
+
+const INDEX = fileURLToPath(new URL('../index.js', import.meta.url));
+
+const BASE = '/data';
+const MTIME = Date.UTC(2024, 0, 15, 12, 30);
+
+const files = [
+  { filepath: '/data/docs/report.pdf', size: 1024, mtime: MTIME, status: 'done', hash: 'abc123' },
+  { filepath: '/data/docs/a, "quoted"\nname.txt', size: 5, mtime: MTIME, status: 'failed', error: 'AccessDenied' },
+  { filepath: '/data/top.txt', size: 0, status: 'ready' }
+];
+
+let tempDir;
+
+before(async () => {
+  tempDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'speedgrabber-manifest-'));
+});
+
+after(() => fs.promises.rm(tempDir, { recursive: true, force: true }));
+
+// Write the files in two batches and return the manifest content
+async function writeManifestFile(name, format) {
+  const file = path.join(tempDir, name);
+  const writer = new ManifestWriter(file, format, BASE);
+  await writer.write(files.slice(0, 1));
+  await writer.write(files.slice(1));
+  await writer.close();
+  assert.equal(writer.recordCount, files.length);
+  return fs.promises.readFile(file, 'utf8');
+}
+
+describe('inferManifestFormat', () => {
+  it('picks the format from the extension, defaulting to NDJSON', () => {
+    assert.equal(inferManifestFormat('scan.CSV'), 'csv');
+    assert.equal(inferManifestFormat('scan.json'), 'json');
+    assert.equal(inferManifestFormat('scan.jsonl'), 'ndjson');
+    assert.equal(inferManifestFormat('scan.txt'), 'ndjson');
+  });
+});
+
+describe('ManifestWriter', () => {
+  it('writes one JSON record per line as NDJSON', async () => {
+    const lines = (await writeManifestFile('scan.ndjson', 'ndjson')).trimEnd().split('\n');
+
+    assert.equal(lines.length, 3);
+    assert.deepEqual(JSON.parse(lines[0]), {
+      filepath: '/data/docs/report.pdf',
+      relativePath: 'docs/report.pdf',
+      size: 1024,
+      mtime: '2024-01-15T12:30:00.000Z',
+      status: 'done',
+      error: null,
+      hash: 'abc123'
+    });
+    assert.equal(JSON.parse(lines[2]).mtime, null);
+  });
+
+  it('writes a JSON array across batches', async () => {
+    const records = JSON.parse(await writeManifestFile('scan.json', 'json'));
+
+    assert.deepEqual(records.map(record => record.relativePath), ['docs/report.pdf', 'docs/a, "quoted"\nname.txt', 'top.txt']);
+    assert.equal(records[1].error, 'AccessDenied');
+  });
+
+  it('writes an empty JSON array without records', async () => {
+    const file = path.join(tempDir, 'empty.json');
+    const writer = new ManifestWriter(file, 'json', BASE);
+    await writer.close();
+
+    assert.deepEqual(JSON.parse(await fs.promises.readFile(file, 'utf8')), []);
+  });
+
+  it('writes CSV with a header and quotes fields with separators, quotes or line breaks', async () => {
+    const content = await writeManifestFile('scan.csv', 'csv');
+
+    assert.equal(content, [
+      'filepath,relativePath,size,mtime,status,error,hash',
+      '/data/docs/report.pdf,docs/report.pdf,1024,2024-01-15T12:30:00.000Z,done,,abc123',
+      '"/data/docs/a, ""quoted""\nname.txt","docs/a, ""quoted""\nname.txt",5,2024-01-15T12:30:00.000Z,failed,AccessDenied,',
+      '/data/top.txt,top.txt,0,,ready,,',
+      ''
+    ].join('\n'));
+  });
+
+  it('rejects on close when the file cannot be written', async () => {
+    const writer = new ManifestWriter(path.join(tempDir, 'missing', 'scan.ndjson'), 'ndjson', BASE);
+    await writer.write(files);
+
+    await assert.rejects(writer.close(), { code: 'ENOENT' });
+  });
+});
+
+describe('writeManifest', () => {
+  it('replaces the manifest without leaving the temporary file', async () => {
+    const file = path.join(tempDir, 'final.ndjson');
+    await fs.promises.writeFile(file, 'old content\n');
+
+    await writeManifest(file, 'ndjson', BASE, files);
+
+    const lines = (await fs.promises.readFile(file, 'utf8')).trimEnd().split('\n');
+    assert.deepEqual(lines.map(line => JSON.parse(line).status), ['done', 'failed', 'ready']);
+    await assert.rejects(fs.promises.access(`${file}.tmp`));
+  });
+});
+
+describe('readManifest', () => {
+  // Read all records of a manifest
+  async function readAll(file, format = inferManifestFormat(file)) {
+    const records = [];
+    for await (const record of readManifest(file, format)) {
+      records.push(record);
+    }
+    return records;
+  }
+
+  for (const format of ['ndjson', 'csv', 'json']) {
+    it(`reads back what was written as ${format}`, async () => {
+      await writeManifestFile(`round-trip.${format}`, format);
+
+      const records = await readAll(path.join(tempDir, `round-trip.${format}`));
+
+      assert.deepEqual(records, files.map(file => ({
+        filepath: file.filepath,
+        relativePath: path.relative(BASE, file.filepath),
+        size: file.size,
+        mtime: file.mtime ?? null,
+        status: file.status,
+        error: file.error || null,
+        hash: file.hash || null
+      })));
+    });
+  }
+
+  it('fills in the size and status of sparse records', async () => {
+    const file = path.join(tempDir, 'sparse.csv');
+    await fs.promises.writeFile(file, 'filepath\r\n/data/a.txt\r\n\r\n');
+
+    assert.deepEqual(await readAll(file), [{ filepath: '/data/a.txt', relativePath: null, size: 0, mtime: null, status: 'ready', error: null, hash: null }]);
+  });
+
+  it('names the line of an invalid NDJSON record', async () => {
+    const file = path.join(tempDir, 'broken.ndjson');
+    await fs.promises.writeFile(file, '{"filepath":"/data/a.txt"}\n\n{"size":3}\n');
+
+    await assert.rejects(readAll(file), /Invalid manifest record on line 3 of .*broken\.ndjson: record has no filepath/);
+  });
+
+  it('rejects CSV without a filepath column and JSON that is not an array', async () => {
+    const csv = path.join(tempDir, 'columns.csv');
+    await fs.promises.writeFile(csv, 'path,size\n/data/a.txt,1\n');
+    await assert.rejects(readAll(csv), /missing filepath column/);
+
+    const json = path.join(tempDir, 'object.json');
+    await fs.promises.writeFile(json, '{"filepath":"/data/a.txt"}');
+    await assert.rejects(readAll(json), /expected an array of records/);
+  });
+});
+
+describe('uploading from a manifest', () => {
+  const standIn = new S3StandIn();
+  let sourceDir;
+
+  before(async () => {
+    await standIn.start();
+    sourceDir = path.join(tempDir, 'source');
+    await fs.promises.mkdir(path.join(sourceDir, 'docs'), { recursive: true });
+    for (const name of ['docs/done.txt', 'docs/failed.txt', 'top.txt']) {
+      await fs.promises.writeFile(path.join(sourceDir, name), name);
+    }
+  });
+
+  after(() => standIn.close());
+
+  it('uploads the selected entries under keys relative to the derived base directory', async () => {
+    const manifest = path.join(tempDir, 'upload.csv');
+    await writeManifest(manifest, 'csv', sourceDir, [
+      { filepath: path.join(sourceDir, 'docs', 'done.txt'), size: 13, status: 'done' },
+      { filepath: path.join(sourceDir, 'docs', 'failed.txt'), size: 15, status: 'failed', error: 'timeout' },
+      { filepath: path.join(sourceDir, 'top.txt'), size: 7, status: 'failed' }
+    ]);
+
+    const { stdout } = await promisify(execFile)(process.execPath, [
+      INDEX, '--from-manifest', manifest, '--status', 'failed', '--bucket', 'bucket', '--endpoint-url', standIn.endpoint, '--report', 'json'
+    ], {
+      env: { ...process.env, HOME: tempDir, AWS_ACCESS_KEY_ID: CREDENTIALS.accessKeyId, AWS_SECRET_ACCESS_KEY: CREDENTIALS.secretAccessKey, AWS_REGION: REGION },
+      timeout: 30000
+    });
+
+    const report = JSON.parse(stdout);
+    assert.deepEqual(report.manifest, { file: manifest, entries: 2, totalSize: 22, skipped: 1 });
+    assert.equal(report.upload.files.uploaded, 2);
+    assert.deepEqual([...standIn.objects.keys()].sort(), ['bucket/docs/failed.txt', 'bucket/top.txt']);
+  });
+});
@@ -0,0 +1,146 @@
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { after, before, beforeEach, describe, it } from 'node:test';
+import { MAX_PARTS, choosePartSize, uploadMultipart } from '../multipart.js';
+import { SpeedGrabber } from '../speedgrabber.js';
+import { S3StandIn } from './helpers/s3StandIn.js';
+
+const PART_SIZE = 1024;
+
+describe('choosePartSize', () => {
+  it('keeps the requested size while the parts fit', () => {
+    assert.equal(choosePartSize(100 * 1024 * 1024, 8 * 1024 * 1024), 8 * 1024 * 1024);
+  });
+
+  it('grows the size to whole megabytes when the file would need too many parts', () => {
+    const fileSize = 200 * 1024 * 1024 * 1024;
+    const partSize = choosePartSize(fileSize, 5 * 1024 * 1024);
+    assert.equal(partSize % (1024 * 1024), 0);
+    assert.ok(Math.ceil(fileSize / partSize) <= MAX_PARTS);
+  });
+});
+
+describe('uploadMultipart', () => {
+  const standIn = new S3StandIn();
+  let client;
+  let tempDir;
+  let filepath;
+  let content;
+
+  before(async () => {
+    await standIn.start();
+    client = standIn.client();
+    tempDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'speedgrabber-multipart-'));
+    filepath = path.join(tempDir, 'large.bin');
+    content = crypto.randomBytes(PART_SIZE * 3 + 100);
+    await fs.promises.writeFile(filepath, content);
+  });
+
+  after(async () => {
+    await standIn.close();
+    await fs.promises.rm(tempDir, { recursive: true, force: true });
+  });
+
+  beforeEach(() => {
+    standIn.objects.clear();
+    standIn.uploads.clear();
+    standIn.requests.length = 0;
+    standIn.fail = null;
+  });
+
+  const partRequests = () => standIn.requests.filter(request => request.method === 'PUT' && request.query.partNumber);
+
+  it('uploads a file in parts and assembles them', async () => {
+    const file = { filepath, size: content.length };
+    let progress = 0;
+
+    const { etag } = await uploadMultipart(client, 'bucket', 'large.bin', file, {
+      partSize: PART_SIZE,
+      partConcurrency: 2,
+      onProgress: (size) => progress += size
+    });
+
+    const object = standIn.objects.get('bucket/large.bin');
+    assert.ok(object.body.equals(content));
+    assert.deepEqual(object.partSizes, [PART_SIZE, PART_SIZE, PART_SIZE, 100]);
+    assert.match(etag, /-4"$/);
+    assert.equal(progress, content.length);
+    assert.equal(file.uploadId, undefined);
+    assert.equal(standIn.uploads.size, 0);
+  });
+
+  it('continues an interrupted upload without sending its parts again', async () => {
+    const uploadId = await client.createMultipartUpload('bucket', 'large.bin');
+    await client.uploadPart('bucket', 'large.bin', uploadId, 1, filepath, 0, PART_SIZE);
+    await client.uploadPart('bucket', 'large.bin', uploadId, 3, filepath, PART_SIZE * 2, PART_SIZE);
+    // A part cut short by the interruption is uploaded again
+    await client.uploadPart('bucket', 'large.bin', uploadId, 2, filepath, PART_SIZE, 10);
+    standIn.requests.length = 0;
+
+    await uploadMultipart(client, 'bucket', 'large.bin', { filepath, size: content.length, uploadId }, { partSize: PART_SIZE });
+
+    assert.deepEqual(partRequests().map(request => request.query.partNumber).sort(), ['2', '4']);
+    assert.ok(standIn.objects.get('bucket/large.bin').body.equals(content));
+  });
+
+  it('starts over when the interrupted upload is gone', async () => {
+    const file = { filepath, size: content.length, uploadId: 'upload-expired' };
+
+    await uploadMultipart(client, 'bucket', 'large.bin', file, { partSize: PART_SIZE });
+
+    assert.equal(partRequests().length, 4);
+    assert.ok(standIn.objects.get('bucket/large.bin').body.equals(content));
+  });
+
+  it('retries a part that failed with a retryable error', async () => {
+    let failures = 0;
+    standIn.fail = (request) => request.query.partNumber === '3' && failures++ === 0
+      ? { statusCode: 500, code: 'InternalError' }
+      : null;
+
+    await uploadMultipart(client, 'bucket', 'large.bin', { filepath, size: content.length }, {
+      partSize: PART_SIZE,
+      retry: { retries: 2, backoff: 1 }
+    });
+
+    assert.equal(partRequests().filter(request => request.query.partNumber === '3').length, 2);
+    assert.ok(standIn.objects.get('bucket/large.bin').body.equals(content));
+  });
+
+  it('returns from a folder upload only once its multipart uploads are finished', async () => {
+    const sourceDir = path.join(tempDir, 'folders');
+    await fs.promises.mkdir(path.join(sourceDir, 'big'), { recursive: true });
+    await fs.promises.copyFile(filepath, path.join(sourceDir, 'big', 'large.bin'));
+    await fs.promises.writeFile(path.join(sourceDir, 'big', 'small.txt'), 'small');
+    const grabber = new SpeedGrabber({ client, workers: 1 });
+
+    const scanResult = await grabber.scan(sourceDir);
+    const result = await grabber.upload(scanResult, { bucket: 'bucket', mode: 'folders', multipart: { partSize: PART_SIZE, partConcurrency: 1 } });
+
+    assert.equal(result.uploaded, 2);
+    assert.deepEqual(scanResult.fileStructure.files.map(file => file.status), ['done', 'done']);
+    assert.equal(standIn.uploads.size, 0);
+    assert.ok(standIn.objects.get('bucket/big/large.bin').body.equals(content));
+  });
+
+  it('aborts the upload when a part fails for good', async () => {
+    standIn.fail = (request) => request.query.partNumber === '2' ? { statusCode: 403, code: 'AccessDenied' } : null;
+    const file = { filepath, size: content.length };
+    let journaledId = null;
+
+    await assert.rejects(uploadMultipart(client, 'bucket', 'large.bin', file, {
+      partSize: PART_SIZE,
+      retry: { retries: 2, backoff: 1 },
+      onUploadId: (uploadId) => journaledId = uploadId
+    }), { code: 'AccessDenied' });
+
+    assert.ok(journaledId);
+    assert.ok(standIn.requests.some(request => request.method === 'DELETE' && request.query.uploadId === journaledId));
+    assert.equal(standIn.uploads.size, 0);
+    assert.equal(standIn.objects.size, 0);
+    assert.equal(file.uploadId, undefined);
+  });
+});
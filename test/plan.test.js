@@ -0,0 +1,96 @@
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { after, before, describe, it } from 'node:test';
+import { buildUploadPlan, printUploadPlan, summarizeUploadPlan, writeUploadPlan } from '../plan.js';
+
+const BASE = '/data';
+
+// Plan entry of a file below the base directory
+const entry = (relativePath, size, action) => ({ filepath: path.join(BASE, relativePath), key: relativePath, size, action, error: null });
+
+describe('buildUploadPlan', () => {
+  it('plans files the dry run never got to as skipped', () => {
+    const plan = buildUploadPlan([
+      { filepath: '/data/docs/a.txt', size: 1, plannedAction: 'upload' },
+      { filepath: '/data/docs/b.txt', size: 2, plannedAction: 'unknown', error: 'AccessDenied' },
+      { filepath: '/data/c.txt', size: 3, status: 'done' }
+    ], BASE);
+
+    assert.deepEqual(plan, [
+      { filepath: '/data/docs/a.txt', key: 'docs/a.txt', size: 1, action: 'upload', error: null },
+      { filepath: '/data/docs/b.txt', key: 'docs/b.txt', size: 2, action: 'unknown', error: 'AccessDenied' },
+      { filepath: '/data/c.txt', key: 'c.txt', size: 3, action: 'skip', error: null }
+    ]);
+  });
+});
+
+describe('summarizeUploadPlan', () => {
+  const plan = [
+    entry('all/a.txt', 10, 'upload'),
+    entry('all/b.txt', 20, 'skip'),
+    entry('docs/c.txt', 30, 'upload'),
+    entry('d.txt', 40, 'overwrite')
+  ];
+
+  it('totals the plan per first-level folder and overall', () => {
+    const { total, folders } = summarizeUploadPlan(plan);
+
+    assert.deepEqual([...folders.keys()], ['all', 'docs', '.']);
+    assert.deepEqual(total.upload, { count: 2, size: 40 });
+    assert.deepEqual(total.skip, { count: 1, size: 20 });
+    assert.deepEqual(total.overwrite, { count: 1, size: 40 });
+    assert.deepEqual(total.unknown, { count: 0, size: 0 });
+  });
+
+  it('keeps a folder named all apart from the overall totals', () => {
+    const { folders } = summarizeUploadPlan(plan);
+
+    assert.deepEqual(folders.get('all').upload, { count: 1, size: 10 });
+    assert.deepEqual(folders.get('all').skip, { count: 1, size: 20 });
+  });
+
+  it('prints the folder named all with the other folders', (t) => {
+    const lines = [];
+    t.mock.method(console, 'log', (line) => lines.push(line));
+
+    printUploadPlan(plan, 'bucket');
+
+    const output = lines.join('\n').replace(/\x1b\[[0-9;]*m/g, '');
+    assert.match(output, /^all - upload 1 \(.*\), skip 1 \(.*\)$/m);
+    assert.match(output, /Plan totals:\nupload 2 \(.*\), overwrite 1 \(.*\), skip 1 \(.*\)$/);
+  });
+});
+
+describe('writeUploadPlan', () => {
+  let tempDir;
+
+  before(async () => {
+    tempDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'speedgrabber-plan-'));
+  });
+
+  after(() => fs.promises.rm(tempDir, { recursive: true, force: true }));
+
+  const plan = [entry('docs/a, b.txt', 1, 'upload'), { ...entry('c.txt', 2, 'unknown'), error: 'Access "denied"' }];
+
+  it('writes CSV with a header and quoted fields', async () => {
+    const file = path.join(tempDir, 'plan.csv');
+    await writeUploadPlan(file, 'csv', plan);
+
+    assert.equal(await fs.promises.readFile(file, 'utf8'), [
+      'filepath,key,size,action,error',
+      '"/data/docs/a, b.txt","docs/a, b.txt",1,upload,',
+      '/data/c.txt,c.txt,2,unknown,"Access ""denied"""',
+      ''
+    ].join('\n'));
+  });
+
+  it('writes one JSON entry per line as NDJSON', async () => {
+    const file = path.join(tempDir, 'plan.ndjson');
+    await writeUploadPlan(file, 'ndjson', plan);
+
+    const lines = (await fs.promises.readFile(file, 'utf8')).trim().split('\n');
+    assert.deepEqual(lines.map(line => JSON.parse(line)), plan);
+  });
+});
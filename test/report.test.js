@@ -0,0 +1,135 @@
+import assert from 'node:assert/strict';
+import { execFile } from 'child_process';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { promisify } from 'util';
+import { after, before, beforeEach, describe, it } from 'node:test';
+import { EXIT_CODES, RunReport } from '../report.js';
+import { CREDENTIALS, REGION, S3StandIn } from './helpers/s3StandIn.js';
+
+const INDEX = fileURLToPath(new URL('../index.js', import.meta.url));
+
+describe('RunReport', () => {
+  it('names the outcome of the exit code and includes the sections', () => {
+    const report = new RunReport('scan');
+    report.set('scan', { totalFiles: 3 });
+
+    const document = report.toJSON(EXIT_CODES.interrupted);
+    assert.equal(document.command, 'scan');
+    assert.equal(document.outcome, 'interrupted');
+    assert.equal(document.exitCode, 130);
+    assert.equal(document.error, null);
+    assert.deepEqual(document.scan, { totalFiles: 3 });
+  });
+
+  it('lists only the files that failed or did not match', () => {
+    const report = new RunReport('upload');
+    report.addFailures([
+      { filepath: '/data/a.txt', status: 'done' },
+      { filepath: '/data/b.txt', status: 'failed', error: 'AccessDenied' },
+      { filepath: '/data/c.txt', status: 'mismatch' }
+    ]);
+
+    assert.deepEqual(report.toJSON(EXIT_CODES.partial).failures, [
+      { filepath: '/data/b.txt', status: 'failed', error: 'AccessDenied' },
+      { filepath: '/data/c.txt', status: 'mismatch', error: null }
+    ]);
+  });
+});
+
+describe('report of the command line', () => {
+  const execFileAsync = promisify(execFile);
+  const standIn = new S3StandIn();
+  let tempDir;
+  let scanDir;
+
+  before(async () => {
+    await standIn.start();
+    tempDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'speedgrabber-report-'));
+    scanDir = path.join(tempDir, 'scan');
+    await fs.promises.mkdir(path.join(tempDir, 'home'));
+    await fs.promises.mkdir(path.join(scanDir, 'docs'), { recursive: true });
+    await fs.promises.writeFile(path.join(scanDir, 'docs', 'ok.txt'), 'ok');
+    await fs.promises.writeFile(path.join(scanDir, 'docs', 'denied.txt'), 'denied');
+  });
+
+  after(async () => {
+    await standIn.close();
+    await fs.promises.rm(tempDir, { recursive: true, force: true });
+  });
+
+  beforeEach(() => {
+    standIn.objects.clear();
+    standIn.fail = null;
+  });
+
+  const env = () => ({
+    ...process.env,
+    HOME: path.join(tempDir, 'home'),
+    AWS_ACCESS_KEY_ID: CREDENTIALS.accessKeyId,
+    AWS_SECRET_ACCESS_KEY: CREDENTIALS.secretAccessKey,
+    AWS_REGION: REGION
+  });
+
+  // Run the tool and return its exit code and the JSON report it wrote to stdout
+  async function run(args) {
+    try {
+      const { stdout } = await execFileAsync(process.execPath, [INDEX, ...args, '--report', 'json'], { env: env(), timeout: 30000 });
+      return { exitCode: 0, report: JSON.parse(stdout) };
+    } catch (error) {
+      return { exitCode: error.code, report: error.stdout ? JSON.parse(error.stdout) : null, stderr: error.stderr };
+    }
+  }
+
+  const upload = (...args) => run([scanDir, '--upload', '--bucket', 'bucket', '--endpoint-url', standIn.endpoint, '--retries', '0', ...args]);
+
+  it('reports a complete upload with exit code 0', async () => {
+    const { exitCode, report } = await upload();
+
+    assert.equal(exitCode, 0);
+    assert.equal(report.command, 'upload');
+    assert.equal(report.outcome, 'success');
+    assert.equal(report.scan.totalFiles, 2);
+    assert.deepEqual(report.scan.folders.map(folder => [folder.name, folder.fileCount]), [['docs', 2]]);
+    assert.equal(report.upload.files.uploaded, 2);
+    assert.equal(report.upload.files.failed, 0);
+    assert.deepEqual(report.failures, []);
+  });
+
+  it('reports the failed files with exit code 1', async () => {
+    standIn.fail = (request) => request.method === 'PUT' && request.key === 'docs/denied.txt'
+      ? { statusCode: 403, code: 'AccessDenied', message: 'Access Denied' }
+      : null;
+
+    const { exitCode, report } = await upload();
+
+    assert.equal(exitCode, 1);
+    assert.equal(report.outcome, 'partial');
+    assert.equal(report.upload.files.uploaded, 1);
+    assert.equal(report.upload.files.failed, 1);
+    assert.deepEqual(report.failures.map(failure => [path.basename(failure.filepath), failure.status]), [['denied.txt', 'failed']]);
+  });
+
+  it('writes the report with the error when the run cannot be completed', async () => {
+    standIn.fail = () => ({ statusCode: 404, code: 'NoSuchBucket', message: 'The specified bucket does not exist' });
+
+    const { exitCode, report } = await upload();
+
+    assert.equal(exitCode, 2);
+    assert.equal(report.outcome, 'fatal');
+    assert.match(report.error, /Cannot access bucket bucket/);
+  });
+
+  it('writes the report to a file with --report-file', async () => {
+    const reportFile = path.join(tempDir, 'report.json');
+
+    const { stdout } = await execFileAsync(process.execPath, [INDEX, scanDir, '--report-file', reportFile], { env: env(), timeout: 30000 });
+
+    assert.match(stdout, /Total files/);
+    const report = JSON.parse(await fs.promises.readFile(reportFile, 'utf8'));
+    assert.equal(report.command, 'scan');
+    assert.equal(report.scan.totalFiles, 2);
+  });
+});
@@ -0,0 +1,160 @@
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { after, before, beforeEach, describe, it } from 'node:test';
+import { S3Error } from '../s3Client.js';
+import { backoffDelay, isRetryableError, withRetry } from '../retry.js';
+import { SpeedGrabber } from '../speedgrabber.js';
+import { S3StandIn } from './helpers/s3StandIn.js';
+
+describe('isRetryableError', () => {
+  it('retries throttling and transient server errors', () => {
+    for (const code of ['SlowDown', 'Throttling', 'RequestTimeout', 'InternalError', 'ServiceUnavailable']) {
+      assert.equal(isRetryableError(new S3Error(code, { code, statusCode: 503 })), true, code);
+    }
+  });
+
+  it('retries dropped and timed out connections', () => {
+    for (const code of ['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EPIPE', 'EAI_AGAIN']) {
+      assert.equal(isRetryableError(new S3Error(code, { code })), true, code);
+    }
+  });
+
+  it('retries 429 and 5xx responses with unknown codes', () => {
+    assert.equal(isRetryableError(new S3Error('x', { code: 'Http429', statusCode: 429 })), true);
+    assert.equal(isRetryableError(new S3Error('x', { code: 'Http502', statusCode: 502 })), true);
+  });
+
+  it('does not retry client errors', () => {
+    for (const code of ['AccessDenied', 'InvalidAccessKeyId', 'SignatureDoesNotMatch', 'NoSuchBucket']) {
+      assert.equal(isRetryableError(new S3Error(code, { code, statusCode: 403 })), false, code);
+    }
+  });
+
+  it('does not retry a skewed clock, which fails again when signed with the same time', () => {
+    assert.equal(isRetryableError(new S3Error('skewed', { code: 'RequestTimeTooSkewed', statusCode: 403 })), false);
+  });
+
+  it('does not retry local file errors', () => {
+    assert.equal(isRetryableError(Object.assign(new Error('gone'), { code: 'ENOENT' })), false);
+  });
+});
+
+describe('backoffDelay', () => {
+  it('stays between 0 and the doubled base delay', () => {
+    for (let i = 0; i < 100; i++) {
+      const delay = backoffDelay(3, 100);
+      assert.ok(delay >= 0 && delay <= 400, String(delay));
+    }
+  });
+
+  it('is capped at 30 seconds', () => {
+    for (let i = 0; i < 100; i++) {
+      assert.ok(backoffDelay(20, 1000) <= 30000);
+    }
+  });
+});
+
+describe('withRetry', () => {
+  it('retries retryable errors until the function succeeds', async () => {
+    const retries = [];
+    const result = await withRetry(async (attempt) => {
+      if (attempt < 2) {
+        throw new S3Error('busy', { code: 'SlowDown', statusCode: 503 });
+      }
+      return 'done';
+    }, { retries: 3, backoff: 1, onRetry: (error, attempt) => retries.push(attempt) });
+
+    assert.equal(result, 'done');
+    assert.deepEqual(retries, [1, 2]);
+  });
+
+  it('gives up after the configured number of retries', async () => {
+    let attempts = 0;
+    await assert.rejects(withRetry(async () => {
+      attempts++;
+      throw new S3Error('busy', { code: 'SlowDown', statusCode: 503 });
+    }, { retries: 2, backoff: 1 }), { code: 'SlowDown' });
+    assert.equal(attempts, 3);
+  });
+
+  it('fails right away on errors that are not retryable', async () => {
+    let attempts = 0;
+    await assert.rejects(withRetry(async () => {
+      attempts++;
+      throw new S3Error('denied', { code: 'AccessDenied', statusCode: 403 });
+    }, { retries: 3, backoff: 1 }), { code: 'AccessDenied' });
+    assert.equal(attempts, 1);
+  });
+});
+
+describe('retry pass of an upload', () => {
+  const standIn = new S3StandIn();
+  let tempDir;
+  let grabber;
+
+  before(async () => {
+    await standIn.start();
+    tempDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'speedgrabber-retry-'));
+    await fs.promises.mkdir(path.join(tempDir, 'docs'));
+    for (const name of ['a.txt', 'b.txt', 'c.txt']) {
+      await fs.promises.writeFile(path.join(tempDir, 'docs', name), name);
+    }
+    grabber = new SpeedGrabber({ client: standIn.client(), workers: 1 });
+  });
+
+  after(async () => {
+    await standIn.close();
+    await fs.promises.rm(tempDir, { recursive: true, force: true });
+  });
+
+  beforeEach(() => {
+    standIn.objects.clear();
+    standIn.requests.length = 0;
+    standIn.fail = null;
+  });
+
+  const putRequests = (key) => standIn.requests.filter(request => request.method === 'PUT' && request.key === key);
+
+  for (const mode of ['folders', 'files']) {
+    it(`uploads the files that failed with a retryable error once more in ${mode} mode`, async () => {
+      let failures = 0;
+      standIn.fail = (request) => request.method === 'PUT' && request.key === 'docs/b.txt' && failures++ === 0
+        ? { statusCode: 503, code: 'SlowDown' }
+        : null;
+
+      const result = await grabber.upload(await grabber.scan(tempDir), { bucket: 'bucket', mode, retry: { retries: 0 } });
+
+      assert.equal(result.uploaded, 3);
+      assert.deepEqual(result.failed, []);
+      assert.equal(putRequests('docs/b.txt').length, 2);
+      assert.equal(standIn.objects.get('bucket/docs/b.txt').body.toString(), 'b.txt');
+    });
+  }
+
+  it('leaves the files that failed with an error not worth retrying', async () => {
+    standIn.fail = (request) => request.method === 'PUT' && request.key === 'docs/b.txt'
+      ? { statusCode: 403, code: 'AccessDenied' }
+      : null;
+
+    const result = await grabber.upload(await grabber.scan(tempDir), { bucket: 'bucket', retry: { retries: 0 } });
+
+    assert.equal(result.uploaded, 2);
+    assert.deepEqual(result.failed.map(file => path.basename(file.filepath)), ['b.txt']);
+    assert.equal(putRequests('docs/b.txt').length, 1);
+  });
+
+  it('gives up on a file that fails again in the retry pass', async () => {
+    standIn.fail = (request) => request.method === 'PUT' && request.key === 'docs/b.txt'
+      ? { statusCode: 500, code: 'InternalError' }
+      : null;
+
+    const result = await grabber.upload(await grabber.scan(tempDir), { bucket: 'bucket', retry: { retries: 1, backoff: 1 } });
+
+    assert.equal(result.uploaded, 2);
+    assert.equal(result.failed.length, 1);
+    // Two attempts in the upload and two in the retry pass
+    assert.equal(putRequests('docs/b.txt').length, 4);
+  });
+});
@@ -0,0 +1,112 @@
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { Worker } from 'worker_threads';
+import { after, before, describe, it } from 'node:test';
+import { FileStructure } from '../fileStructure.js';
+import { ScanFilter } from '../filters.js';
+import { scanDirectoryParallel } from '../scanner.js';
+
+const WORKER_URL = new URL('../scanWorker.js', import.meta.url);
+
+// Number of file records in a full chunk of the scan workers
+const CHUNK_SIZE = 1000;
+
+// Create files named 0.txt, 1.txt... in a directory
+async function createFiles(dirPath, count) {
+  await fs.promises.mkdir(dirPath, { recursive: true });
+  for (let index = 0; index < count; index++) {
+    await fs.promises.writeFile(path.join(dirPath, `${index}.txt`), 'x');
+  }
+}
+
+let tempDir;
+
+before(async () => {
+  tempDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'speedgrabber-scanner-'));
+});
+
+after(() => fs.promises.rm(tempDir, { recursive: true, force: true }));
+
+describe('scanDirectoryParallel', () => {
+  it('settles the onBatch call of every chunk before it resolves', async () => {
+    // One full chunk, followed by a final message without files
+    const dirPath = path.join(tempDir, 'full-chunk');
+    await createFiles(dirPath, CHUNK_SIZE);
+    let received = 0;
+    let pending = 0;
+
+    await scanDirectoryParallel(dirPath, new FileStructure({ storeFiles: false }), {
+      workers: 1,
+      quiet: true,
+      onBatch: async (files) => {
+        pending++;
+        await new Promise(resolve => setTimeout(resolve, 100));
+        received += files.length;
+        pending--;
+      }
+    });
+
+    assert.equal(pending, 0);
+    assert.equal(received, CHUNK_SIZE);
+  });
+});
+
+describe('scan worker', () => {
+  // Scan directories in one task of a worker and return the messages it posts
+  async function scanTask(rootDir, dirPaths) {
+    const filter = new ScanFilter({ rootDir });
+    const worker = new Worker(WORKER_URL, {
+      workerData: {
+        scanRoot: rootDir,
+        filterConfig: filter.toJSON(),
+        symlinkMode: 'skip',
+        hashAlgorithm: null,
+        topCount: 10,
+        scanStart: Date.now(),
+        aggregationDepth: 1
+      }
+    });
+    try {
+      return await new Promise((resolve, reject) => {
+        const messages = [];
+        worker.on('error', reject);
+        worker.on('message', (message) => {
+          messages.push(message);
+          if (message.type === 'done') {
+            resolve(messages);
+          } else {
+            worker.postMessage({ type: 'ack' });
+          }
+        });
+        worker.postMessage({ type: 'scan', dirs: dirPaths.map(dirPath => ({ dirPath, ignoreRules: filter.config.ignoreRules })) });
+      });
+    } finally {
+      await worker.terminate();
+    }
+  }
+
+  it('posts the statistics of the files in the chunk holding them', async () => {
+    const rootDir = path.join(tempDir, 'concurrent');
+    await createFiles(path.join(rootDir, 'large'), CHUNK_SIZE + 500);
+    for (const name of ['one', 'two', 'three']) {
+      await createFiles(path.join(rootDir, name), 3);
+      await fs.promises.mkdir(path.join(rootDir, name, 'sub'));
+    }
+
+    const messages = await scanTask(rootDir, ['large', 'one', 'two', 'three'].map(name => path.join(rootDir, name)));
+
+    for (const message of messages) {
+      const folderFiles = Object.values(message.folderStats).reduce((sum, stats) => sum + stats.fileCount, 0);
+      const breakdownFiles = message.breakdown.extensions.reduce((sum, extension) => sum + extension.files, 0);
+      assert.equal(folderFiles, message.filesBatch.length);
+      assert.equal(breakdownFiles, message.filesBatch.length);
+    }
+    const files = messages.flatMap(message => message.filesBatch);
+    assert.equal(files.length, CHUNK_SIZE + 509);
+    assert.equal(messages.reduce((sum, message) => sum + message.processedDirs, 0), 4);
+    assert.deepEqual(messages.flatMap(message => message.subdirs).map(subdir => path.relative(rootDir, subdir.dirPath)).sort(),
+      ['one/sub', 'three/sub', 'two/sub']);
+  });
+});
@@ -0,0 +1,170 @@
+import assert from 'node:assert/strict';
+import { execFile } from 'child_process';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { promisify } from 'util';
+import zlib from 'zlib';
+import { after, before, describe, it } from 'node:test';
+import { SnapshotDiff, SnapshotWriter, loadSnapshot, readSnapshot, toSnapshotPath } from '../snapshot.js';
+
+const INDEX = fileURLToPath(new URL('../index.js', import.meta.url));
+
+const BASE = '/data';
+const MTIME = Date.UTC(2024, 0, 15);
+
+const files = [
+  { filepath: '/data/docs/a.txt', size: 10, mtime: MTIME },
+  { filepath: '/data/top.txt', size: 5 }
+];
+
+let tempDir;
+
+before(async () => {
+  tempDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'speedgrabber-snapshot-'));
+});
+
+after(() => fs.promises.rm(tempDir, { recursive: true, force: true }));
+
+// Write a snapshot of the files and return its path
+async function writeSnapshot(name) {
+  const file = path.join(tempDir, name);
+  const writer = new SnapshotWriter(file, BASE);
+  await writer.write(files);
+  await writer.close();
+  assert.equal(writer.fileCount, files.length);
+  return file;
+}
+
+describe('toSnapshotPath', () => {
+  it('uses forward slashes relative to the scanned directory', () => {
+    assert.equal(toSnapshotPath(BASE, path.join(BASE, 'docs', 'a.txt')), 'docs/a.txt');
+  });
+});
+
+describe('SnapshotWriter', () => {
+  for (const name of ['scan.snapshot', 'scan.snapshot.gz']) {
+    it(`writes a header and one compact entry per file to ${name}`, async () => {
+      const file = await writeSnapshot(name);
+
+      let content = await fs.promises.readFile(file);
+      if (name.endsWith('.gz')) {
+        content = zlib.gunzipSync(content);
+      }
+      const lines = content.toString().trimEnd().split('\n').map(line => JSON.parse(line));
+      assert.equal(lines[0].snapshot, 1);
+      assert.equal(lines[0].root, BASE);
+      assert.ok(!Number.isNaN(Date.parse(lines[0].createdAt)));
+      assert.deepEqual(lines.slice(1), [['docs/a.txt', 10, MTIME], ['top.txt', 5, null]]);
+      await assert.rejects(fs.promises.access(`${file}.tmp`));
+    });
+  }
+
+  it('rejects on close and leaves no snapshot when the file cannot be written', async () => {
+    const file = path.join(tempDir, 'missing', 'scan.snapshot');
+    const writer = new SnapshotWriter(file, BASE);
+    await writer.write(files);
+
+    await assert.rejects(writer.close(), { code: 'ENOENT' });
+    await assert.rejects(fs.promises.access(file));
+  });
+});
+
+describe('readSnapshot', () => {
+  it('reads back the header and the files', async () => {
+    const { header, files: snapshotFiles } = await loadSnapshot(await writeSnapshot('read.snapshot.gz'));
+
+    assert.equal(header.root, BASE);
+    assert.deepEqual([...snapshotFiles], [['docs/a.txt', { size: 10, mtime: MTIME }], ['top.txt', { size: 5, mtime: null }]]);
+  });
+
+  it('rejects files that are not snapshots', async () => {
+    const readAll = async (file) => {
+      const entries = [];
+      for await (const entry of readSnapshot(file)) {
+        entries.push(entry);
+      }
+      return entries;
+    };
+    const empty = path.join(tempDir, 'empty.snapshot');
+    await fs.promises.writeFile(empty, '');
+    const manifest = path.join(tempDir, 'manifest.ndjson');
+    await fs.promises.writeFile(manifest, '{"filepath":"/data/a.txt"}\n');
+    const broken = path.join(tempDir, 'broken.snapshot');
+    await fs.promises.writeFile(broken, '{"snapshot":1}\n["a.txt",1\n');
+
+    await assert.rejects(readAll(empty), /empty\.snapshot is not a snapshot/);
+    await assert.rejects(readAll(manifest), /manifest\.ndjson is not a snapshot/);
+    await assert.rejects(readAll(broken), /Invalid snapshot entry on line 2 of .*broken\.snapshot/);
+  });
+});
+
+describe('SnapshotDiff', () => {
+  it('finds the files added, removed and modified and the growth per folder', () => {
+    const diff = new SnapshotDiff(new Map([
+      ['docs/same.txt', { size: 10, mtime: MTIME }],
+      ['docs/grown.txt', { size: 10, mtime: MTIME }],
+      ['docs/touched.txt', { size: 10, mtime: MTIME }],
+      ['old/gone.txt', { size: 50, mtime: MTIME }],
+      ['top.txt', { size: 1, mtime: null }]
+    ]));
+
+    diff.compare('docs/same.txt', 10, MTIME);
+    diff.compare('docs/grown.txt', 30, MTIME + 1000);
+    diff.compare('docs/touched.txt', 10, MTIME + 1000);
+    diff.compare('new/b.txt', 7, MTIME);
+    diff.compare('new/a.txt', 3, MTIME);
+    diff.compare('top.txt', 1, null);
+    const result = diff.finish();
+
+    assert.deepEqual(result.added, [{ path: 'new/a.txt', size: 3 }, { path: 'new/b.txt', size: 7 }]);
+    assert.deepEqual(result.removed, [{ path: 'old/gone.txt', size: 50 }]);
+    assert.deepEqual(result.modified.map(file => [file.path, file.oldSize, file.size]), [['docs/grown.txt', 10, 30], ['docs/touched.txt', 10, 10]]);
+    assert.deepEqual(result.folders.map(folder => [folder.name, folder.growth, folder.oldFiles, folder.newFiles]), [
+      ['old', -50, 1, 0],
+      ['docs', 20, 3, 3],
+      ['new', 10, 0, 2],
+      ['.', 0, 1, 1]
+    ]);
+    assert.deepEqual(result.totals, { oldFiles: 5, newFiles: 6, oldSize: 81, newSize: 61 });
+  });
+});
+
+describe('diff command', () => {
+  const execFileAsync = promisify(execFile);
+  let scanDir;
+
+  const run = async (args) => JSON.parse((await execFileAsync(process.execPath, [INDEX, ...args, '--report', 'json'], {
+    env: { ...process.env, HOME: tempDir },
+    timeout: 30000
+  })).stdout);
+
+  before(async () => {
+    scanDir = path.join(tempDir, 'tree');
+    await fs.promises.mkdir(path.join(scanDir, 'docs'), { recursive: true });
+    await fs.promises.writeFile(path.join(scanDir, 'docs', 'keep.txt'), 'keep');
+    await fs.promises.writeFile(path.join(scanDir, 'docs', 'change.txt'), 'change');
+    await fs.promises.writeFile(path.join(scanDir, 'gone.txt'), 'gone');
+  });
+
+  it('compares a snapshot with a scan of the directory and with a newer snapshot', async () => {
+    const older = path.join(tempDir, 'older.snapshot.gz');
+    const newer = path.join(tempDir, 'newer.snapshot');
+    await run([scanDir, '--snapshot', older]);
+    await fs.promises.writeFile(path.join(scanDir, 'docs', 'change.txt'), 'changed content');
+    await fs.promises.writeFile(path.join(scanDir, 'docs', 'new.txt'), 'new');
+    await fs.promises.rm(path.join(scanDir, 'gone.txt'));
+
+    const live = (await run(['diff', older, scanDir])).diff;
+    await run([scanDir, '--snapshot', newer]);
+    const stored = (await run(['diff', older, newer])).diff;
+
+    for (const diff of [live, stored]) {
+      assert.deepEqual(diff.added, [{ path: 'docs/new.txt', size: 3 }]);
+      assert.deepEqual(diff.removed, [{ path: 'gone.txt', size: 4 }]);
+      assert.deepEqual(diff.modified.map(file => [file.path, file.oldSize, file.size]), [['docs/change.txt', 6, 15]]);
+      assert.deepEqual(diff.folders.map(folder => [folder.name, folder.growth]), [['docs', 12], ['.', -4]]);
+    }
+  });
+});
@@ -0,0 +1,146 @@
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { after, before, beforeEach, describe, it } from 'node:test';
+import { FileStructure, SpeedGrabber, scan, upload } from '../speedgrabber.js';
+import { S3StandIn } from './helpers/s3StandIn.js';
+
+describe('SpeedGrabber', () => {
+  const standIn = new S3StandIn();
+  let tempDir;
+  let grabber;
+
+  before(async () => {
+    await standIn.start();
+    tempDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'speedgrabber-api-'));
+    await fs.promises.mkdir(path.join(tempDir, 'docs', 'old'), { recursive: true });
+    await fs.promises.writeFile(path.join(tempDir, 'docs', 'a.txt'), 'aaa');
+    await fs.promises.writeFile(path.join(tempDir, 'docs', 'old', 'b.txt'), 'bb');
+    await fs.promises.writeFile(path.join(tempDir, 'top.log'), 'log');
+  });
+
+  after(async () => {
+    await standIn.close();
+    await fs.promises.rm(tempDir, { recursive: true, force: true });
+  });
+
+  beforeEach(() => {
+    standIn.objects.clear();
+    standIn.fail = null;
+    grabber = new SpeedGrabber({ client: standIn.client(), workers: 1 });
+  });
+
+  // Record the events of the grabber by name
+  function recordEvents(names) {
+    const events = Object.fromEntries(names.map(name => [name, []]));
+    for (const name of names) {
+      grabber.on(name, (value) => events[name].push(value));
+    }
+    return events;
+  }
+
+  describe('scan', () => {
+    it('returns the statistics and emits the directories, files and progress', async () => {
+      const events = recordEvents(['directory', 'file', 'progress']);
+
+      const result = await grabber.scan(tempDir);
+
+      assert.equal(result.directory, tempDir);
+      assert.equal(result.totalFiles, 3);
+      assert.equal(result.totalSize, 8);
+      assert.deepEqual(result.errors, []);
+      assert.ok(result.fileStructure instanceof FileStructure);
+      assert.ok(result.tree);
+      assert.ok(result.breakdown.extensions.length > 0);
+      assert.deepEqual(events.directory.map(dirPath => path.relative(tempDir, dirPath)).sort(), ['', 'docs', path.join('docs', 'old')]);
+      assert.deepEqual(events.file.map(file => path.relative(tempDir, file.filepath)).sort(),
+        [path.join('docs', 'a.txt'), path.join('docs', 'old', 'b.txt'), 'top.log']);
+      assert.deepEqual(events.progress.at(-1), { phase: 'scan', files: 3, bytes: 8, directories: 3 });
+    });
+
+    it('applies the scan options', async () => {
+      const result = await grabber.scan(tempDir, { exclude: ['*.log'], minSize: '3B', storeFiles: false });
+
+      assert.equal(result.totalFiles, 1);
+      assert.equal(result.fileStructure.files.length, 0);
+    });
+
+    it('rejects a path that is not a directory', async () => {
+      await assert.rejects(grabber.scan(path.join(tempDir, 'top.log')), /is not a directory/);
+      await assert.rejects(grabber.scan(path.join(tempDir, 'missing')), { code: 'ENOENT' });
+    });
+
+    it('rejects with the error of a listener that throws', async () => {
+      grabber.on('file', () => {
+        throw new Error('listener failed');
+      });
+
+      await assert.rejects(grabber.scan(tempDir), /listener failed/);
+    });
+  });
+
+  describe('upload', () => {
+    it('uploads the scanned files and emits their uploads', async () => {
+      const events = recordEvents(['uploadStart', 'uploadDone']);
+
+      const result = await grabber.upload(await grabber.scan(tempDir), { bucket: 'bucket', mode: 'files' });
+
+      assert.equal(result.bucket, 'bucket');
+      assert.equal(result.uploaded, 3);
+      assert.equal(result.skipped, 0);
+      assert.equal(result.bytesUploaded, 8);
+      assert.deepEqual(result.failed, []);
+      assert.deepEqual([...standIn.objects.keys()].sort(), ['bucket/docs/a.txt', 'bucket/docs/old/b.txt', 'bucket/top.log']);
+      assert.equal(events.uploadStart.length, 3);
+      assert.deepEqual(events.uploadDone.map(file => file.status), ['done', 'done', 'done']);
+    });
+
+    it('returns the failed files and emits an error for each', async () => {
+      standIn.fail = (request) => request.method === 'PUT' && request.key === 'top.log' ? { statusCode: 403, code: 'AccessDenied' } : null;
+      const events = recordEvents(['error']);
+
+      const result = await grabber.upload(await grabber.scan(tempDir), { bucket: 'bucket', retry: { retries: 0 } });
+
+      assert.equal(result.uploaded, 2);
+      assert.deepEqual(result.failed.map(file => path.basename(file.filepath)), ['top.log']);
+      assert.match(result.failed[0].error, /AccessDenied/);
+      assert.equal(events.error.length, 1);
+      assert.equal(events.error[0].file.filepath, path.join(tempDir, 'top.log'));
+    });
+
+    it('resolves with the plan of a dry run without uploading', async () => {
+      const result = await grabber.upload(await grabber.scan(tempDir), { bucket: 'bucket', dryRun: true });
+
+      assert.deepEqual(result.plan.map(entry => [entry.key, entry.action]).sort(), [['docs/a.txt', 'upload'], ['docs/old/b.txt', 'upload'], ['top.log', 'upload']]);
+      assert.equal(standIn.objects.size, 0);
+    });
+
+    it('rejects with the error of a listener that throws once the upload is done', async () => {
+      grabber.on('uploadDone', () => {
+        throw new Error('listener failed');
+      });
+
+      await assert.rejects(grabber.upload(await grabber.scan(tempDir), { bucket: 'bucket' }), /listener failed/);
+      assert.equal(standIn.objects.size, 3);
+    });
+
+    it('requires a bucket, and a base path for a FileStructure', async () => {
+      const scanResult = await grabber.scan(tempDir);
+
+      await assert.rejects(grabber.upload(scanResult, {}), /A bucket is required/);
+      await assert.rejects(grabber.upload(scanResult.fileStructure, { bucket: 'bucket' }), /A basePath is required/);
+    });
+  });
+
+  it('offers scan and upload as functions that neither print nor exit', async (t) => {
+    const calls = ['log', 'error', 'warn'].map(name => t.mock.method(console, name));
+    calls.push(t.mock.method(process, 'exit', () => {}));
+    standIn.fail = (request) => request.method === 'PUT' && request.key === 'top.log' ? { statusCode: 403, code: 'AccessDenied' } : null;
+
+    const result = await upload(await scan(tempDir, { workers: 1 }), { client: standIn.client(), bucket: 'bucket', retry: { retries: 0 } });
+
+    assert.equal(result.uploaded, 2);
+    assert.deepEqual(calls.map(call => call.mock.callCount()), [0, 0, 0, 0]);
+  });
+});
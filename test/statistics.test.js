@@ -0,0 +1,123 @@
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { after, before, describe, it } from 'node:test';
+import { FileStructure } from '../fileStructure.js';
+import { scanDirectoryParallel } from '../scanner.js';
+import { ScanStatistics } from '../statistics.js';
+
+const NOW = Date.UTC(2024, 5, 1);
+const DAY = 24 * 60 * 60 * 1000;
+
+// Files of the tests: [filepath, size, age in days]
+const FILES = [
+  ['/data/a.JPG', 2048, 0.5],
+  ['/data/photos/b.jpg', 5 * 1024 * 1024, 10],
+  ['/data/photos/c.png', 0, 400],
+  ['/data/README', 1023, 2000],
+  ['/data/docs/d.txt', 1024, -1]
+];
+
+// Statistics of a list of files
+function statisticsOf(files, topCount) {
+  const statistics = new ScanStatistics({ topCount, now: NOW });
+  for (const [filepath, size, days] of files) {
+    statistics.addFile(filepath, size, NOW - days * DAY);
+  }
+  return statistics;
+}
+
+// The non-empty buckets of a histogram by label
+const filled = (buckets) => Object.fromEntries(buckets.filter(bucket => bucket.files > 0).map(bucket => [bucket.label, [bucket.files, bucket.bytes]]));
+
+describe('ScanStatistics', () => {
+  it('counts files and bytes by lowercase extension, most bytes first', () => {
+    const { extensions } = statisticsOf(FILES).summarize();
+
+    assert.deepEqual(extensions, [
+      { extension: '.jpg', files: 2, bytes: 5 * 1024 * 1024 + 2048 },
+      { extension: '.txt', files: 1, bytes: 1024 },
+      { extension: '(none)', files: 1, bytes: 1023 },
+      { extension: '.png', files: 1, bytes: 0 }
+    ]);
+  });
+
+  it('sorts files into size buckets by their upper bound', () => {
+    const { sizeHistogram } = statisticsOf(FILES).summarize();
+
+    assert.deepEqual(filled(sizeHistogram), {
+      'empty': [1, 0],
+      '< 1 KB': [1, 1023],
+      '1 KB - 10 KB': [2, 3072],
+      '1 MB - 10 MB': [1, 5 * 1024 * 1024]
+    });
+    assert.equal(sizeHistogram[1].maxBytes, 1024);
+    assert.equal(sizeHistogram.at(-1).maxBytes, null);
+  });
+
+  it('sorts files into age buckets, counting files from the future as new', () => {
+    const { ages } = statisticsOf(FILES).summarize();
+
+    assert.deepEqual(filled(ages), {
+      'last 24 hours': [2, 3072],
+      '7 - 30 days': [1, 5 * 1024 * 1024],
+      '1 - 3 years': [1, 0],
+      'more than 3 years': [1, 1023]
+    });
+    assert.equal(ages[0].maxDays, 1);
+    assert.equal(ages.at(-1).maxDays, null);
+  });
+
+  it('keeps only the largest files and directories', () => {
+    const statistics = statisticsOf(FILES, 2);
+    statistics.addDirectory('/data/photos', 2, 5 * 1024 * 1024);
+    statistics.addDirectory('/data/empty', 0, 0);
+    statistics.addDirectory('/data', 2, 3071);
+    statistics.addDirectory('/data/docs', 1, 1024);
+
+    const { largestFiles, largestDirectories } = statistics.summarize();
+
+    assert.deepEqual(largestFiles.map(file => file.filepath), ['/data/photos/b.jpg', '/data/a.JPG']);
+    assert.deepEqual(largestDirectories.map(directory => directory.dirPath), ['/data/photos', '/data']);
+    assert.deepEqual(statisticsOf(FILES, 0).summarize().largestFiles, []);
+  });
+
+  it('merges statistics gathered separately into the same result', () => {
+    const merged = new ScanStatistics({ topCount: 3, now: NOW });
+    for (const part of [FILES.slice(0, 2), FILES.slice(2)]) {
+      // Like a worker posting its chunk to the main thread
+      merged.merge(JSON.parse(JSON.stringify(statisticsOf(part, 3))));
+    }
+
+    assert.deepEqual(merged.summarize(), statisticsOf(FILES, 3).summarize());
+  });
+});
+
+describe('scan breakdown', () => {
+  let tempDir;
+
+  before(async () => {
+    tempDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'speedgrabber-statistics-'));
+    await fs.promises.mkdir(path.join(tempDir, 'logs'));
+    for (let index = 0; index < 5; index++) {
+      await fs.promises.writeFile(path.join(tempDir, 'logs', `${index}.log`), 'x'.repeat(index * 100));
+    }
+    await fs.promises.writeFile(path.join(tempDir, 'large.bin'), Buffer.alloc(4096));
+  });
+
+  after(() => fs.promises.rm(tempDir, { recursive: true, force: true }));
+
+  it('is gathered without keeping the file records', async () => {
+    const fileStructure = new FileStructure({ storeFiles: false });
+
+    await scanDirectoryParallel(tempDir, fileStructure, { top: 2, workers: 2, quiet: true });
+
+    const { breakdown } = fileStructure.getStatistics();
+    assert.equal(fileStructure.files.length, 0);
+    assert.deepEqual(breakdown.extensions, [{ extension: '.bin', files: 1, bytes: 4096 }, { extension: '.log', files: 5, bytes: 1000 }]);
+    assert.deepEqual(breakdown.largestFiles.map(file => path.relative(tempDir, file.filepath)), ['large.bin', path.join('logs', '4.log')]);
+    assert.deepEqual(breakdown.largestDirectories.map(directory => [path.relative(tempDir, directory.dirPath), directory.fileCount]), [['', 1], ['logs', 5]]);
+    assert.deepEqual(filled(breakdown.ages), { 'last 24 hours': [6, 5096] });
+  });
+});
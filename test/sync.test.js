@@ -0,0 +1,136 @@
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { after, before, beforeEach, describe, it } from 'node:test';
+import { FileStructure } from '../fileStructure.js';
+import { compareWithRemote } from '../sync.js';
+import { S3StandIn } from './helpers/s3StandIn.js';
+
+describe('compareWithRemote', () => {
+  const standIn = new S3StandIn();
+  let tempDir;
+
+  before(async () => {
+    await standIn.start();
+    tempDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'speedgrabber-sync-'));
+  });
+
+  after(async () => {
+    await standIn.close();
+    await fs.promises.rm(tempDir, { recursive: true, force: true });
+  });
+
+  beforeEach(() => {
+    standIn.objects.clear();
+    standIn.requests.length = 0;
+  });
+
+  // Write local files, dated an hour ago unless given an mtime, and return their structure
+  async function localFiles(files) {
+    const fileStructure = new FileStructure();
+    const hourAgo = Date.now() - 60 * 60 * 1000;
+    fileStructure.addBatch(await Promise.all(Object.entries(files).map(async ([name, { content, mtime = hourAgo }]) => {
+      const filepath = path.join(tempDir, name);
+      await fs.promises.mkdir(path.dirname(filepath), { recursive: true });
+      await fs.promises.writeFile(filepath, content);
+      await fs.promises.utimes(filepath, new Date(mtime), new Date(mtime));
+      return { filepath, size: Buffer.byteLength(content), mtime, status: 'ready' };
+    })));
+    return fileStructure;
+  }
+
+  const actions = (fileStructure) => Object.fromEntries(fileStructure.files.map(file => [path.relative(tempDir, file.filepath), file.syncAction]));
+
+  it('sorts the files into added, changed and unchanged', async (t) => {
+    t.mock.method(console, 'log', () => {});
+    const fileStructure = await localFiles({
+      'same.txt': { content: 'same' },
+      'docs/resized.txt': { content: 'longer than before' },
+      'edited.txt': { content: 'edit', mtime: Date.now() + 60 * 60 * 1000 },
+      'new.txt': { content: 'new' }
+    });
+    standIn.putObject('bucket', 'same.txt', 'same');
+    standIn.putObject('bucket', 'docs/resized.txt', 'short');
+    standIn.putObject('bucket', 'edited.txt', 'edit');
+    standIn.putObject('bucket', 'remote-only.txt', 'gone locally');
+
+    const summary = await compareWithRemote(fileStructure, 'bucket', tempDir, { client: standIn.client() });
+
+    assert.deepEqual(actions(fileStructure), {
+      'same.txt': 'unchanged',
+      [path.join('docs', 'resized.txt')]: 'changed',
+      'edited.txt': 'changed',
+      'new.txt': 'added'
+    });
+    assert.equal(summary.remoteObjects, 4);
+    assert.equal(summary.added, 1);
+    assert.equal(summary.addedSize, 3);
+    assert.equal(summary.changed, 2);
+    assert.equal(summary.unchanged, 1);
+    assert.equal(summary.unchangedSize, 4);
+  });
+
+  it('marks unchanged files as done so the upload skips them', async (t) => {
+    t.mock.method(console, 'log', () => {});
+    const fileStructure = await localFiles({ 'same.txt': { content: 'same' }, 'new.txt': { content: 'new' } });
+    standIn.putObject('bucket', 'same.txt', 'same');
+
+    await compareWithRemote(fileStructure, 'bucket', tempDir, { client: standIn.client() });
+
+    const [same, added] = fileStructure.files;
+    assert.equal(same.status, 'done');
+    assert.equal(same.skipped, true);
+    assert.equal(added.status, 'ready');
+  });
+
+  it('compares the content with the ETag when checksums are enabled', async (t) => {
+    t.mock.method(console, 'log', () => {});
+    const files = { 'same.txt': { content: 'same' }, 'swapped.txt': { content: 'abcd' } };
+    standIn.putObject('bucket', 'same.txt', 'same');
+    standIn.putObject('bucket', 'swapped.txt', 'dcba');
+
+    const bySize = await localFiles(files);
+    await compareWithRemote(bySize, 'bucket', tempDir, { client: standIn.client() });
+    assert.deepEqual(actions(bySize), { 'same.txt': 'unchanged', 'swapped.txt': 'unchanged' });
+
+    const byChecksum = await localFiles(files);
+    await compareWithRemote(byChecksum, 'bucket', tempDir, { client: standIn.client(), checksum: true });
+    assert.deepEqual(actions(byChecksum), { 'same.txt': 'unchanged', 'swapped.txt': 'changed' });
+  });
+
+  it('lists only the keys under the folder the files have in common', async (t) => {
+    t.mock.method(console, 'log', () => {});
+    const fileStructure = await localFiles({
+      'photos/2024/a.jpg': { content: 'a' },
+      'photos/2024/trip/b.jpg': { content: 'b' }
+    });
+    standIn.putObject('bucket', 'photos/2024/a.jpg', 'a');
+    standIn.putObject('bucket', 'photos/2023/a.jpg', 'a');
+    standIn.putObject('bucket', 'videos/c.mp4', 'c');
+
+    const summary = await compareWithRemote(fileStructure, 'bucket', tempDir, { client: standIn.client() });
+
+    const listings = standIn.requests.filter(request => request.query['list-type'] === '2');
+    assert.deepEqual(listings.map(request => request.query.prefix), ['photos/2024/']);
+    assert.equal(summary.prefix, 'photos/2024/');
+    assert.equal(summary.remoteObjects, 1);
+    assert.deepEqual(actions(fileStructure), {
+      [path.join('photos', '2024', 'a.jpg')]: 'unchanged',
+      [path.join('photos', '2024', 'trip', 'b.jpg')]: 'added'
+    });
+  });
+
+  it('compares objects whose ETag is not an MD5 by size and time only', async (t) => {
+    t.mock.method(console, 'log', () => {});
+    const fileStructure = await localFiles({ 'secret.txt': { content: 'abcd' }, 'parts.bin': { content: 'abcd' } });
+    standIn.putObject('bucket', 'secret.txt', 'dcba');
+    standIn.objects.get('bucket/secret.txt').headers['x-amz-server-side-encryption'] = 'aws:kms';
+    standIn.putObject('bucket', 'parts.bin', 'dcba');
+    standIn.objects.get('bucket/parts.bin').etag = '"0123456789abcdef0123456789abcdef-2"';
+
+    await compareWithRemote(fileStructure, 'bucket', tempDir, { client: standIn.client(), checksum: true });
+
+    assert.deepEqual(actions(fileStructure), { 'secret.txt': 'unchanged', 'parts.bin': 'unchanged' });
+  });
+});
@@ -0,0 +1,111 @@
+import assert from 'node:assert/strict';
+import { Readable, Writable } from 'stream';
+import { pipeline } from 'stream/promises';
+import { describe, it } from 'node:test';
+import { BandwidthLimiter, createThrottleStream, parseBandwidth, parseSchedule } from '../throttle.js';
+
+const MB = 1024 * 1024;
+
+// Date at a time of day, in local time like the schedule
+const at = (hours, minutes = 0) => new Date(2024, 0, 15, hours, minutes);
+
+// Send the chunks through a throttle stream and return what came out
+async function throttle(limiter, chunks) {
+  const received = [];
+  await pipeline(Readable.from(chunks), createThrottleStream(limiter), new Writable({
+    write(chunk, encoding, callback) {
+      received.push(chunk);
+      callback();
+    }
+  }));
+  return Buffer.concat(received);
+}
+
+describe('parseBandwidth', () => {
+  it('reads sizes per second with or without the unit', () => {
+    assert.equal(parseBandwidth('50MB/s'), 50 * MB);
+    assert.equal(parseBandwidth('512K'), 512 * 1024);
+    assert.equal(parseBandwidth('1.5 GB / sec'), 1.5 * 1024 * MB);
+    assert.equal(parseBandwidth('1000'), 1000);
+  });
+
+  it('reads unlimited and 0 as no limit', () => {
+    assert.equal(parseBandwidth('unlimited'), 0);
+    assert.equal(parseBandwidth('OFF'), 0);
+    assert.equal(parseBandwidth('0'), 0);
+  });
+
+  it('rejects values that are not a size', () => {
+    assert.throws(() => parseBandwidth('fast'), /Invalid size: fast/);
+  });
+});
+
+describe('parseSchedule', () => {
+  it('reads time windows with their limits', () => {
+    assert.deepEqual(parseSchedule('20:00-06:00=unlimited, 12:00-13:30=100MB/s,'), [
+      { start: 20 * 60, end: 6 * 60, bandwidth: 0 },
+      { start: 12 * 60, end: 13 * 60 + 30, bandwidth: 100 * MB }
+    ]);
+    assert.deepEqual(parseSchedule('00:00-24:00=1M'), [{ start: 0, end: 24 * 60, bandwidth: MB }]);
+  });
+
+  it('rejects entries without a window or with an invalid time', () => {
+    assert.throws(() => parseSchedule('20:00=unlimited'), /Invalid schedule entry: 20:00=unlimited/);
+    assert.throws(() => parseSchedule('20:00-25:00=1M'), /Invalid time of day: 25:00/);
+    assert.throws(() => parseSchedule('8-17:00=1M'), /Invalid time of day: 8/);
+    assert.throws(() => parseSchedule('24:30-06:00=1M'), /Invalid time of day: 24:30/);
+  });
+});
+
+describe('BandwidthLimiter', () => {
+  const limiter = new BandwidthLimiter({
+    maxBandwidth: 10 * MB,
+    schedule: parseSchedule('20:00-06:00=unlimited,12:00-13:00=50MB/s')
+  });
+
+  it('applies the window of the time of day, falling back to the maximum bandwidth', () => {
+    assert.equal(limiter.currentBandwidth(at(9)), 10 * MB);
+    assert.equal(limiter.currentBandwidth(at(12, 59)), 50 * MB);
+    assert.equal(limiter.currentBandwidth(at(13)), 10 * MB);
+  });
+
+  it('lets windows wrap around midnight', () => {
+    assert.equal(limiter.currentBandwidth(at(20)), 0);
+    assert.equal(limiter.currentBandwidth(at(2)), 0);
+    assert.equal(limiter.currentBandwidth(at(6)), 10 * MB);
+  });
+
+  it('is active when any limit throttles', () => {
+    assert.equal(limiter.isActive, true);
+    assert.equal(new BandwidthLimiter().isActive, false);
+    assert.equal(new BandwidthLimiter({ schedule: parseSchedule('20:00-06:00=unlimited') }).isActive, false);
+    assert.equal(new BandwidthLimiter({ schedule: parseSchedule('08:00-18:00=1M') }).isActive, true);
+  });
+
+  it('describes the limits', () => {
+    assert.equal(limiter.describe(), '10.00 MB/s, unlimited 20:00-06:00, 50.00 MB/s 12:00-13:00');
+  });
+
+  it('limits the combined throughput of concurrent streams', async () => {
+    const shared = new BandwidthLimiter({ maxBandwidth: 40000 });
+    const chunks = Array.from({ length: 5 }, (_, index) => Buffer.alloc(2000, index));
+    const startTime = Date.now();
+
+    const received = await Promise.all([throttle(shared, chunks), throttle(shared, chunks)]);
+
+    // 20000 bytes at 40000 bytes per second
+    assert.ok(Date.now() - startTime >= 450, `took ${Date.now() - startTime} ms`);
+    for (const data of received) {
+      assert.ok(data.equals(Buffer.concat(chunks)));
+    }
+  });
+
+  it('passes data through right away without a limit', async () => {
+    const startTime = Date.now();
+
+    const data = await throttle(new BandwidthLimiter(), [Buffer.alloc(10 * MB)]);
+
+    assert.equal(data.length, 10 * MB);
+    assert.ok(Date.now() - startTime < 500);
+  });
+});
@@ -0,0 +1,171 @@
+import assert from 'node:assert/strict';
+import { execFile } from 'child_process';
+import crypto from 'crypto';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { promisify } from 'util';
+import { after, before, beforeEach, describe, it } from 'node:test';
+import { uploadMultipart } from '../multipart.js';
+import { verifyFile, verifyFiles } from '../verify.js';
+import { CREDENTIALS, REGION, S3StandIn } from './helpers/s3StandIn.js';
+
+const INDEX = fileURLToPath(new URL('../index.js', import.meta.url));
+
+const PART_SIZE = 1024;
+
+describe('verifyFile', () => {
+  const standIn = new S3StandIn();
+  let client;
+  let tempDir;
+
+  before(async () => {
+    await standIn.start();
+    client = standIn.client();
+    tempDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'speedgrabber-verify-'));
+  });
+
+  after(async () => {
+    await standIn.close();
+    await fs.promises.rm(tempDir, { recursive: true, force: true });
+  });
+
+  beforeEach(() => {
+    standIn.objects.clear();
+    standIn.fail = null;
+  });
+
+  // Write a local file and return its record
+  async function localFile(name, content) {
+    const filepath = path.join(tempDir, name);
+    await fs.promises.writeFile(filepath, content);
+    return { filepath, size: content.length, status: 'done' };
+  }
+
+  const verify = (file) => verifyFile(file, 'bucket', tempDir, { client, retry: { retries: 0 } });
+
+  it('verifies a file by the MD5 in its ETag', async () => {
+    const file = await localFile('plain.txt', Buffer.from('hello'));
+    standIn.putObject('bucket', 'plain.txt', 'hello');
+
+    assert.deepEqual(await verify(file), { result: 'verified', method: 'md5' });
+    assert.equal(file.status, 'done');
+    assert.equal(file.verification, 'verified');
+  });
+
+  it('reports a mismatch when the content differs', async () => {
+    const file = await localFile('changed.txt', Buffer.from('hello'));
+    standIn.putObject('bucket', 'changed.txt', 'jello');
+
+    const outcome = await verify(file);
+    assert.equal(outcome.result, 'mismatch');
+    assert.equal(file.status, 'mismatch');
+    assert.equal(file.error, 'MD5 differs from the ETag');
+  });
+
+  it('reports a mismatch when the object is missing or has another size', async () => {
+    const missing = await localFile('missing.txt', Buffer.from('hello'));
+    assert.deepEqual(await verify(missing), { result: 'mismatch', reason: 'object is missing' });
+
+    const resized = await localFile('resized.txt', Buffer.from('hello'));
+    standIn.putObject('bucket', 'resized.txt', 'hello world');
+    assert.match((await verify(resized)).reason, /size differs \(local 5, remote 11\)/);
+  });
+
+  it('verifies a multipart object by the ETag of its parts', async () => {
+    const content = crypto.randomBytes(PART_SIZE * 2 + 10);
+    const file = await localFile('large.bin', content);
+    await uploadMultipart(client, 'bucket', 'large.bin', { ...file }, { partSize: PART_SIZE });
+
+    assert.deepEqual(await verify(file), { result: 'verified', method: 'multipart md5' });
+
+    // The same size with other content doesn't pass
+    const other = await localFile('large.bin', crypto.randomBytes(content.length));
+    assert.equal((await verify(other)).result, 'mismatch');
+  });
+
+  it('prefers the SHA-256 checksum of the object', async () => {
+    const file = await localFile('checked.txt', Buffer.from('hello'));
+    standIn.putObject('bucket', 'checked.txt', 'hello');
+    standIn.objects.get('bucket/checked.txt').checksumSha256 = crypto.createHash('sha256').update('hello').digest('base64');
+    assert.deepEqual(await verify(file), { result: 'verified', method: 'sha256' });
+
+    standIn.objects.get('bucket/checked.txt').checksumSha256 = crypto.createHash('sha256').update('other').digest('base64');
+    assert.equal((await verify(file)).reason, 'SHA-256 checksum differs');
+  });
+
+  it('cannot verify KMS-encrypted objects without a checksum', async () => {
+    const file = await localFile('secret.txt', Buffer.from('hello'));
+    standIn.putObject('bucket', 'secret.txt', 'hello');
+    standIn.objects.get('bucket/secret.txt').headers['x-amz-server-side-encryption'] = 'aws:kms';
+
+    assert.equal((await verify(file)).result, 'unverifiable');
+    assert.equal(file.status, 'done');
+  });
+
+  it('fails a file whose object cannot be read', async () => {
+    const file = await localFile('denied.txt', Buffer.from('hello'));
+    standIn.putObject('bucket', 'denied.txt', 'hello');
+    standIn.fail = () => ({ statusCode: 403, code: 'AccessDenied', message: 'Access Denied' });
+
+    const outcome = await verify(file);
+    assert.equal(outcome.result, 'failed');
+    assert.match(outcome.reason, /403/);
+    assert.equal(file.status, 'failed');
+    assert.equal(file.error, outcome.reason);
+  });
+
+  it('counts the results of a batch of files', async (t) => {
+    t.mock.method(console, 'log', () => {});
+    const files = [
+      await localFile('one.txt', Buffer.from('one')),
+      await localFile('two.txt', Buffer.from('two')),
+      await localFile('three.txt', Buffer.from('three'))
+    ];
+    standIn.putObject('bucket', 'one.txt', 'one');
+    standIn.putObject('bucket', 'two.txt', 'owt');
+    standIn.fail = (request) => request.key === 'three.txt' ? { statusCode: 500, code: 'InternalError' } : null;
+
+    const summary = await verifyFiles(files, 'bucket', tempDir, { client, concurrency: 2, retry: { retries: 0 } });
+    assert.equal(summary.verified, 1);
+    assert.equal(summary.mismatch, 1);
+    assert.equal(summary.unverifiable, 0);
+    assert.equal(summary.failed, 1);
+    assert.equal(summary.bytesChecked, 11);
+  });
+});
+
+describe('verify command', () => {
+  const standIn = new S3StandIn();
+  let tempDir;
+
+  before(async () => {
+    await standIn.start();
+    tempDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'speedgrabber-verify-command-'));
+    await fs.promises.mkdir(path.join(tempDir, 'scan'));
+    await fs.promises.writeFile(path.join(tempDir, 'scan', 'a.txt'), 'a');
+    standIn.putObject('bucket', 'a.txt', 'a');
+  });
+
+  after(async () => {
+    await standIn.close();
+    await fs.promises.rm(tempDir, { recursive: true, force: true });
+  });
+
+  it('exits with status 1 when the objects cannot be read', async () => {
+    standIn.fail = (request) => request.method === 'HEAD' ? { statusCode: 403, code: 'AccessDenied', message: 'Access Denied' } : null;
+
+    const error = await promisify(execFile)(process.execPath, [
+      INDEX, 'verify', path.join(tempDir, 'scan'), '--bucket', 'bucket', '--endpoint-url', standIn.endpoint, '--retries', '0', '--report', 'json'
+    ], {
+      env: { ...process.env, HOME: tempDir, AWS_ACCESS_KEY_ID: CREDENTIALS.accessKeyId, AWS_SECRET_ACCESS_KEY: CREDENTIALS.secretAccessKey, AWS_REGION: REGION },
+      timeout: 30000
+    }).then(() => null, error => error);
+
+    assert.equal(error?.code, 1);
+    const report = JSON.parse(error.stdout);
+    assert.equal(report.verify.failed, 1);
+    assert.deepEqual(report.failures.map(failure => failure.status), ['failed']);
+  });
+});
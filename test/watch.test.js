@@ -0,0 +1,203 @@
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { after, afterEach, before, beforeEach, describe, it } from 'node:test';
+import { ScanFilter } from '../filters.js';
+import { UploadWatcher } from '../watch.js';
+import { S3StandIn } from './helpers/s3StandIn.js';
+
+// Wait for an event of the watcher, failing the test if it doesn't come
+function waitFor(watcher, event, timeout = 5000) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error(`No ${event} event within ${timeout} ms`)), timeout);
+    watcher.once(event, (value) => {
+      clearTimeout(timer);
+      resolve(value);
+    });
+  });
+}
+
+describe('UploadWatcher', () => {
+  const standIn = new S3StandIn();
+  let baseDir;
+  let rootDir;
+  let watcher;
+
+  before(async () => {
+    await standIn.start();
+  });
+
+  after(() => standIn.close());
+
+  beforeEach(async () => {
+    standIn.objects.clear();
+    standIn.uploads.clear();
+    standIn.requests.length = 0;
+    baseDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'speedgrabber-watch-'));
+    rootDir = path.join(baseDir, 'root');
+    await fs.promises.mkdir(rootDir);
+  });
+
+  afterEach(async () => {
+    watcher?.stop();
+    await fs.promises.rm(baseDir, { recursive: true, force: true });
+  });
+
+  const createWatcher = (options = {}) => new UploadWatcher(rootDir, {
+    bucket: 'bucket',
+    client: standIn.client(),
+    filter: new ScanFilter({ rootDir, exclude: options.exclude }),
+    settleSeconds: 0.2,
+    retry: { retries: 0 },
+    ...options
+  });
+
+  const keys = () => [...standIn.objects.keys()].map(key => key.slice('bucket/'.length)).sort();
+
+  it('uploads a file once it has settled', async () => {
+    watcher = createWatcher();
+    const file = path.join(rootDir, 'new.txt');
+    await fs.promises.writeFile(file, 'new');
+
+    await watcher.observe(file);
+    await watcher.checkPending();
+    assert.equal(watcher.queue.length + watcher.inFlight.size, 0, 'uploaded before settling');
+
+    await new Promise(resolve => setTimeout(resolve, 250));
+    const done = waitFor(watcher, 'uploadDone');
+    await watcher.checkPending();
+    assert.equal((await done).status, 'done');
+    assert.deepEqual(keys(), ['new.txt']);
+    // The statistics are counted once the upload call returns
+    await new Promise(resolve => setImmediate(resolve));
+    assert.equal(watcher.statistics.uploaded, 1);
+  });
+
+  it('waits for a file that is still being written', async () => {
+    watcher = createWatcher();
+    const file = path.join(rootDir, 'growing.log');
+    await fs.promises.writeFile(file, 'a');
+    await watcher.observe(file);
+
+    await new Promise(resolve => setTimeout(resolve, 250));
+    await fs.promises.appendFile(file, 'bc');
+    await watcher.checkPending();
+    assert.equal(watcher.queue.length + watcher.inFlight.size, 0, 'uploaded while changing');
+    assert.equal(watcher.pending.get(file).size, 3);
+  });
+
+  it('skips scanned files that are already uploaded and excluded files', async () => {
+    watcher = createWatcher({ exclude: ['*.tmp'] });
+    const uploaded = path.join(rootDir, 'uploaded.txt');
+    const excluded = path.join(rootDir, 'partial.tmp');
+    await fs.promises.writeFile(uploaded, 'done');
+    await fs.promises.writeFile(excluded, 'tmp');
+    const stats = await fs.promises.stat(uploaded);
+
+    watcher.addScannedFiles([{ filepath: uploaded, size: 4, mtime: Math.floor(stats.mtimeMs), status: 'done' }]);
+    await watcher.observe(uploaded);
+    await watcher.observe(excluded);
+    assert.equal(watcher.pending.size, 0);
+  });
+
+  it('picks up files created while watching', async () => {
+    watcher = createWatcher({ settleSeconds: 0 });
+    watcher.watch();
+    await fs.promises.mkdir(path.join(rootDir, 'moved'));
+    await fs.promises.writeFile(path.join(rootDir, 'moved', 'file.txt'), 'content');
+
+    const file = await waitFor(watcher, 'uploadDone');
+    assert.equal(file.status, 'done');
+    assert.deepEqual(keys(), ['moved/file.txt']);
+  });
+
+  describe('with an unfinished multipart upload of a previous run', () => {
+    const PART_SIZE = 1024;
+    let file;
+    let uploadId;
+    let client;
+
+    beforeEach(async () => {
+      client = standIn.client();
+      file = path.join(rootDir, 'large.bin');
+      await fs.promises.writeFile(file, Buffer.alloc(PART_SIZE * 2 + 10, 'a'));
+      uploadId = await client.createMultipartUpload('bucket', 'large.bin');
+      await client.uploadPart('bucket', 'large.bin', uploadId, 1, file, 0, PART_SIZE);
+      standIn.requests.length = 0;
+    });
+
+    // The scanned record, as StateJournal#applyTo leaves it for an unchanged file
+    async function scannedRecord() {
+      const stats = await fs.promises.stat(file);
+      return { filepath: file, size: stats.size, mtime: Math.floor(stats.mtimeMs), status: 'ready', uploadId };
+    }
+
+    it('continues the upload without sending its parts again', async () => {
+      watcher = createWatcher({ client, multipart: { partSize: PART_SIZE } });
+      watcher.addScannedFiles([await scannedRecord()]);
+
+      await new Promise(resolve => setTimeout(resolve, 250));
+      const done = waitFor(watcher, 'uploadDone');
+      await watcher.checkPending();
+      assert.equal((await done).status, 'done');
+
+      const partNumbers = standIn.requests.filter(request => request.query.partNumber).map(request => request.query.partNumber);
+      assert.deepEqual(partNumbers.sort(), ['2', '3']);
+      assert.ok(!standIn.requests.some(request => 'uploads' in request.query), 'started a new multipart upload');
+      assert.equal(standIn.uploads.size, 0);
+      assert.equal(standIn.objects.get('bucket/large.bin').body.length, PART_SIZE * 2 + 10);
+    });
+
+    it('aborts the upload when the file changes before it is uploaded', async () => {
+      watcher = createWatcher({ client, multipart: { partSize: PART_SIZE } });
+      watcher.addScannedFiles([await scannedRecord()]);
+
+      await fs.promises.appendFile(file, 'more');
+      await watcher.checkPending();
+      // The abort is not waited for by the watcher
+      for (let attempt = 0; attempt < 100 && standIn.uploads.size > 0; attempt++) {
+        await new Promise(resolve => setTimeout(resolve, 10));
+      }
+      assert.equal(standIn.uploads.size, 0);
+      assert.equal(watcher.pending.get(file).uploadId, undefined);
+    });
+  });
+
+  describe('with symlinks followed', () => {
+    it('does not follow links back into the watched tree', async () => {
+      watcher = createWatcher({ symlinks: 'follow' });
+      await fs.promises.mkdir(path.join(rootDir, 'd', 'sub'), { recursive: true });
+      await fs.promises.writeFile(path.join(rootDir, 'd', 'one.txt'), 'one');
+      await fs.promises.symlink(path.join(rootDir, 'd'), path.join(rootDir, 'd', 'sub', 'loop'));
+      await fs.promises.symlink(rootDir, path.join(rootDir, 'top'));
+
+      await watcher.observe(path.join(rootDir, 'd'));
+      await watcher.observe(path.join(rootDir, 'top'));
+      assert.deepEqual([...watcher.pending.keys()], [path.join(rootDir, 'd', 'one.txt')]);
+    });
+
+    it('follows a link out of the tree once, even if it loops', async () => {
+      watcher = createWatcher({ symlinks: 'follow' });
+      const outside = path.join(baseDir, 'outside');
+      await fs.promises.mkdir(path.join(outside, 'in'), { recursive: true });
+      await fs.promises.writeFile(path.join(outside, 'in', 'e.txt'), 'e');
+      await fs.promises.symlink(outside, path.join(outside, 'in', 'back'));
+      await fs.promises.symlink(outside, path.join(rootDir, 'ext'));
+
+      await watcher.observe(path.join(rootDir, 'ext'));
+      assert.deepEqual([...watcher.pending.keys()], [path.join(rootDir, 'ext', 'in', 'e.txt')]);
+    });
+
+    it('leaves links alone when they are not followed', async () => {
+      watcher = createWatcher();
+      const outside = path.join(baseDir, 'outside');
+      await fs.promises.mkdir(outside);
+      await fs.promises.writeFile(path.join(outside, 'e.txt'), 'e');
+      await fs.promises.symlink(outside, path.join(rootDir, 'ext'));
+
+      await watcher.observe(path.join(rootDir, 'ext'));
+      assert.equal(watcher.pending.size, 0);
+    });
+  });
+});
@@ -0,0 +1,107 @@
+import assert from 'node:assert/strict';
+import { execFileSync, spawn } from 'child_process';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { after, before, describe, it } from 'node:test';
+import { CREDENTIALS, REGION, S3StandIn } from './helpers/s3StandIn.js';
+
+const WRAPPER = fileURLToPath(new URL('../run-speedgrabber.js', import.meta.url));
+
+describe('run-speedgrabber.js', () => {
+  const standIn = new S3StandIn();
+  let tempDir;
+  let scanDir;
+  let env;
+
+  before(async () => {
+    await standIn.start();
+    tempDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'speedgrabber-wrapper-'));
+    scanDir = path.join(tempDir, 'scan');
+    await fs.promises.mkdir(path.join(tempDir, 'home'));
+    await fs.promises.mkdir(scanDir);
+    await fs.promises.writeFile(path.join(scanDir, 'a.txt'), 'a');
+    env = {
+      ...process.env,
+      HOME: path.join(tempDir, 'home'),
+      AWS_ACCESS_KEY_ID: CREDENTIALS.accessKeyId,
+      AWS_SECRET_ACCESS_KEY: CREDENTIALS.secretAccessKey,
+      AWS_REGION: REGION
+    };
+  });
+
+  after(async () => {
+    await standIn.close();
+    await fs.promises.rm(tempDir, { recursive: true, force: true });
+  });
+
+  // Start the wrapper and resolve with its exit code and output once it exits; the returned
+  // promise also carries the process, and waitForOutput() to wait until the output shows a pattern
+  function run(args) {
+    const child = spawn(process.execPath, [WRAPPER, ...args], { env });
+    let stdout = '';
+    let stderr = '';
+    child.stdout.on('data', data => stdout += data);
+    child.stderr.on('data', data => stderr += data);
+    // A SpeedGrabber process left running by the wrapper would keep the pipes open
+    child.on('exit', () => setTimeout(() => {
+      child.stdout.destroy();
+      child.stderr.destroy();
+    }, 2000).unref());
+    const exited = new Promise(resolve => child.on('close', (code, signal) => resolve({ code, signal, stdout, stderr })));
+    const waitForOutput = async (pattern) => {
+      while (!pattern.test(stdout + stderr)) {
+        if (child.exitCode !== null || child.signalCode !== null) {
+          throw new Error(`Exited before printing ${pattern}:\n${stdout}${stderr}`);
+        }
+        await new Promise(resolve => setTimeout(resolve, 50));
+      }
+    };
+    return Object.assign(exited, { child, waitForOutput });
+  }
+
+  it('keeps stdout free for the JSON report', async () => {
+    const { code, stdout, stderr } = await run([scanDir, '--report', 'json']);
+
+    assert.equal(code, 0);
+    assert.equal(JSON.parse(stdout).scan.totalFiles, 1);
+    assert.match(stderr, /Running SpeedGrabber with Node.js flags: --expose-gc/);
+  });
+
+  it('exits with the exit code of SpeedGrabber', async () => {
+    const { code, stderr } = await run([scanDir, '--depth', '0']);
+
+    assert.equal(code, 2);
+    assert.match(stderr, /depth/);
+  });
+
+  it('passes SIGTERM on, so SpeedGrabber can stop cleanly', async () => {
+    const state = path.join(tempDir, 'watch.state');
+    const watching = run(['watch', scanDir, '--bucket', 'bucket', '--endpoint-url', standIn.endpoint, '--state', state]);
+
+    await watching.waitForOutput(/Watching/);
+    watching.child.kill('SIGTERM');
+    const { code, stdout } = await watching;
+    assert.equal(code, 0);
+    assert.match(stdout, /Stopped watching/);
+  });
+
+  it('exits with 128 plus the signal number when SpeedGrabber is killed by a signal', async (t) => {
+    // Opening a FIFO blocks until a writer shows up, which holds SpeedGrabber before it handles Ctrl-C
+    const fifo = path.join(tempDir, 'manifest.ndjson');
+    try {
+      execFileSync('mkfifo', [fifo]);
+    } catch {
+      t.skip('mkfifo is not available');
+      return;
+    }
+    const loading = run(['--from-manifest', fifo, '--bucket', 'bucket', '--endpoint-url', standIn.endpoint]);
+
+    await loading.waitForOutput(/Loading manifest/);
+    loading.child.kill('SIGINT');
+    const { code, signal } = await loading;
+    assert.equal(signal, null);
+    assert.equal(code, 130);
+  });
+});
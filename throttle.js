@@ -0,0 +1,157 @@
+import { Transform } from 'stream';
+import { formatSize, parseSize } from './utils.js';
+
+/**
+ * Bandwidth throttling shared by all concurrent transfers
+ * A token bucket limits the bytes per second; an optional schedule changes the
+ * limit by time of day.
+ */
+
+// Largest burst allowed after an idle period, in seconds of transfer at the current rate
+const BURST_SECONDS = 0.5;
+
+/**
+ * Parse a bandwidth value
+ * Accepts sizes per second such as "50MB/s", "512K" or "1.5 GB/s", and "unlimited" (or 0)
+ * @param {string} value - Bandwidth to parse
+ * @returns {number} Bytes per second, 0 for unlimited
+ */
+export function parseBandwidth(value) {
+  const text = String(value).trim();
+  if (/^(unlimited|off|none)$/i.test(text)) {
+    return 0;
+  }
+  return parseSize(text.replace(/\s*\/\s*s(ec)?$/i, ''));
+}
+
+// Parse "HH:MM" into minutes after midnight
+function parseTimeOfDay(value) {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(value.trim());
+  if (!match || Number(match[1]) > 24 || Number(match[2]) > 59 || (Number(match[1]) === 24 && Number(match[2]) > 0)) {
+    throw new Error(`Invalid time of day: ${value} (expected HH:MM)`);
+  }
+  return Number(match[1]) * 60 + Number(match[2]);
+}
+
+/**
+ * Parse a bandwidth schedule
+ * A comma-separated list of time windows with their limit, e.g. "20:00-06:00=unlimited,12:00-13:00=100MB/s".
+ * Windows may wrap around midnight; outside all windows --max-bandwidth applies.
+ * @param {string} value - Schedule to parse
+ * @returns {object[]} Windows with start and end (minutes after midnight) and bandwidth (bytes per second)
+ */
+export function parseSchedule(value) {
+  return String(value).split(',').map(part => part.trim()).filter(Boolean).map(part => {
+    const match = /^([^-]+)-([^=]+)=(.+)$/.exec(part);
+    if (!match) {
+      throw new Error(`Invalid schedule entry: ${part} (expected HH:MM-HH:MM=<bandwidth>)`);
+    }
+    return {
+      start: parseTimeOfDay(match[1]),
+      end: parseTimeOfDay(match[2]),
+      bandwidth: parseBandwidth(match[3])
+    };
+  });
+}
+
+// Format a bandwidth for display
+function formatBandwidth(bandwidth) {
+  return bandwidth > 0 ? `${formatSize(bandwidth)}/s` : 'unlimited';
+}
+
+// Format minutes after midnight as HH:MM
+function formatTimeOfDay(minutes) {
+  return `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+}
+
+/**
+ * Token bucket limiting the combined throughput of all transfers using it
+ */
+export class BandwidthLimiter {
+  /**
+   * @param {object} options - Limiter options
+   * @param {number} [options.maxBandwidth] - Bytes per second outside the schedule (0 for unlimited)
+   * @param {object[]} [options.schedule] - Time windows from parseSchedule
+   */
+  constructor(options = {}) {
+    this.maxBandwidth = options.maxBandwidth || 0;
+    this.schedule = options.schedule || [];
+    this.tokens = 0;
+    this.lastRefill = Date.now();
+  }
+
+  /**
+   * Get the limit in effect at a point in time
+   * @param {Date} [date] - Point in time (default: now)
+   * @returns {number} Bytes per second, 0 for unlimited
+   */
+  currentBandwidth(date = new Date()) {
+    const minutes = date.getHours() * 60 + date.getMinutes();
+    for (const window of this.schedule) {
+      const inWindow = window.start <= window.end
+        ? minutes >= window.start && minutes < window.end
+        : minutes >= window.start || minutes < window.end;
+      if (inWindow) {
+        return window.bandwidth;
+      }
+    }
+    return this.maxBandwidth;
+  }
+
+  /**
+   * Whether the limiter ever throttles
+   * @returns {boolean}
+   */
+  get isActive() {
+    return this.maxBandwidth > 0 || this.schedule.some(window => window.bandwidth > 0);
+  }
+
+  /**
+   * Describe the limits for display
+   * @returns {string}
+   */
+  describe() {
+    const windows = this.schedule.map(window =>
+      `${formatBandwidth(window.bandwidth)} ${formatTimeOfDay(window.start)}-${formatTimeOfDay(window.end)}`
+    );
+    return [formatBandwidth(this.maxBandwidth), ...windows].join(', ');
+  }
+
+  /**
+   * Take bytes from the bucket, waiting until the limit allows sending them
+   * Bytes are taken right away and the caller waits off the resulting debt, so concurrent
+   * transfers queue up behind each other and share the bandwidth.
+   * @param {number} bytes - Number of bytes about to be sent
+   * @returns {Promise<void>}
+   */
+  async consume(bytes) {
+    const bandwidth = this.currentBandwidth();
+    const now = Date.now();
+    if (bandwidth === 0) {
+      this.tokens = 0;
+      this.lastRefill = now;
+      return;
+    }
+
+    this.tokens = Math.min(bandwidth * BURST_SECONDS, this.tokens + (now - this.lastRefill) / 1000 * bandwidth);
+    this.lastRefill = now;
+    this.tokens -= bytes;
+
+    if (this.tokens < 0) {
+      await new Promise(resolve => setTimeout(resolve, -this.tokens / bandwidth * 1000));
+    }
+  }
+}
+
+/**
+ * Create a stream that passes data through at the pace the limiter allows
+ * @param {BandwidthLimiter} limiter - Limiter shared by all transfers
+ * @returns {Transform}
+ */
+export function createThrottleStream(limiter) {
+  return new Transform({
+    transform(chunk, encoding, callback) {
+      limiter.consume(chunk.length).then(() => callback(null, chunk), callback);
+    }
+  });
+}
@@ -1,82 +1,73 @@
-import { exec } from 'child_process';
 import path from 'path';
 import chalk from 'chalk';
-import { formatSize } from './utils.js';
+import { S3Client } from './s3Client.js';
+import { withRetry, isRetryableError } from './retry.js';
+import { uploadMultipart, DEFAULT_PART_SIZE } from './multipart.js';
+import { formatSize, mapConcurrent } from './utils.js';
 
-// Custom exec function with timeout and proper error handling
-const execAsync = (command, options = {}) => {
-  return new Promise((resolve, reject) => {
-    // Set a default timeout of 60 seconds
-    const timeout = options.timeout || 60000;
-    
-    console.log(`Executing command: ${command}`);
-    const childProcess = exec(command, { ...options, maxBuffer: 100 * 1024 * 1024 }, (error, stdout, stderr) => {
-      if (error) {
-        console.error(`Command error: ${error.message}`);
-        if (stderr) console.error(`stderr: ${stderr}`);
-        reject(error);
-        return;
-      }
-      resolve({ stdout, stderr });
-    });
-    
-    // Set a timeout to kill the process if it takes too long
-    const timer = setTimeout(() => {
-      childProcess.kill('SIGTERM');
-      console.error(`Command timed out after ${timeout/1000} seconds: ${command}`);
-      reject(new Error(`Command timed out after ${timeout/1000} seconds`));
-    }, timeout);
-    
-    // Clear the timeout when the process completes
-    childProcess.on('close', () => {
-      clearTimeout(timer);
-    });
-  });
+// Number of files of one folder uploaded at the same time
+const FILES_PER_FOLDER = 4;
+
+// Content types for common extensions; everything else is uploaded as binary
+const CONTENT_TYPES = {
+  '.css': 'text/css',
+  '.csv': 'text/csv',
+  '.gif': 'image/gif',
+  '.gz': 'application/gzip',
+  '.htm': 'text/html',
+  '.html': 'text/html',
+  '.jpeg': 'image/jpeg',
+  '.jpg': 'image/jpeg',
+  '.js': 'text/javascript',
+  '.json': 'application/json',
+  '.md': 'text/markdown',
+  '.mp3': 'audio/mpeg',
+  '.mp4': 'video/mp4',
+  '.pdf': 'application/pdf',
+  '.png': 'image/png',
+  '.svg': 'image/svg+xml',
+  '.tif': 'image/tiff',
+  '.tiff': 'image/tiff',
+  '.txt': 'text/plain',
+  '.webp': 'image/webp',
+  '.xml': 'application/xml',
+  '.zip': 'application/zip'
 };
 
+/**
+ * Compute the S3 key of a local file (preserves the directory structure)
+ * @param {string} basePath - Base directory path
+ * @param {string} filepath - Local file path
+ * @returns {string} Object key using '/' as separator
+ */
+export function toS3Key(basePath, filepath) {
+  return path.relative(basePath, filepath).split(path.sep).join('/');
+}
+
 /**
  * Check if a file exists in S3
- * @param {string} s3Path - S3 path to check
+ * @param {S3Client} client - S3 client
+ * @param {string} bucketName - S3 bucket name
+ * @param {string} key - Object key to check
  * @returns {Promise<boolean>} - Whether the file exists
  */
-async function checkFileExistsInS3(s3Path) {
-  try {
-    // Extract bucket and key from s3 path
-    // s3Path format: s3://bucket-name/path/to/file
-    const s3PathParts = s3Path.replace('s3://', '').split('/');
-    const bucketName = s3PathParts.shift();
-    const objectKey = s3PathParts.join('/');
-    
-    // Use aws s3api head-object to check if file exists
-    await execAsync(`aws s3api head-object --bucket "${bucketName}" --key "${objectKey}"`, { timeout: 10000 });
-    return true;
-  } catch (error) {
-    // If the command fails with a 404, the file doesn't exist
-    return false;
-  }
+async function checkFileExistsInS3(client, bucketName, key) {
+  return (await client.headObject(bucketName, key)) !== null;
 }
 
 /**
  * Check if a directory exists in S3
- * @param {string} s3Path - S3 path to check
- * @returns {Promise<boolean>} - Whether the directory exists
+ * @param {S3Client} client - S3 client
+ * @param {string} bucketName - S3 bucket name
+ * @param {string} prefix - Key prefix of the directory
+ * @returns {Promise<boolean>} - Whether the directory exists (has any objects)
  */
-async function checkDirectoryExistsInS3(s3Path) {
+export async function checkDirectoryExistsInS3(client, bucketName, prefix) {
   try {
-    // Extract bucket and key from s3 path
-    // s3Path format: s3://bucket-name/path/to/directory/
-    const s3PathParts = s3Path.replace('s3://', '').split('/');
-    const bucketName = s3PathParts.shift();
-    const prefix = s3PathParts.join('/') + '/';
-    
-    // Use aws s3api list-objects to check if directory exists (has any objects)
-    const command = `aws s3api list-objects --bucket "${bucketName}" --prefix "${prefix}" --max-items 1`;
-    const result = await execAsync(command, { timeout: 10000 });
-    
-    // If we get any results, the directory exists
-    return result.stdout && result.stdout.trim().length > 0;
+    const page = await client.listObjectsV2(bucketName, { prefix: prefix.replace(/\/?$/, '/'), maxKeys: 1 });
+    return page.objects.length > 0;
   } catch (error) {
-    // If the command fails, assume the directory doesn't exist
+    // If the listing fails, assume the directory doesn't exist
     return false;
   }
 }
@@ -88,42 +79,115 @@ async function checkDirectoryExistsInS3(s3Path) {
  * @param {string} basePath - Base directory path for relative path calculation
  * @param {boolean} verbose - Whether to show detailed output
  * @param {boolean} checkExist - Whether to check if file exists before uploading
+ * @param {S3Client} client - S3 client used for the requests
+ * @param {object} options - Additional upload options
+ * @param {StateJournal} options.journal - Journal the status transitions are recorded in
+ * @param {object} options.retry - Retry policy ({ retries, backoff }, see withRetry)
+ * @param {object} options.multipart - Multipart settings ({ partSize, partConcurrency }); files
+ *   larger than the part size are uploaded in parts
+ * @param {function} options.onProgress - Called with the number of bytes and the file record whenever a file or part was uploaded
+ * @param {boolean} options.dryRun - Only decide what would be done (stored as file.plannedAction:
+ *   upload, overwrite, skip or unknown) without writing to the bucket or changing the status
+ * @param {boolean} options.quiet - Don't print skipped files
+ * @param {function} options.onStart - Called with the file record when its upload starts
+ * @param {function} options.onDone - Called with the file record once it is done (uploaded or skipped) or failed
  * @returns {Promise<boolean>} - Success status
  */
-export async function uploadFileToS3(file, bucketName, basePath, verbose = false, checkExist = false) {
+export async function uploadFileToS3(file, bucketName, basePath, verbose = false, checkExist = false, client = null, options = {}) {
+  const journal = options.journal;
+  const dryRun = options.dryRun || false;
+  
   // Update file status to 'transfer'
-  file.status = 'transfer';
+  if (!dryRun) {
+    file.status = 'transfer';
+    journal?.record(file);
+    options.onStart?.(file);
+  }
   
   try {
-    // Calculate the S3 path (preserve directory structure)
-    const relativePath = path.relative(basePath, file.filepath);
-    const s3Path = `s3://${bucketName}/${relativePath}`;
+    client = client || await S3Client.fromEnvironment();
     
-    // Print verbose information if requested
-    if (verbose) {
+    // Calculate the S3 key (preserve directory structure)
+    const key = toS3Key(basePath, file.filepath);
+    const s3Path = `s3://${bucketName}/${key}`;
+    
+    // Print verbose information if requested (a dry run prints its plan afterwards)
+    if (verbose && !dryRun) {
       console.log(`${chalk.blue('Uploading:')} ${chalk.cyan(file.filepath)} ${chalk.gray('→')} ${chalk.yellow(s3Path)} (${formatSize(file.size)})`);
     }
     
+    // Retry throttled, timed out and failed requests with backoff
+    const retryPolicy = {
+      ...options.retry,
+      onRetry: (error, attempt, delay) => {
+        if (verbose) {
+          console.log(`${chalk.yellow('Retrying:')} ${chalk.cyan(file.filepath)} - ${error.message} (attempt ${attempt}, in ${delay} ms)`);
+        }
+      }
+    };
+    
     // Check if file already exists in S3
     if (checkExist) {
-      if (await checkFileExistsInS3(s3Path)) {
-        console.log(`${chalk.green('Skipping:')} ${chalk.cyan(file.filepath)} ${chalk.gray('→')} ${chalk.yellow(s3Path)} (already exists)`); 
+      if (await withRetry(() => checkFileExistsInS3(client, bucketName, key), retryPolicy)) {
+        if (dryRun) {
+          file.plannedAction = 'skip';
+          return true;
+        }
+        if (!options.quiet) {
+          console.log(`${chalk.green('Skipping:')} ${chalk.cyan(file.filepath)} ${chalk.gray('→')} ${chalk.yellow(s3Path)} (already exists)`);
+        }
         file.status = 'done';
+        file.skipped = true;
+        journal?.record(file);
+        options.onDone?.(file);
         return true;
       }
     }
     
-    // Execute AWS CLI command to upload the file with a timeout
-    const command = `aws s3 cp "${file.filepath}" "${s3Path}"`;
-    await execAsync(command, { timeout: 60000 }); // 60 second timeout per file
+    // Files that differ from an existing object (found by a sync) would replace it
+    if (dryRun) {
+      file.plannedAction = file.syncAction === 'changed' ? 'overwrite' : 'upload';
+      return true;
+    }
+    
+    // Stream the file to S3, in parts if it is large
+    const contentType = CONTENT_TYPES[path.extname(file.filepath).toLowerCase()] || 'application/octet-stream';
+    const partSize = options.multipart?.partSize || DEFAULT_PART_SIZE;
+    if (file.size > partSize) {
+      await uploadMultipart(client, bucketName, key, file, {
+        partSize,
+        partConcurrency: options.multipart?.partConcurrency,
+        headers: { 'content-type': contentType },
+        retry: retryPolicy,
+        onUploadId: () => journal?.record(file),
+        onProgress: (bytes) => options.onProgress?.(bytes, file)
+      });
+    } else {
+      await withRetry(() => client.putObject(bucketName, key, file.filepath, {
+        size: file.size,
+        headers: { 'content-type': contentType }
+      }), retryPolicy);
+      options.onProgress?.(file.size, file);
+    }
     
     // Update file status to 'done'
     file.status = 'done';
+    journal?.record(file);
+    options.onDone?.(file);
     return true;
   } catch (error) {
+    if (dryRun) {
+      file.plannedAction = 'unknown';
+      file.error = error.message;
+      return false;
+    }
+    
     // Update file status to 'failed'
     file.status = 'failed';
     file.error = error.message;
+    file.retryable = isRetryableError(error);
+    journal?.record(file);
+    options.onDone?.(file);
     
     // Print error in verbose mode
     if (verbose) {
@@ -136,13 +200,18 @@ export async function uploadFileToS3(file, bucketName, basePath, verbose = false
 
 /**
  * Upload a directory to S3
- * @param {object} folder - Folder object with path, fileCount and totalSize properties
+ * Only the scanned files of the folder are uploaded, so filters and the symbolic
+ * link mode of the scan apply to the upload as well.
+ * @param {object} folder - Folder object with path, fileCount, totalSize and files properties
  * @param {string} bucketName - S3 bucket name
  * @param {string} basePath - Base directory path for relative path calculation
  * @param {boolean} verbose - Whether to show detailed output
+ * @param {boolean} checkExist - Whether to check if files exist before uploading
+ * @param {S3Client} client - S3 client used for the requests
+ * @param {object} options - Additional upload options, as for uploadFileToS3
  * @returns {Promise<object>} - Result with success status and bytes uploaded
  */
-export async function uploadDirectoryToS3(folder, bucketName, basePath, verbose = false) {
+export async function uploadDirectoryToS3(folder, bucketName, basePath, verbose = false, checkExist = false, client = null, options = {}) {
   const result = {
     success: false,
     bytesUploaded: 0,
@@ -150,25 +219,31 @@ export async function uploadDirectoryToS3(folder, bucketName, basePath, verbose
   };
   
   try {
+    client = client || await S3Client.fromEnvironment();
+    
     // Calculate the S3 path (preserve directory structure)
-    const relativePath = path.relative(basePath, folder.path);
-    const s3Path = `s3://${bucketName}/${relativePath}`;
+    const s3Path = `s3://${bucketName}/${toS3Key(basePath, folder.path)}`;
     const folderName = path.basename(folder.path);
     
     // Print verbose information if requested
     if (verbose) {
-      console.log(`${chalk.blue('Uploading directory:')} ${chalk.cyan(folderName)} ${chalk.gray('→')} ${chalk.yellow(s3Path)} (${formatSize(folder.totalSize)}, ${folder.fileCount} files)`);
+      console.log(`${chalk.blue(options.dryRun ? 'Planning directory:' : 'Uploading directory:')} ${chalk.cyan(folderName)} ${chalk.gray('→')} ${chalk.yellow(s3Path)} (${formatSize(folder.totalSize)}, ${folder.fileCount} files)`);
     }
     
-    // Execute AWS CLI command to upload the directory with a timeout
-    // Use --recursive flag to upload the entire directory
-    const command = `aws s3 cp "${folder.path}" "${s3Path}" --recursive`;
-    await execAsync(command, { timeout: 300000, maxBuffer: 100 * 1024 * 1024 }); // 5 minute timeout per directory with 100MB buffer
+    // Every file gets its own status; the folder fails if any of them failed
+    const uploaded = await mapConcurrent(folder.files, FILES_PER_FOLDER, (file) =>
+      uploadFileToS3(file, bucketName, basePath, verbose, checkExist, client, options)
+    );
+    
+    const failedFiles = uploaded.filter(success => !success).length;
+    result.bytesUploaded = folder.files.reduce((sum, file) => sum + (file.status === 'done' ? file.size : 0), 0);
+    if (failedFiles > 0) {
+      throw new Error(`${failedFiles} of ${folder.files.length} files failed`);
+    }
     
     // Update result
     result.status = 'done';
     result.success = true;
-    result.bytesUploaded = folder.totalSize;
     return result;
   } catch (error) {
     // Update result to failed
@@ -184,6 +259,88 @@ export async function uploadDirectoryToS3(folder, bucketName, basePath, verbose
   }
 }
 
+/**
+ * Group scanned files by their first-level folder
+ * Files that are already done (e.g. unchanged files of a sync) are left out, and
+ * folders without any file left to upload are dropped.
+ * @param {object[]} folders - First-level folders
+ * @param {object[]} files - Scanned file records
+ * @param {string} basePath - Base directory path the folders are relative to
+ * @returns {object[]} Copies of the folders with a files property, plus one entry for
+ *   the files directly in the base directory
+ */
+function attachFolderFiles(folders, files, basePath) {
+  const filesByFolder = new Map(folders.map(folder => [folder.path, []]));
+  const rootFiles = [];
+
+  for (const file of files) {
+    if (file.status === 'done') {
+      continue;
+    }
+    const parts = path.relative(basePath, file.filepath).split(path.sep);
+    const folderFiles = parts.length > 1 ? filesByFolder.get(path.join(basePath, parts[0])) : rootFiles;
+    if (folderFiles) {
+      folderFiles.push(file);
+    }
+  }
+
+  const result = folders
+    .map(folder => {
+      const folderFiles = filesByFolder.get(folder.path);
+      return {
+        ...folder,
+        fileCount: folderFiles.length,
+        totalSize: folderFiles.reduce((sum, file) => sum + file.size, 0),
+        files: folderFiles
+      };
+    })
+    .filter(folder => folder.files.length > 0);
+
+  // Files directly in the base directory are uploaded as one more unit
+  if (rootFiles.length > 0) {
+    result.push({
+      path: basePath,
+      fileCount: rootFiles.length,
+      totalSize: rootFiles.reduce((sum, file) => sum + file.size, 0),
+      files: rootFiles
+    });
+  }
+  return result;
+}
+
+/**
+ * Upload the failed files once more, after all other uploads finished
+ * Files that failed with an error not worth retrying (see isRetryableError) are left as they are.
+ * @param {object[]} files - File records of the upload
+ * @param {string} bucketName - S3 bucket name
+ * @param {string} basePath - Base directory path for relative path calculation
+ * @param {number} concurrentUploads - Maximum number of concurrent uploads
+ * @param {boolean} verbose - Whether to show detailed output
+ * @param {S3Client} client - S3 client used for the requests
+ * @param {object} fileOptions - Additional upload options, as for uploadFileToS3
+ * @returns {Promise<object>} Number of files and bytes uploaded by the retry pass
+ */
+async function retryFailedFiles(files, bucketName, basePath, concurrentUploads, verbose, client, fileOptions) {
+  const failedFiles = files.filter(file => file.status === 'failed' && file.retryable);
+  const recovered = { files: 0, bytes: 0 };
+  if (failedFiles.length === 0) {
+    return recovered;
+  }
+  
+  if (!fileOptions.quiet) {
+    console.log(chalk.blue(`Retrying ${failedFiles.length.toLocaleString()} failed files...`));
+  }
+  await mapConcurrent(failedFiles, concurrentUploads, async (file) => {
+    delete file.error;
+    delete file.retryable;
+    if (await uploadFileToS3(file, bucketName, basePath, verbose, false, client, fileOptions)) {
+      recovered.files++;
+      recovered.bytes += file.size;
+    }
+  });
+  return recovered;
+}
+
 /**
  * Manage the upload process for directories
  * @param {object} fileStructure - FileStructure instance with folders to upload
@@ -193,17 +350,37 @@ export async function uploadDirectoryToS3(folder, bucketName, basePath, verbose
  * @param {object} options - Upload options
  * @param {boolean} options.progress - Whether to show progress during upload
  * @param {boolean} options.verbose - Whether to show detailed output
+ * @param {boolean} options.checkExist - Whether to check if files exist before uploading
+ * @param {S3Client} options.client - S3 client (default: configured from the environment)
+ * @param {StateJournal} options.journal - Journal the status transitions are recorded in
+ * @param {object} options.retry - Retry policy ({ retries, backoff }, see withRetry)
+ * @param {object} options.multipart - Multipart settings ({ partSize, partConcurrency })
+ * @param {boolean} options.dryRun - Only plan the upload, see uploadFileToS3
+ * @param {string} options.mode - 'folders' (default) uploads first-level folders as units,
+ *   'files' uploads every file on its own (see uploadFilesIndividually)
+ * @param {boolean} options.quiet - Don't print anything
+ * @param {function} options.onFileStart - Called with every file record whose upload starts
+ * @param {function} options.onFileDone - Called with every file record that is done or failed
+ * @param {function} options.onFileProgress - Called with the file record and the number of bytes
+ *   whenever a file or a part of it was uploaded
+ * @param {function} options.onProgress - Called about once a second with the files completed, the
+ *   bytes transferred and the totals
  * @returns {Promise<void>}
  */
 export async function uploadFilesToS3(fileStructure, bucketName, basePath, maxConcurrent, options) {
+  if (options?.mode === 'files') {
+    return uploadFilesIndividually(fileStructure, bucketName, basePath, maxConcurrent, options);
+  }
+  
   // We'll only use the first-level folders for uploading
   const folders = fileStructure.firstLevelFolders;
-  const totalFolders = folders.length;
   let completedUploads = 0;
   let lastProgressUpdate = Date.now();
   const progressInterval = 1000; // Update progress every second
   const showProgress = options?.progress || false;
   const verbose = options?.verbose || false;
+  const log = options?.quiet ? () => {} : console.log;
+  const logError = options?.quiet ? () => {} : console.error;
   
   // Upload statistics
   let totalBytesUploaded = 0;
@@ -211,10 +388,46 @@ export async function uploadFilesToS3(fileStructure, bucketName, basePath, maxCo
   
   // Ensure maxConcurrent is a number and has a reasonable default
   const concurrentUploads = typeof maxConcurrent === 'number' && maxConcurrent > 0 ? maxConcurrent : 5;
-  console.log(`Using concurrent uploads: ${concurrentUploads} (maxConcurrent value received: ${maxConcurrent}, type: ${typeof maxConcurrent})`);
   
-  // Create a queue of folders to upload
-  const uploadQueue = [...folders];
+  const client = options?.client || await S3Client.fromEnvironment();
+  
+  // Create a queue of folders to upload, each carrying the files the scan kept
+  const folderUnits = attachFolderFiles(folders, fileStructure.files, basePath);
+  const uploadQueue = [...folderUnits];
+  const totalFolders = uploadQueue.length;
+  const totalSize = folderUnits.reduce((sum, folder) => sum + folder.totalSize, 0);
+  
+  // Bytes sent so far, counting the parts of multipart uploads as they finish
+  let bytesTransferred = 0;
+  
+  // Show progress if enabled and not in verbose mode (to avoid cluttering output)
+  function printProgress() {
+    const now = Date.now();
+    if (now - lastProgressUpdate <= progressInterval) {
+      return;
+    }
+    options?.onProgress?.({ completed: completedUploads, total: totalFolders, bytes: bytesTransferred, totalBytes: totalSize });
+    if (showProgress && !verbose) {
+      const percent = Math.round((completedUploads / totalFolders) * 100);
+      process.stdout.write(`\rUploading: ${completedUploads}/${totalFolders} directories (${percent}%), ${formatSize(bytesTransferred)} of ${formatSize(totalSize)}`);
+    }
+    lastProgressUpdate = now;
+  }
+  
+  const fileOptions = {
+    journal: options?.journal,
+    retry: options?.retry,
+    multipart: options?.multipart,
+    dryRun: options?.dryRun,
+    quiet: options?.quiet,
+    onStart: options?.onFileStart,
+    onDone: options?.onFileDone,
+    onProgress: (bytes, file) => {
+      bytesTransferred += bytes;
+      options?.onFileProgress?.(file, bytes);
+      printProgress();
+    }
+  };
   
   // Track upload status for each folder
   const folderStatus = {
@@ -231,7 +444,7 @@ export async function uploadFilesToS3(fileStructure, bucketName, basePath, maxCo
     const batch = [];
     const batchSize = Math.min(concurrentUploads, uploadQueue.length);
     
-    console.log(`Processing batch of ${batchSize} directories, ${uploadQueue.length} remaining in queue`);
+    log(`Processing batch of ${batchSize} directories, ${uploadQueue.length} remaining in queue`);
     
     for (let i = 0; i < batchSize; i++) {
       if (uploadQueue.length > 0) {
@@ -241,31 +454,23 @@ export async function uploadFilesToS3(fileStructure, bucketName, basePath, maxCo
           folderStatus.transfer++;
           
           batch.push(
-            uploadDirectoryToS3(folder, bucketName, basePath, verbose)
+            uploadDirectoryToS3(folder, bucketName, basePath, verbose, options?.checkExist, client, fileOptions)
               .then((result) => {
                 completedUploads++;
                 folderStatus.transfer--;
                 
-                // Update total bytes uploaded for successful uploads
+                // Update total bytes uploaded, including the files of partially failed folders
+                totalBytesUploaded += result.bytesUploaded;
                 if (result.success && result.status === 'done') {
-                  totalBytesUploaded += result.bytesUploaded;
                   folderStatus.done++;
                 } else if (result.status === 'failed') {
                   folderStatus.failed.push(folder.path);
                 }
                 
-                // Show progress if enabled and not in verbose mode (to avoid cluttering output)
-                if (showProgress && !verbose) {
-                  const now = Date.now();
-                  if (now - lastProgressUpdate > progressInterval) {
-                    const percent = Math.round((completedUploads / totalFolders) * 100);
-                    process.stdout.write(`\rUploading: ${completedUploads}/${totalFolders} directories (${percent}%)`);
-                    lastProgressUpdate = now;
-                  }
-                }
+                printProgress();
               })
               .catch(err => {
-                console.error(`Unexpected error during upload: ${err.message}`);
+                logError(`Unexpected error during upload: ${err.message}`);
                 completedUploads++;
                 folderStatus.transfer--;
                 folderStatus.failed.push(folder.path);
@@ -275,27 +480,15 @@ export async function uploadFilesToS3(fileStructure, bucketName, basePath, maxCo
       }
     }
     
-    try {
-      // Wait for the current batch to complete with a timeout
-      const batchTimeout = new Promise((_, reject) => {
-        setTimeout(() => reject(new Error('Batch upload timeout')), 600000); // 10 minute timeout for batch
-      });
-      
-      await Promise.race([
-        Promise.all(batch),
-        batchTimeout
-      ]);
-      
-      console.log(`Batch completed, ${completedUploads}/${totalFolders} directories processed`);
-    } catch (error) {
-      console.error(`Batch error: ${error.message}`);
-      // Continue with next batch even if this one failed
-    }
+    // Every upload of the batch settles on its own (failures are recorded on the files), so
+    // the next batch starts only once all of them, multipart uploads included, are finished
+    await Promise.all(batch);
+    log(`Batch completed, ${completedUploads}/${totalFolders} directories processed`);
     
     // Force garbage collection between batches (if globalThis.gc is available)
     if (typeof globalThis.gc === 'function') {
       try {
-        console.log('Running garbage collection between batches...');
+        log('Running garbage collection between batches...');
         globalThis.gc();
       } catch (e) {
         // Ignore errors if gc is not available
@@ -315,38 +508,165 @@ export async function uploadFilesToS3(fileStructure, bucketName, basePath, maxCo
     }
   }
   
-  console.log(chalk.blue(`Starting upload to S3 bucket: ${bucketName}`));
-  console.log(chalk.blue(`Total directories to upload: ${totalFolders}`));
+  log(chalk.blue(`${options?.dryRun ? 'Planning' : 'Starting'} upload to S3 bucket: ${bucketName}`));
+  log(chalk.blue(`Total directories to upload: ${totalFolders}, ${concurrentUploads} at a time`));
   
   // Start the upload process
   await processUploads();
   
+  // Clear the progress line
+  if (showProgress && !verbose) {
+    process.stdout.write('\r' + ' '.repeat(100) + '\r');
+  }
+  
+  // A dry run leaves the results to the plan
+  if (options?.dryRun) {
+    return;
+  }
+  
+  // Give the failed files one more chance; folders whose files all made it count as done
+  const recovered = await retryFailedFiles(fileStructure.files, bucketName, basePath, concurrentUploads, verbose, client, fileOptions);
+  if (recovered.files > 0) {
+    totalBytesUploaded += recovered.bytes;
+    folderStatus.failed = folderStatus.failed.filter(folderPath => {
+      const folder = folderUnits.find(unit => unit.path === folderPath);
+      const stillFailed = !folder || folder.files.some(file => file.status === 'failed');
+      if (!stillFailed) {
+        folderStatus.done++;
+      }
+      return stillFailed;
+    });
+  }
+  
   // Calculate upload time and rate
   const uploadEndTime = Date.now();
   const uploadTimeSeconds = (uploadEndTime - uploadStartTime) / 1000;
   const uploadRateMBps = totalBytesUploaded > 0 ? (totalBytesUploaded / 1024 / 1024) / uploadTimeSeconds : 0;
   
-  // Clear the progress line
-  if (showProgress && !verbose) {
-    process.stdout.write('\r' + ' '.repeat(80) + '\r');
-  }
-  
   // Display results
-  console.log(chalk.green('\nUpload completed!'));
-  console.log(chalk.yellow('Upload Statistics:'));
-  console.log(`Directories ready: ${chalk.bold(folderStatus.ready)}`);
-  console.log(`Directories in transfer: ${chalk.bold(folderStatus.transfer)}`);
-  console.log(`Directories uploaded successfully: ${chalk.bold(folderStatus.done)}`);
-  console.log(`Directories failed: ${chalk.bold(folderStatus.failed.length)}`);
-  console.log(`Total data uploaded: ${chalk.bold(formatSize(totalBytesUploaded))}`);
-  console.log(`Average upload rate: ${chalk.bold(uploadRateMBps.toFixed(2))} MB/sec`);
-  console.log(`Upload time: ${chalk.bold(uploadTimeSeconds.toFixed(2))} seconds`);
+  log(chalk.green('\nUpload completed!'));
+  log(chalk.yellow('Upload Statistics:'));
+  log(`Directories ready: ${chalk.bold(folderStatus.ready)}`);
+  log(`Directories in transfer: ${chalk.bold(folderStatus.transfer)}`);
+  log(`Directories uploaded successfully: ${chalk.bold(folderStatus.done)}`);
+  log(`Directories failed: ${chalk.bold(folderStatus.failed.length)}`);
+  log(`Total data uploaded: ${chalk.bold(formatSize(totalBytesUploaded))}`);
+  log(`Average upload rate: ${chalk.bold(uploadRateMBps.toFixed(2))} MB/sec`);
+  log(`Upload time: ${chalk.bold(uploadTimeSeconds.toFixed(2))} seconds`);
   
   // Display failed directories if any
   if (folderStatus.failed.length > 0) {
-    console.log(chalk.red('\nFailed uploads:'));
+    log(chalk.red('\nFailed uploads:'));
     folderStatus.failed.forEach(filepath => {
-      console.log(`  ${chalk.red('×')} ${filepath}`);
+      log(`  ${chalk.red('×')} ${filepath}`);
+    });
+  }
+}
+
+/**
+ * Upload every scanned file on its own through a pool of concurrent uploads
+ * A new upload starts as soon as one finishes, and each file record moves through
+ * the ready, transfer, done and failed statuses independently.
+ * @param {object} fileStructure - FileStructure instance with the files to upload
+ * @param {string} bucketName - S3 bucket name
+ * @param {string} basePath - Base directory path for relative path calculation
+ * @param {number} maxConcurrent - Maximum number of concurrent uploads
+ * @param {object} options - Upload options, as for uploadFilesToS3
+ * @returns {Promise<void>}
+ */
+export async function uploadFilesIndividually(fileStructure, bucketName, basePath, maxConcurrent, options) {
+  // Files that are already done (e.g. unchanged files of a sync) are not uploaded again
+  const files = fileStructure.files.filter(file => file.status !== 'done');
+  const totalSize = files.reduce((sum, file) => sum + file.size, 0);
+  const showProgress = options?.progress || false;
+  const verbose = options?.verbose || false;
+  const checkExist = options?.checkExist || false;
+  const log = options?.quiet ? () => {} : console.log;
+  const concurrentUploads = typeof maxConcurrent === 'number' && maxConcurrent > 0 ? maxConcurrent : 5;
+  const client = options?.client || await S3Client.fromEnvironment();
+  
+  let completedUploads = 0;
+  let bytesTransferred = 0;
+  let lastProgressUpdate = Date.now();
+  const progressInterval = 1000; // Update progress every second
+  const uploadStartTime = Date.now();
+  
+  // Show progress if enabled and not in verbose mode (to avoid cluttering output)
+  function printProgress() {
+    const now = Date.now();
+    if (now - lastProgressUpdate <= progressInterval) {
+      return;
+    }
+    options?.onProgress?.({ completed: completedUploads, total: files.length, bytes: bytesTransferred, totalBytes: totalSize });
+    if (showProgress && !verbose) {
+      const percent = totalSize > 0 ? Math.round((bytesTransferred / totalSize) * 100) : 100;
+      process.stdout.write(`\rUploading: ${completedUploads.toLocaleString()}/${files.length.toLocaleString()} files, ${formatSize(bytesTransferred)} of ${formatSize(totalSize)} (${percent}%)`);
+    }
+    lastProgressUpdate = now;
+  }
+  
+  // Parts of multipart uploads count toward the progress as they finish
+  const fileOptions = {
+    journal: options?.journal,
+    retry: options?.retry,
+    multipart: options?.multipart,
+    dryRun: options?.dryRun,
+    quiet: options?.quiet,
+    onStart: options?.onFileStart,
+    onDone: options?.onFileDone,
+    onProgress: (bytes, file) => {
+      bytesTransferred += bytes;
+      options?.onFileProgress?.(file, bytes);
+      printProgress();
+    }
+  };
+  
+  log(chalk.blue(`${options?.dryRun ? 'Planning' : 'Starting'} upload to S3 bucket: ${bucketName}`));
+  log(chalk.blue(`Total files to upload: ${files.length.toLocaleString()} (${formatSize(totalSize)}), ${concurrentUploads} at a time`));
+  
+  await mapConcurrent(files, concurrentUploads, async (file) => {
+    await uploadFileToS3(file, bucketName, basePath, verbose, checkExist, client, fileOptions);
+    completedUploads++;
+    printProgress();
+  });
+  
+  // Clear the progress line before the retry pass prints
+  if (showProgress && !verbose) {
+    process.stdout.write('\r' + ' '.repeat(100) + '\r');
+  }
+  
+  // A dry run leaves the results to the plan
+  if (options?.dryRun) {
+    return;
+  }
+  
+  // Give the failed files one more chance
+  await retryFailedFiles(files, bucketName, basePath, concurrentUploads, verbose, client, fileOptions);
+  
+  // Calculate upload time and rate
+  const uploadTimeSeconds = (Date.now() - uploadStartTime) / 1000;
+  const statistics = fileStructure.getUploadStatistics();
+  const uploadRateMBps = statistics.bytesUploaded > 0 ? (statistics.bytesUploaded / 1024 / 1024) / uploadTimeSeconds : 0;
+  
+  // Display results
+  log(chalk.green('\nUpload completed!'));
+  log(chalk.yellow('Upload Statistics:'));
+  log(`Files ready: ${chalk.bold(statistics.ready.toLocaleString())}`);
+  log(`Files in transfer: ${chalk.bold(statistics.transfer.toLocaleString())}`);
+  log(`Files uploaded successfully: ${chalk.bold((statistics.done - statistics.skipped).toLocaleString())}`);
+  if (checkExist || statistics.skipped > 0) {
+    log(`Files skipped (already uploaded): ${chalk.bold(statistics.skipped.toLocaleString())}`);
+  }
+  log(`Files failed: ${chalk.bold(statistics.failed.length.toLocaleString())}`);
+  log(`Total data uploaded: ${chalk.bold(formatSize(statistics.bytesUploaded))}`);
+  log(`Average upload rate: ${chalk.bold(uploadRateMBps.toFixed(2))} MB/sec`);
+  log(`Upload time: ${chalk.bold(uploadTimeSeconds.toFixed(2))} seconds`);
+  
+  // Display failed files with their errors
+  if (statistics.failed.length > 0) {
+    log(chalk.red('\nFailed uploads:'));
+    fileStructure.files.filter(file => file.status === 'failed').forEach(file => {
+      log(`  ${chalk.red('×')} ${file.filepath} - ${file.error}`);
     });
   }
 }
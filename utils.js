@@ -1,3 +1,6 @@
+import crypto from 'crypto';
+import fs from 'fs';
+
 /**
  * Utility functions for SpeedGrabber
  */
@@ -19,3 +22,57 @@ export function formatSize(bytes) {
   
   return `${size.toFixed(2)} ${units[unitIndex]}`;
 }
+
+/**
+ * Parse a human-readable size into bytes
+ * Accepts plain numbers and the units used by formatSize (e.g. "512", "10KB", "1.5 GB")
+ * @param {string|number} value - Size to parse
+ * @returns {number} Size in bytes
+ */
+export function parseSize(value) {
+  const units = { B: 1, K: 1024, M: 1024 ** 2, G: 1024 ** 3, T: 1024 ** 4 };
+  const match = /^(\d+(?:\.\d+)?)\s*(?:([KMGT])(?:I?B)?|B)?$/i.exec(String(value).trim());
+
+  if (!match) {
+    throw new Error(`Invalid size: ${value}`);
+  }
+
+  const unit = match[2] ? match[2].toUpperCase() : 'B';
+  return Math.round(parseFloat(match[1]) * units[unit]);
+}
+
+/**
+ * Run an async function over a list with a limited number of calls in flight
+ * @param {Array} items - Items to process
+ * @param {number} limit - Maximum number of concurrent calls
+ * @param {function} fn - Async function called with (item, index)
+ * @returns {Promise<Array>} Results in the order of the items
+ */
+export async function mapConcurrent(items, limit, fn) {
+  const results = new Array(items.length);
+  let nextIndex = 0;
+  
+  async function runNext() {
+    while (nextIndex < items.length) {
+      const index = nextIndex++;
+      results[index] = await fn(items[index], index);
+    }
+  }
+  
+  await Promise.all(Array.from({ length: Math.max(1, Math.min(limit, items.length)) }, runNext));
+  return results;
+}
+
+/**
+ * Compute the hex digest of a file's content
+ * @param {string} filePath - File to hash
+ * @param {string} [algorithm] - Hash algorithm supported by crypto (default: md5)
+ * @returns {Promise<string>} Hex digest
+ */
+export async function hashFile(filePath, algorithm = 'md5') {
+  const hash = crypto.createHash(algorithm);
+  for await (const chunk of fs.createReadStream(filePath)) {
+    hash.update(chunk);
+  }
+  return hash.digest('hex');
+}
@@ -0,0 +1,231 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import chalk from 'chalk';
+import { toS3Key } from './uploader.js';
+import { withRetry } from './retry.js';
+import { choosePartSize, DEFAULT_PART_SIZE } from './multipart.js';
+import { formatSize, mapConcurrent } from './utils.js';
+
+/**
+ * Integrity verification: compare local files with the objects in the bucket
+ * Objects with a SHA-256 checksum are compared by it; otherwise the ETag is compared
+ * with the MD5 of the file, or with the MD5 of the part MD5s for multipart uploads.
+ */
+
+// Results of verifying a file; failed means the object or the file couldn't be read
+export const VERIFY_RESULTS = ['verified', 'mismatch', 'unverifiable', 'failed'];
+
+/**
+ * Hash a file, optionally per part
+ * @param {string} filePath - File to hash
+ * @param {string} algorithm - Hash algorithm supported by crypto
+ * @param {number} [partSize] - Size of the parts to hash separately
+ * @returns {Promise<Buffer[]>} Digest of the whole file, or the digests of its parts
+ */
+async function hashParts(filePath, algorithm, partSize = Infinity) {
+  const digests = [];
+  let hash = crypto.createHash(algorithm);
+  let hashedInPart = 0;
+
+  for await (let chunk of fs.createReadStream(filePath)) {
+    while (chunk.length > 0) {
+      const take = Math.min(chunk.length, partSize - hashedInPart);
+      hash.update(chunk.subarray(0, take));
+      hashedInPart += take;
+      chunk = chunk.subarray(take);
+      if (hashedInPart === partSize) {
+        digests.push(hash.digest());
+        hash = crypto.createHash(algorithm);
+        hashedInPart = 0;
+      }
+    }
+  }
+  if (hashedInPart > 0 || digests.length === 0) {
+    digests.push(hash.digest());
+  }
+  return digests;
+}
+
+// Combine part digests the way S3 does for multipart ETags and composite checksums
+function combineDigests(algorithm, digests) {
+  return crypto.createHash(algorithm).update(Buffer.concat(digests)).digest();
+}
+
+/**
+ * Find the part size a multipart object was uploaded with
+ * @param {S3Client} client - S3 client
+ * @param {string} bucketName - S3 bucket name
+ * @param {string} key - Object key
+ * @param {object} file - File record with size
+ * @param {number} partCount - Number of parts of the object
+ * @param {object} options - Options of verifyFile
+ * @returns {Promise<number>} Part size in bytes
+ */
+async function findPartSize(client, bucketName, key, file, partCount, options) {
+  // The first part tells the part size; stores without part lookups get the configured size
+  try {
+    const firstPart = await withRetry(() => client.headObject(bucketName, key, { partNumber: 1 }), options.retry);
+    if (firstPart && firstPart.partsCount === partCount && firstPart.size > 0) {
+      return firstPart.size;
+    }
+  } catch (error) {
+    // Fall through to the configured part size
+  }
+  return choosePartSize(file.size, options.partSize || DEFAULT_PART_SIZE);
+}
+
+/**
+ * Verify one file against the object stored under its key
+ * Files that match get the 'done' status, files that don't get the 'mismatch' status
+ * and the reason as their error. Files that couldn't be checked because a request failed
+ * (e.g. access denied or retries exhausted) get the 'failed' status and the error; only
+ * objects whose ETag can't be compared are 'unverifiable'.
+ * @param {object} file - File record with filepath, size and status
+ * @param {string} bucketName - S3 bucket name
+ * @param {string} basePath - Base directory path for relative path calculation
+ * @param {object} options - Verification options
+ * @param {S3Client} options.client - S3 client
+ * @param {number} [options.partSize] - Part size to assume when it cannot be looked up
+ * @param {object} [options.retry] - Retry policy for the requests (see withRetry)
+ * @returns {Promise<object>} Result (one of VERIFY_RESULTS), method used and reason
+ */
+export async function verifyFile(file, bucketName, basePath, options) {
+  const client = options.client;
+  const key = toS3Key(basePath, file.filepath);
+  let outcome;
+
+  try {
+    outcome = await compareWithObject(client, bucketName, key, file, options);
+  } catch (error) {
+    outcome = { result: 'failed', reason: error.message };
+  }
+
+  if (outcome.result === 'mismatch' || outcome.result === 'failed') {
+    file.status = outcome.result;
+    file.error = outcome.reason;
+  } else if (outcome.result === 'verified') {
+    file.status = 'done';
+  }
+  file.verification = outcome.result;
+  return outcome;
+}
+
+// Compare a file with its object, see verifyFile
+async function compareWithObject(client, bucketName, key, file, options) {
+  const head = await withRetry(() => client.headObject(bucketName, key, { checksumMode: true }), options.retry);
+  if (!head) {
+    return { result: 'mismatch', reason: 'object is missing' };
+  }
+  if (head.size !== file.size) {
+    return { result: 'mismatch', reason: `size differs (local ${file.size}, remote ${head.size})` };
+  }
+
+  // Additional checksums are preferred; composite ones end in -<part count>
+  if (head.checksumSha256) {
+    const [checksum, partCount] = head.checksumSha256.split('-');
+    let local;
+    if (partCount) {
+      const partSize = await findPartSize(client, bucketName, key, file, Number(partCount), options);
+      local = combineDigests('sha256', await hashParts(file.filepath, 'sha256', partSize)).toString('base64');
+    } else {
+      [local] = (await hashParts(file.filepath, 'sha256')).map(digest => digest.toString('base64'));
+    }
+    return local === checksum
+      ? { result: 'verified', method: 'sha256' }
+      : { result: 'mismatch', method: 'sha256', reason: 'SHA-256 checksum differs' };
+  }
+
+  // Objects encrypted with KMS keys have ETags that are not an MD5 of the content
+  const etag = (head.etag || '').replace(/"/g, '');
+  if (head.sse && head.sse.startsWith('aws:kms')) {
+    return { result: 'unverifiable', reason: 'KMS-encrypted object without a SHA-256 checksum' };
+  }
+
+  let match = /^([0-9a-f]{32})$/.exec(etag);
+  if (match) {
+    const [digest] = await hashParts(file.filepath, 'md5');
+    return digest.toString('hex') === match[1]
+      ? { result: 'verified', method: 'md5' }
+      : { result: 'mismatch', method: 'md5', reason: 'MD5 differs from the ETag' };
+  }
+
+  match = /^([0-9a-f]{32})-(\d+)$/.exec(etag);
+  if (match) {
+    const partCount = Number(match[2]);
+    const partSize = await findPartSize(client, bucketName, key, file, partCount, options);
+    const digests = await hashParts(file.filepath, 'md5', partSize);
+    const local = `${combineDigests('md5', digests).toString('hex')}-${digests.length}`;
+    return local === etag
+      ? { result: 'verified', method: 'multipart md5' }
+      : { result: 'mismatch', method: 'multipart md5', reason: 'multipart ETag differs' };
+  }
+
+  return { result: 'unverifiable', reason: `ETag ${etag} is not an MD5` };
+}
+
+/**
+ * Verify files against the bucket
+ * @param {object[]} files - File records to verify
+ * @param {string} bucketName - S3 bucket name
+ * @param {string} basePath - Base directory path for relative path calculation
+ * @param {object} options - Options of verifyFile, plus:
+ * @param {number} [options.concurrency] - Number of files verified at the same time
+ * @param {boolean} [options.verbose] - Whether to print the result of every file
+ * @param {boolean} [options.progress] - Whether to show progress
+ * @returns {Promise<object>} Counts of verified, mismatched, unverifiable and failed files and the bytes checked
+ */
+export async function verifyFiles(files, bucketName, basePath, options) {
+  const summary = { verified: 0, mismatch: 0, unverifiable: 0, failed: 0, bytesChecked: 0 };
+  let completed = 0;
+  let lastProgressUpdate = Date.now();
+
+  console.log(chalk.blue(`Verifying ${files.length.toLocaleString()} files against S3 bucket: ${bucketName}`));
+
+  await mapConcurrent(files, options.concurrency || 5, async (file) => {
+    const outcome = await verifyFile(file, bucketName, basePath, options);
+    summary[outcome.result]++;
+    summary.bytesChecked += file.size;
+    completed++;
+
+    if (options.verbose) {
+      const colors = { verified: chalk.green, mismatch: chalk.red, unverifiable: chalk.yellow, failed: chalk.red };
+      const details = outcome.reason ? ` - ${outcome.reason}` : ` (${outcome.method})`;
+      console.log(`${colors[outcome.result](outcome.result.padEnd(12))} ${chalk.cyan(file.filepath)}${details}`);
+    } else if (options.progress && Date.now() - lastProgressUpdate > 1000) {
+      process.stdout.write(`\rVerifying: ${completed.toLocaleString()}/${files.length.toLocaleString()} files`);
+      lastProgressUpdate = Date.now();
+    }
+  });
+
+  if (options.progress && !options.verbose) {
+    process.stdout.write('\r' + ' '.repeat(100) + '\r');
+  }
+  return summary;
+}
+
+/**
+ * Print the result of verifyFiles
+ * @param {object} summary - Summary returned by verifyFiles
+ * @param {object[]} files - The verified file records
+ */
+export function printVerifySummary(summary, files) {
+  console.log(chalk.yellow('\nVerification Statistics:'));
+  console.log(`Files verified: ${chalk.bold(summary.verified.toLocaleString())}`);
+  console.log(`Files mismatched: ${chalk.bold(summary.mismatch.toLocaleString())}`);
+  console.log(`Files not verifiable: ${chalk.bold(summary.unverifiable.toLocaleString())}`);
+  console.log(`Files that failed to verify: ${chalk.bold(summary.failed.toLocaleString())}`);
+  console.log(`Data checked: ${chalk.bold(formatSize(summary.bytesChecked))}`);
+
+  if (summary.mismatch > 0) {
+    console.log(chalk.red('\nMismatched files:'));
+    files.filter(file => file.status === 'mismatch').forEach(file => {
+      console.log(`  ${chalk.red('×')} ${file.filepath} - ${file.error}`);
+    });
+  }
+  if (summary.failed > 0) {
+    console.log(chalk.red('\nFiles that failed to verify:'));
+    files.filter(file => file.status === 'failed').forEach(file => {
+      console.log(`  ${chalk.red('×')} ${file.filepath} - ${file.error}`);
+    });
+  }
+}
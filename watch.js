@@ -0,0 +1,347 @@
+import { EventEmitter } from 'events';
+import fs from 'fs';
+import path from 'path';
+import { IGNORE_FILE_NAME } from './filters.js';
+import { directoryId } from './scanner.js';
+import { toS3Key, uploadFileToS3 } from './uploader.js';
+
+/**
+ * Watch mode: upload new and changed files as they appear
+ * Files are only uploaded once they have settled, i.e. their size and modification time
+ * haven't changed for a while, so files that are still being written are not uploaded half-done.
+ */
+
+// Seconds a file must stay unchanged before it is uploaded
+export const DEFAULT_SETTLE_SECONDS = 5;
+
+// How often files waiting to settle are checked, in ms
+const CHECK_INTERVAL = 1000;
+
+// Delay before a file that failed with a retryable error is tried again, in ms
+const RETRY_DELAY = 60 * 1000;
+
+/**
+ * Watcher uploading the files of a directory tree as they are created or changed
+ *
+ * Events: `queued` (file) when a settled file is queued for upload, `uploadStart` (file),
+ * `uploadDone` (file) once it is uploaded or failed (see file.status), and `error` (error)
+ * when watching fails.
+ */
+export class UploadWatcher extends EventEmitter {
+  /**
+   * @param {string} rootDir - Directory to watch (keys are relative to it)
+   * @param {object} options - Watch options
+   * @param {string} options.bucket - S3 bucket name
+   * @param {S3Client} options.client - S3 client
+   * @param {ScanFilter} options.filter - Filter of the scan, applied to changed files as well
+   * @param {number} [options.concurrency] - Number of files uploaded at the same time
+   * @param {number} [options.settleSeconds] - Seconds a file must stay unchanged before it is uploaded
+   * @param {string} [options.symlinks] - Symbolic link mode of the scan; links are only followed with 'follow'
+   * @param {StateJournal} [options.journal] - Journal the status transitions are recorded in
+   * @param {object} [options.retry] - Retry policy for each request (see withRetry)
+   * @param {object} [options.multipart] - Multipart settings ({ partSize, partConcurrency })
+   */
+  constructor(rootDir, options) {
+    super();
+    this.rootDir = rootDir;
+    this.options = options;
+    this.concurrency = options.concurrency || 5;
+    this.settleMs = (options.settleSeconds ?? DEFAULT_SETTLE_SECONDS) * 1000;
+
+    this.filters = new Map(); // Filter promises by directory, null for excluded directories
+    // Files waiting to settle: { size, mtime, changedAt, uploadId } by path; uploadId is the
+    // unfinished multipart upload of a previous run to continue (see StateJournal#applyTo)
+    this.pending = new Map();
+    this.uploaded = new Map(); // Last uploaded state: { size, mtime } by path
+    this.queue = [];
+    this.queued = new Set();
+    this.inFlight = new Set();
+    this.retryTimers = new Set();
+    this.statistics = { uploaded: 0, failed: 0, bytesUploaded: 0 };
+    this.realRootDir = null; // Promise of the real path of rootDir, to recognize links into the tree
+    this.watcher = null;
+    this.checkTimer = null;
+    this.checking = false;
+    this.stopped = false;
+  }
+
+  /**
+   * Start watching the directory tree
+   * Changes seen from now on are picked up, so the initial scan can run afterwards.
+   */
+  watch() {
+    this.watcher = fs.watch(this.rootDir, { recursive: true }, (eventType, filename) => {
+      if (!filename) {
+        return;
+      }
+      const fullPath = path.join(this.rootDir, filename.toString());
+
+      // A changed ignore file changes the filters below its directory
+      if (path.basename(fullPath) === IGNORE_FILE_NAME) {
+        this.forgetFilters(path.dirname(fullPath));
+      }
+      this.observe(fullPath).catch(error => this.emit('error', error));
+    });
+    this.watcher.on('error', error => this.emit('error', error));
+    this.checkTimer = setInterval(() => this.checkPending(), CHECK_INTERVAL);
+  }
+
+  /**
+   * Add the files of the initial scan
+   * Files that are done (e.g. uploaded by a previous run, see StateJournal#applyTo) are
+   * remembered as uploaded; the others are uploaded once they have settled, continuing their
+   * unfinished multipart upload if they have one.
+   * @param {object[]} files - File records with filepath, size, mtime, status and uploadId
+   */
+  addScannedFiles(files) {
+    const now = Date.now();
+    for (const file of files) {
+      if (file.status === 'done') {
+        this.uploaded.set(file.filepath, { size: file.size, mtime: file.mtime });
+      } else if (!this.pending.has(file.filepath)) {
+        // Files last modified long enough ago need no more waiting than one check
+        this.pending.set(file.filepath, { size: file.size, mtime: file.mtime, changedAt: now - this.settleMs, uploadId: file.uploadId });
+      }
+    }
+  }
+
+  /**
+   * Stop watching and uploading
+   * Uploads in progress are not waited for; abort their multipart uploads with abortActiveUploads.
+   */
+  stop() {
+    this.stopped = true;
+    this.watcher?.close();
+    clearInterval(this.checkTimer);
+    this.retryTimers.forEach(timer => clearTimeout(timer));
+    this.retryTimers.clear();
+  }
+
+  /**
+   * Number of files waiting to settle, queued or being uploaded
+   * @returns {number}
+   */
+  get backlog() {
+    return this.pending.size + this.queue.length + this.inFlight.size;
+  }
+
+  // Abort the unfinished multipart upload of a pending file that changed, its parts no longer match
+  discardUpload(filepath, entry) {
+    if (entry?.uploadId) {
+      const key = toS3Key(this.rootDir, filepath);
+      this.options.client.abortMultipartUpload(this.options.bucket, key, entry.uploadId).catch(() => {});
+      entry.uploadId = undefined;
+    }
+  }
+
+  // Forget the filters of a directory and its subdirectories
+  forgetFilters(dirPath) {
+    for (const key of this.filters.keys()) {
+      if (key === dirPath || key.startsWith(dirPath + path.sep)) {
+        this.filters.delete(key);
+      }
+    }
+  }
+
+  /**
+   * Get the filter in effect inside a directory, loading the ignore files on the way
+   * @param {string} dirPath - Directory inside the watched tree
+   * @returns {Promise<ScanFilter|null>} The filter, or null if the directory is excluded
+   */
+  filterFor(dirPath) {
+    if (!this.filters.has(dirPath)) {
+      this.filters.set(dirPath, this.loadFilter(dirPath));
+    }
+    return this.filters.get(dirPath);
+  }
+
+  // Build the filter of a directory from the filter of its parent, see filterFor
+  async loadFilter(dirPath) {
+    let parentFilter = this.options.filter;
+    if (dirPath !== this.rootDir) {
+      parentFilter = await this.filterFor(path.dirname(dirPath));
+      if (!parentFilter || !parentFilter.acceptsDirectory(dirPath)) {
+        return null;
+      }
+    }
+    const entries = await fs.promises.readdir(dirPath, { withFileTypes: true }).catch(() => []);
+    return parentFilter.enterDirectory(dirPath, entries);
+  }
+
+  /**
+   * Whether a linked directory lies inside the watched tree, where its files are watched
+   * under their own paths already
+   * @param {string} linkPath - Path of a symbolic link to a directory
+   * @returns {Promise<boolean>}
+   */
+  async linksIntoTree(linkPath) {
+    this.realRootDir ??= fs.promises.realpath(this.rootDir);
+    const [rootDir, target] = await Promise.all([this.realRootDir, fs.promises.realpath(linkPath)]);
+    return target === rootDir || target.startsWith(rootDir + path.sep);
+  }
+
+  /**
+   * Look at a path that changed
+   * Accepted files are put aside until they settle; directories (e.g. moved into the tree)
+   * are walked for their files.
+   * @param {string} fullPath - Absolute path inside the watched tree
+   * @param {Set<string>} [visited] - Directories walked so far by device and inode, so links
+   *   looping back into the walk are not followed again
+   * @returns {Promise<void>}
+   */
+  async observe(fullPath, visited = new Set()) {
+    if (this.stopped) {
+      return;
+    }
+    let stats;
+    try {
+      stats = await fs.promises.lstat(fullPath);
+      if (stats.isSymbolicLink() && this.options.symlinks === 'follow') {
+        stats = await fs.promises.stat(fullPath);
+        // The tree itself is watched, following a link into it would upload its files twice
+        if (stats.isDirectory() && await this.linksIntoTree(fullPath)) {
+          return;
+        }
+      }
+    } catch (error) {
+      // Deleted (or renamed away) before it could be uploaded
+      this.discardUpload(fullPath, this.pending.get(fullPath));
+      this.pending.delete(fullPath);
+      return;
+    }
+
+    if (stats.isDirectory()) {
+      const id = directoryId(stats);
+      if (visited.has(id) || !(await this.filterFor(fullPath))) {
+        return;
+      }
+      visited.add(id);
+      const entries = await fs.promises.readdir(fullPath).catch(() => []);
+      for (const name of entries) {
+        await this.observe(path.join(fullPath, name), visited);
+      }
+      return;
+    }
+    if (!stats.isFile() || this.queued.has(fullPath)) {
+      return;
+    }
+
+    const filter = await this.filterFor(path.dirname(fullPath));
+    if (!filter || !filter.acceptsFilePath(fullPath) || !filter.acceptsStats(stats)) {
+      return;
+    }
+    const mtime = Math.floor(stats.mtimeMs);
+    const uploaded = this.uploaded.get(fullPath);
+    if (uploaded && uploaded.size === stats.size && uploaded.mtime === mtime && !this.inFlight.has(fullPath)) {
+      return;
+    }
+    const entry = this.pending.get(fullPath);
+    const unchanged = entry && entry.size === stats.size && entry.mtime === mtime;
+    if (!unchanged) {
+      this.discardUpload(fullPath, entry);
+    }
+    this.pending.set(fullPath, { size: stats.size, mtime, changedAt: Date.now(), uploadId: unchanged ? entry.uploadId : undefined });
+  }
+
+  /**
+   * Queue the files that have settled
+   * Files that changed since the last check wait for another full settle time.
+   * @returns {Promise<void>}
+   */
+  async checkPending() {
+    if (this.checking || this.stopped) {
+      return;
+    }
+    this.checking = true;
+    try {
+      const now = Date.now();
+      for (const [filepath, entry] of this.pending) {
+        // A file being uploaded is checked again once its upload is done
+        if (this.inFlight.has(filepath)) {
+          continue;
+        }
+        let stats;
+        try {
+          stats = await fs.promises.stat(filepath);
+        } catch (error) {
+          this.discardUpload(filepath, entry);
+          this.pending.delete(filepath);
+          continue;
+        }
+
+        const mtime = Math.floor(stats.mtimeMs);
+        if (stats.size !== entry.size || mtime !== entry.mtime) {
+          this.discardUpload(filepath, entry);
+          Object.assign(entry, { size: stats.size, mtime, changedAt: now });
+          continue;
+        }
+        if (now - Math.max(entry.changedAt, mtime) < this.settleMs) {
+          continue;
+        }
+
+        this.pending.delete(filepath);
+        const uploaded = this.uploaded.get(filepath);
+        if (!uploaded || uploaded.size !== entry.size || uploaded.mtime !== mtime) {
+          this.enqueue({ filepath, size: entry.size, mtime, status: 'ready', uploadId: entry.uploadId });
+        }
+      }
+    } finally {
+      this.checking = false;
+    }
+  }
+
+  // Queue a settled file for upload
+  enqueue(file) {
+    this.queue.push(file);
+    this.queued.add(file.filepath);
+    this.emit('queued', file);
+    this.pump();
+  }
+
+  // Start uploads until the concurrency limit is reached
+  pump() {
+    while (!this.stopped && this.inFlight.size < this.concurrency && this.queue.length > 0) {
+      const file = this.queue.shift();
+      this.queued.delete(file.filepath);
+      this.inFlight.add(file.filepath);
+      this.upload(file)
+        .catch(error => this.emit('error', error))
+        .finally(() => {
+          this.inFlight.delete(file.filepath);
+          this.pump();
+        });
+    }
+  }
+
+  /**
+   * Upload a settled file
+   * Files that failed with a retryable error are looked at again after a delay.
+   * @param {object} file - File record with filepath, size, mtime and status
+   * @returns {Promise<void>}
+   */
+  async upload(file) {
+    await uploadFileToS3(file, this.options.bucket, this.rootDir, false, false, this.options.client, {
+      journal: this.options.journal,
+      retry: this.options.retry,
+      multipart: this.options.multipart,
+      quiet: true,
+      onStart: uploadingFile => this.emit('uploadStart', uploadingFile),
+      onDone: uploadedFile => this.emit('uploadDone', uploadedFile)
+    });
+
+    if (file.status === 'done') {
+      this.uploaded.set(file.filepath, { size: file.size, mtime: file.mtime });
+      this.statistics.uploaded++;
+      this.statistics.bytesUploaded += file.size;
+    } else {
+      this.statistics.failed++;
+      if (file.retryable && !this.stopped) {
+        const timer = setTimeout(() => {
+          this.retryTimers.delete(timer);
+          this.observe(file.filepath).catch(error => this.emit('error', error));
+        }, RETRY_DELAY);
+        this.retryTimers.add(timer);
+      }
+    }
+  }
+}